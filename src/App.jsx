@@ -1,4 +1,4 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import { useModelLoader } from './hooks/useModelLoader';
 import { useSelection } from './contexts/SelectionContext.jsx';
 import FileUpload from './components/FileUpload';
@@ -8,25 +8,51 @@ import PropertyPanel from './components/PropertyPanel';
 import LoadingOverlay from './components/LoadingOverlay';
 import Toolbar from './components/Toolbar';
 import IfcTreePanel from './components/IfcTreePanel';
+import TakeoffPanel from './components/TakeoffPanel';
+import ThematicPanel from './components/ThematicPanel';
+import BcfPanel from './components/BcfPanel';
+import ClashPanel from './components/ClashPanel';
+import ComparePanel from './components/ComparePanel';
+import ModelManagerPanel from './components/ModelManagerPanel';
 import './App.css';
 
+const SECTION_FILL_MODES = ['ifcClass', 'material', 'off'];
+
 export default function App() {
   const { 
     hasModel, 
     modelCount, 
     fileName, 
     loading, 
+    loadStatus,
     error, 
     setError,
     handleFileLoad, 
+    cancelFile,
+    dismissLoadStatus,
+    handleModelsChanged,
     handleReset 
   } = useModelLoader();
   
   const [engineReady, setEngineReady] = useState(false);
   const [isClippingActive, setIsClippingActive] = useState(false);
   const [isClippingVisible, setIsClippingVisible] = useState(true);
+  const [isSectionBoxActive, setIsSectionBoxActive] = useState(false);
+  const [sectionFillMode, setSectionFillMode] = useState('ifcClass');
+  const [isSectionOutlinesActive, setIsSectionOutlinesActive] = useState(true);
+  const [isPlanViewActive, setIsPlanViewActive] = useState(false);
+  const [measureMode, setMeasureMode] = useState(null);
+  const [areaSelect, setAreaSelect] = useState({ tool: null, mode: 'auto' });
   const [showProperties, setShowProperties] = useState(true);
   const [showTree, setShowTree] = useState(false);
+  const [showTakeoff, setShowTakeoff] = useState(false);
+  const [showThematic, setShowThematic] = useState(false);
+  const [showIssues, setShowIssues] = useState(false);
+  const [showClashes, setShowClashes] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showModels, setShowModels] = useState(false);
+  const [isIsolateActive, setIsIsolateActive] = useState(false);
+  const [isGhostActive, setIsGhostActive] = useState(false);
   const [treeRefreshKey, setTreeRefreshKey] = useState(0);
   const viewerRef = useRef(null);
 
@@ -40,27 +66,53 @@ export default function App() {
     setError(err?.message || 'Failed to initialise 3D engine');
   }, []);
 
+  // Loading a saved section set can add or remove the section box
+  useEffect(() => {
+    if (!engineReady || !hasModel) return;
+    return viewerRef.current?.onSectionsChanged(() => {
+      setIsSectionBoxActive(Boolean(viewerRef.current?.getSectionState()?.sectionBox));
+    });
+  }, [engineReady, hasModel]);
+
   const handleFileProcess = useCallback((files) => {
     if (!engineReady || !viewerRef.current) {
         console.warn('[APP] Engine not ready, cannot load files');
         return;
     }
     
-    handleFileLoad(files, async (fileArray) => {
-        await viewerRef.current.loadFiles(fileArray);
-        // Trigger tree rebuild after model finishes loading
-        setTreeRefreshKey(k => k + 1);
-        // Auto-open the tree panel on first model load
-        setShowTree(true);
+    handleFileLoad(files, async (fileArray, onProgress) => {
+        const results = await viewerRef.current.loadFiles(fileArray, onProgress);
+        if (results.some(r => r.status === 'loaded')) {
+            // Trigger tree rebuild after model finishes loading
+            setTreeRefreshKey(k => k + 1);
+            // Auto-open the tree panel on first model load
+            setShowTree(true);
+        }
+        return results;
     });
   }, [engineReady, handleFileLoad]);
 
+  // After an unload, rename or reorder in the model manager
+  const handleModelsEdited = useCallback(async () => {
+    const models = await viewerRef.current?.getModels() ?? [];
+    handleModelsChanged(models.map(m => m.name));
+    setTreeRefreshKey(k => k + 1);
+  }, [handleModelsChanged]);
+
+  // Header "Reset": unload everything in the viewer, then clear the app state
+  const handleResetAll = useCallback(async () => {
+    await viewerRef.current?.reset();
+    handleReset();
+    setIsIsolateActive(false);
+    setIsGhostActive(false);
+  }, [handleReset]);
+
   /* ─── Selection Logic ─── */
 
   /* ─── Render ─── */
   // Viewer is always mounted so that the engine initialises once
-  const { selectedElement, handleSelect, clearSelection } = useSelection();
-  const showUpload = !hasModel && !loading;
+  const { selectedElements, handleSelect, clearSelection } = useSelection();
+  const showUpload = !hasModel && !loading && loadStatus.length === 0;
 
   return (
     <div className="app">
@@ -70,7 +122,8 @@ export default function App() {
         fileName={fileName}
         loading={loading}
         onAddClick={handleFileProcess}
-        onReset={handleReset}
+        onExportFragments={() => viewerRef.current?.exportFragments()}
+        onReset={handleResetAll}
       />
 
       {/* Main */}
@@ -89,16 +142,75 @@ export default function App() {
           onReady={handleEngineReady}
           onError={handleEngineError}
           onSelect={handleSelect}
+          onPlanViewChange={setIsPlanViewActive}
         />
 
         {/* Properties Panel (Right Sidebar) */}
-        {showProperties && selectedElement && (
+        {showProperties && selectedElements.length > 0 && (
             <PropertyPanel 
-              selectedElement={selectedElement} 
+              selectedElements={selectedElements} 
               onClose={clearSelection} 
             />
         )}
 
+        {/* Quantity Takeoff */}
+        {showTakeoff && hasModel && (
+          <TakeoffPanel
+            viewerRef={viewerRef}
+            refreshKey={treeRefreshKey}
+            onClose={() => setShowTakeoff(false)}
+          />
+        )}
+
+        {/* Colour by property + legend */}
+        {showThematic && hasModel && (
+          <ThematicPanel
+            viewerRef={viewerRef}
+            refreshKey={treeRefreshKey}
+            onClose={() => setShowThematic(false)}
+          />
+        )}
+
+        {/* BCF issues */}
+        {showIssues && hasModel && engineReady && (
+          <BcfPanel
+            viewerRef={viewerRef}
+            onViewpointOpened={() => setIsIsolateActive(false)}
+            onError={setError}
+            onClose={() => setShowIssues(false)}
+          />
+        )}
+
+        {/* Clash detection */}
+        {showClashes && hasModel && engineReady && (
+          <ClashPanel
+            viewerRef={viewerRef}
+            onError={setError}
+            onClose={() => setShowClashes(false)}
+          />
+        )}
+
+        {/* Model version comparison */}
+        {showCompare && hasModel && engineReady && (
+          <ComparePanel
+            viewerRef={viewerRef}
+            refreshKey={treeRefreshKey}
+            onError={setError}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
+
+        {/* Loaded models */}
+        {showModels && hasModel && engineReady && (
+          <ModelManagerPanel
+            viewerRef={viewerRef}
+            refreshKey={treeRefreshKey}
+            onModelsChanged={handleModelsEdited}
+            onError={setError}
+            onClose={() => setShowModels(false)}
+          />
+        )}
+
         {/* Floating Toolbar */}
         {hasModel && engineReady && (
             <Toolbar 
@@ -110,14 +222,65 @@ export default function App() {
                 setIsClippingActive(active);
               }}
               onToggleClippingVisibility={() => setIsClippingVisible(viewerRef.current?.toggleClippingVisibility())}
+              onToggleSectionBox={async () => setIsSectionBoxActive(await viewerRef.current?.toggleSectionBox())}
+              onFitSectionBox={() => viewerRef.current?.fitSectionBoxToSelection()}
+              onResetSectionBox={() => viewerRef.current?.resetSectionBox()}
+              isSectionBoxActive={isSectionBoxActive}
+              sectionFillMode={sectionFillMode}
+              onCycleSectionFill={() => {
+                const next = SECTION_FILL_MODES[(SECTION_FILL_MODES.indexOf(sectionFillMode) + 1) % SECTION_FILL_MODES.length];
+                setSectionFillMode(viewerRef.current?.setSectionFillMode(next) ?? next);
+              }}
+              isSectionOutlinesActive={isSectionOutlinesActive}
+              onToggleSectionOutlines={() => setIsSectionOutlinesActive(viewerRef.current?.setSectionOutlines(!isSectionOutlinesActive) ?? false)}
+              onExportSection={async (format, sectionId) => {
+                const ok = await viewerRef.current?.exportSection(format, sectionId);
+                if (!ok) setError('That section plane is switched off or no longer exists.');
+              }}
+              viewerRef={viewerRef}
+              onError={setError}
+              isPlanViewActive={isPlanViewActive}
+              onExitPlanView={() => viewerRef.current?.exitPlanView()}
+              onViewpointRestored={({ isolated }) => setIsIsolateActive(isolated)}
+              measureMode={measureMode}
+              onMeasureModeChange={(mode) => setMeasureMode(viewerRef.current?.setMeasureMode(mode) ?? null)}
+              areaSelect={areaSelect}
+              onAreaSelectChange={(change) => setAreaSelect(viewerRef.current?.setAreaSelect(change) ?? areaSelect)}
               onHideSelection={() => viewerRef.current?.hideSelection()}
-              onShowAll={() => viewerRef.current?.showAll()}
+              onShowAll={() => {
+                viewerRef.current?.showAll();
+                setIsIsolateActive(false);
+              }}
+              onToggleIsolate={async () => {
+                const active = await viewerRef.current?.toggleIsolate();
+                if (!active && !isIsolateActive) setError('Select elements to isolate first.');
+                setIsIsolateActive(Boolean(active));
+              }}
+              onToggleGhost={async () => {
+                const active = await viewerRef.current?.toggleGhost();
+                if (!active && !isGhostActive) setError('Select elements to keep opaque first.');
+                setIsGhostActive(Boolean(active));
+              }}
+              isIsolateActive={isIsolateActive}
+              isGhostActive={isGhostActive}
               onToggleProperties={() => setShowProperties(!showProperties)}
               onToggleTree={() => setShowTree(!showTree)}
+              onToggleTakeoff={() => setShowTakeoff(!showTakeoff)}
+              onToggleThematic={() => setShowThematic(!showThematic)}
+              onToggleIssues={() => setShowIssues(!showIssues)}
+              onToggleClashes={() => setShowClashes(!showClashes)}
+              onToggleCompare={() => setShowCompare(!showCompare)}
+              onToggleModels={() => setShowModels(!showModels)}
               isClippingActive={isClippingActive}
               isClippingVisible={isClippingVisible}
               isPropertiesActive={showProperties}
               isTreeActive={showTree}
+              isTakeoffActive={showTakeoff}
+              isThematicActive={showThematic}
+              isIssuesActive={showIssues}
+              isClashesActive={showClashes}
+              isCompareActive={showCompare}
+              isModelsActive={showModels}
             />
         )}
 
@@ -128,7 +291,13 @@ export default function App() {
           </div>
         )}
 
-        <LoadingOverlay loading={loading} fileName={fileName} />
+        <LoadingOverlay
+          loading={loading}
+          fileName={fileName}
+          files={loadStatus}
+          onCancel={cancelFile}
+          onDismiss={dismissLoadStatus}
+        />
       </div>
 
       {/* Error Toast */}
@@ -0,0 +1,49 @@
+import { MousePointer2, SquareDashed, LassoSelect } from 'lucide-react';
+
+const TOOLS = [
+  { tool: null, label: 'Click', icon: <MousePointer2 size={14} /> },
+  { tool: 'rectangle', label: 'Rectangle', icon: <SquareDashed size={14} /> },
+  { tool: 'lasso', label: 'Lasso', icon: <LassoSelect size={14} /> },
+];
+
+const MODES = [
+  { mode: 'auto', label: 'By drag direction', hint: 'Left → right: window · right → left: crossing' },
+  { mode: 'window', label: 'Window', hint: 'Only elements fully inside' },
+  { mode: 'crossing', label: 'Crossing', hint: 'Every element the shape touches' },
+];
+
+/**
+ * AreaSelectMenu — popup for rectangle / lasso selection: the drag tool
+ * and the window / crossing semantics.
+ */
+export default function AreaSelectMenu({ tool, mode, onChange }) {
+  return (
+    <div className="toolbar-menu sections-menu">
+      <div className="toolbar-menu-title">Select</div>
+      <div className="measure-tools area-select-tools">
+        {TOOLS.map(({ tool: value, label, icon }) => (
+          <button
+            key={label}
+            className={`measure-tool ${tool === value ? 'active' : ''}`}
+            onClick={() => onChange({ tool: value })}
+            title={label}
+          >
+            {icon}
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
+      <div className="sections-empty">
+        {tool ? 'Drag to select' : 'Shift + drag to select'} · Ctrl adds to the selection
+      </div>
+
+      <div className="toolbar-menu-title">Area mode</div>
+      {MODES.map(({ mode: value, label, hint }) => (
+        <label key={value} className="toolbar-menu-item" title={hint}>
+          <input type="radio" name="area-select-mode" checked={mode === value} onChange={() => onChange({ mode: value })} />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Plus, Upload, Download, X, Trash2, Camera, Send, ChevronRight, ChevronDown } from 'lucide-react';
+import { BCF_TYPES, BCF_STATUSES, BCF_PRIORITIES, BCF_VERSIONS } from '../utils/BcfManager';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '');
+
+/** Lower-case class suffix for a status badge, e.g. "In Progress" → "in-progress" */
+const statusClass = (status) => String(status ?? '').toLowerCase().replace(/\s+/g, '-');
+
+/** Editable details, viewpoints and comments of one topic */
+function TopicDetails({ topic, users, viewerRef, onViewpointOpened, onError }) {
+  const [comment, setComment] = useState('');
+
+  const update = (data) => viewerRef.current?.updateBcfTopic(topic.guid, data);
+
+  const handleAddViewpoint = async () => {
+    try {
+      await viewerRef.current?.addBcfViewpoint(topic.guid);
+    } catch (err) {
+      onError?.(`Could not capture the viewpoint: ${err.message}`);
+    }
+  };
+
+  const handleOpenViewpoint = async (guid) => {
+    if (await viewerRef.current?.openBcfViewpoint(guid)) onViewpointOpened?.();
+  };
+
+  const handleComment = (e) => {
+    e.preventDefault();
+    const text = comment.trim();
+    if (!text) return;
+    // Comments refer to the latest viewpoint, as most BIM tools do
+    viewerRef.current?.addBcfComment(topic.guid, text, topic.viewpoints[topic.viewpoints.length - 1]?.guid);
+    setComment('');
+  };
+
+  return (
+    <div className="bcf-topic-details">
+      <div className="bcf-fields">
+        <label>
+          Type
+          <select value={topic.type} onChange={(e) => update({ type: e.target.value })}>
+            {[...new Set([...BCF_TYPES, topic.type])].map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </label>
+        <label>
+          Status
+          <select value={topic.status} onChange={(e) => update({ status: e.target.value })}>
+            {[...new Set([...BCF_STATUSES, topic.status])].map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label>
+          Priority
+          <select value={topic.priority} onChange={(e) => update({ priority: e.target.value })}>
+            {[...new Set(['', ...BCF_PRIORITIES, topic.priority])].map(p => <option key={p} value={p}>{p || '—'}</option>)}
+          </select>
+        </label>
+        <label>
+          Assigned to
+          <input
+            type="text"
+            list="bcf-users"
+            defaultValue={topic.assignedTo}
+            placeholder="name@company.com"
+            onBlur={(e) => e.target.value !== topic.assignedTo && update({ assignedTo: e.target.value || undefined })}
+          />
+        </label>
+        <label className="bcf-field-wide">
+          Description
+          <textarea
+            rows={2}
+            defaultValue={topic.description}
+            onBlur={(e) => e.target.value !== topic.description && update({ description: e.target.value })}
+          />
+        </label>
+        <datalist id="bcf-users">
+          {users.map(u => <option key={u} value={u} />)}
+        </datalist>
+      </div>
+
+      <div className="bcf-section-title">
+        Viewpoints
+        <button className="tree-row-btn" title="Add the current view" onClick={handleAddViewpoint}>
+          <Camera size={12} />
+        </button>
+      </div>
+      {topic.viewpoints.length === 0 ? (
+        <div className="sections-empty">No viewpoints — set up the view and add it</div>
+      ) : (
+        <div className="bcf-viewpoints">
+          {topic.viewpoints.map((viewpoint, i) => (
+            <button key={viewpoint.guid} className="bcf-viewpoint" title="Show this viewpoint" onClick={() => handleOpenViewpoint(viewpoint.guid)}>
+              {viewpoint.snapshot ? <img src={viewpoint.snapshot} alt="" /> : <span>#{i + 1}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bcf-section-title">Comments</div>
+      {topic.comments.map(c => (
+        <div key={c.guid} className="bcf-comment">
+          <div className="bcf-comment-meta">
+            <span>{c.author}</span>
+            <span>{formatDate(c.date)}</span>
+            {c.viewpoint && (
+              <button className="tree-row-btn" title="Show the comment's viewpoint" onClick={() => handleOpenViewpoint(c.viewpoint)}>
+                <Camera size={11} />
+              </button>
+            )}
+            <button className="tree-row-btn" title="Delete comment" onClick={() => viewerRef.current?.deleteBcfComment(topic.guid, c.guid)}>
+              <X size={11} />
+            </button>
+          </div>
+          <div className="bcf-comment-text">{c.text}</div>
+        </div>
+      ))}
+      <form className="sections-save" onSubmit={handleComment}>
+        <input type="text" placeholder="Add a comment…" value={comment} onChange={(e) => setComment(e.target.value)} />
+        <button className="tree-row-btn" type="submit" title="Post comment" disabled={!comment.trim()}>
+          <Send size={12} />
+        </button>
+      </form>
+
+      <button className="toolbar-menu-item bcf-delete" onClick={() => viewerRef.current?.deleteBcfTopic(topic.guid)}>
+        <Trash2 size={12} /> Delete topic
+      </button>
+    </div>
+  );
+}
+
+/**
+ * BcfPanel — BCF issue management: topics with type, status, priority,
+ * assignee, description, comments and viewpoints (camera, selection,
+ * visibility, clipping and a snapshot), imported from and exported to
+ * .bcfzip files (BCF 2.1 / 3.0) for exchange with other BIM tools.
+ */
+export default function BcfPanel({ viewerRef, onViewpointOpened, onError, onClose }) {
+  const [topics, setTopics] = useState(() => viewerRef.current?.getBcfTopics() ?? []);
+  const [settings, setSettings] = useState(() => viewerRef.current?.getBcfSettings() ?? { author: '', version: '3', users: [] });
+  const [title, setTitle] = useState('');
+  const [openGuid, setOpenGuid] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Follow changes from any source (this panel, imports)
+  useEffect(() => viewerRef.current?.onBcfChanged(() => {
+    setTopics(viewerRef.current?.getBcfTopics() ?? []);
+    setSettings(viewerRef.current?.getBcfSettings());
+  }), [viewerRef]);
+
+  const changeSettings = useCallback((change) => {
+    viewerRef.current?.setBcfSettings(change);
+    setSettings(viewerRef.current?.getBcfSettings());
+  }, [viewerRef]);
+
+  const handleCreate = useCallback(async (e) => {
+    e.preventDefault();
+    const trimmed = title.trim();
+    if (!trimmed) return;
+    const guid = viewerRef.current?.createBcfTopic({ title: trimmed });
+    setTitle('');
+    setOpenGuid(guid);
+    // A new issue starts from what is on screen
+    try {
+      if (guid) await viewerRef.current?.addBcfViewpoint(guid);
+    } catch (err) {
+      onError?.(`Could not capture the viewpoint: ${err.message}`);
+    }
+  }, [title, viewerRef, onError]);
+
+  const handleExport = useCallback(async () => {
+    setBusy(true);
+    try {
+      await viewerRef.current?.exportBcf();
+    } catch (err) {
+      onError?.(`Could not export BCF: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [viewerRef, onError]);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    try {
+      const count = await viewerRef.current?.importBcf(await file.arrayBuffer());
+      if (!count) onError?.(`${file.name} contains no BCF topics.`);
+    } catch (err) {
+      onError?.(`Could not import ${file.name}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [viewerRef, onError]);
+
+  return (
+    <div className="bcf-panel">
+      <div className="panel-header">
+        <h3><span>Issues (BCF)</span></h3>
+        <div className="tree-header-actions">
+          <button className="tree-action-btn" onClick={() => fileInputRef.current?.click()} title="Import .bcfzip" disabled={busy}>
+            <Upload size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={handleExport} title="Export .bcfzip" disabled={busy || topics.length === 0}>
+            <Download size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+          <input ref={fileInputRef} type="file" accept=".bcfzip,.bcf,.zip" hidden onChange={handleImport} />
+        </div>
+      </div>
+
+      <div className="bcf-settings">
+        <input
+          type="text"
+          defaultValue={settings.author}
+          placeholder="Your e-mail (author)"
+          title="Author of new topics and comments"
+          onBlur={(e) => e.target.value.trim() && changeSettings({ author: e.target.value.trim() })}
+        />
+        <select value={settings.version} onChange={(e) => changeSettings({ version: e.target.value })} title="BCF version for export">
+          {BCF_VERSIONS.map(v => <option key={v} value={v}>BCF {v === '3' ? '3.0' : v}</option>)}
+        </select>
+      </div>
+
+      <form className="sections-save bcf-new-topic" onSubmit={handleCreate}>
+        <input type="text" placeholder="New issue title…" value={title} onChange={(e) => setTitle(e.target.value)} />
+        <button className="tree-row-btn" type="submit" title="Create issue with the current view" disabled={!title.trim()}>
+          <Plus size={12} />
+        </button>
+      </form>
+
+      <div className="panel-content">
+        {topics.length === 0 ? (
+          <div className="empty-props">No issues yet. Create one or import a .bcfzip.</div>
+        ) : topics.map(topic => (
+          <div key={topic.guid} className={`bcf-topic ${openGuid === topic.guid ? 'bcf-topic--open' : ''}`}>
+            <button className="bcf-topic-header" onClick={() => setOpenGuid(openGuid === topic.guid ? null : topic.guid)}>
+              {openGuid === topic.guid ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+              <span className="bcf-topic-title">{topic.title}</span>
+              <span className={`bcf-status bcf-status--${statusClass(topic.status)}`}>{topic.status}</span>
+            </button>
+            <div className="bcf-topic-meta">
+              {topic.type} · {topic.priority || 'no priority'} · {topic.assignedTo || 'unassigned'}
+            </div>
+            {openGuid === topic.guid && (
+              <TopicDetails
+                topic={topic}
+                users={settings.users}
+                viewerRef={viewerRef}
+                onViewpointOpened={onViewpointOpened}
+                onError={onError}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
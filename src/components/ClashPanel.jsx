@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Play, Square, X, FileDown, FileSpreadsheet, Crosshair, ChevronRight, ChevronDown } from 'lucide-react';
+import { CLASH_STATUSES, DEFAULT_CLASH_OPTIONS } from '../utils/ClashDetector';
+import { createXlsx } from '../utils/xlsx';
+import { downloadFile, toCSV } from '../utils/download';
+
+const PHASE_LABELS = {
+  query: 'Finding elements',
+  geometry: 'Reading geometry',
+  test: 'Testing pairs',
+};
+
+/** Clash distance for display: penetration of hard clashes, gap of clearance clashes */
+const formatDistance = (clash) => `${clash.type === 'hard' ? '↧' : '↔'} ${Math.abs(clash.distance * 1000).toFixed(0)} mm`;
+
+const describeElement = (e) => `${e.ifcClass}${e.name ? ` · ${e.name}` : ''}`;
+
+/** ModelIdMap of both elements of every clash */
+function clashElements(clashes) {
+  const map = {};
+  for (const { a, b } of clashes) {
+    for (const { modelId, localId } of [a, b]) (map[modelId] ??= new Set()).add(localId);
+  }
+  return map;
+}
+
+/**
+ * ClashPanel — clash detection between two element sets given as filter
+ * queries (e.g. structure against MEP). Reports hard clashes deeper than the
+ * tolerance and clearance clashes closer than the clearance, grouped into
+ * clusters of nearby clashes; each clash can be zoomed to, given a review
+ * status and exported with the rest as CSV / XLSX.
+ */
+export default function ClashPanel({ viewerRef, onError, onClose }) {
+  const [queryA, setQueryA] = useState('IfcBeam, IfcColumn');
+  const [queryB, setQueryB] = useState('IfcFlowSegment, IfcPipeSegment, IfcDuctSegment, IfcCableCarrierSegment');
+  const [options, setOptions] = useState(() => viewerRef.current?.getClashOptions() ?? DEFAULT_CLASH_OPTIONS);
+  const [clusters, setClusters] = useState(() => viewerRef.current?.getClashResults() ?? []);
+  const [progress, setProgress] = useState(null);   // { phase, done, total } while running
+  const [statusFilter, setStatusFilter] = useState('');
+  const [openCluster, setOpenCluster] = useState(null);
+
+  // Results change on runs, status edits and when models are cleared
+  useEffect(() => viewerRef.current?.onClashesChanged(() => {
+    setClusters(viewerRef.current?.getClashResults() ?? []);
+  }), [viewerRef]);
+
+  const visibleClusters = useMemo(() => (
+    statusFilter
+      ? clusters
+        .map(cluster => ({ ...cluster, clashes: cluster.clashes.filter(c => c.status === statusFilter) }))
+        .filter(cluster => cluster.clashes.length > 0)
+      : clusters
+  ), [clusters, statusFilter]);
+
+  const clashCount = useMemo(() => clusters.reduce((n, c) => n + c.clashes.length, 0), [clusters]);
+
+  const handleRun = useCallback(async (e) => {
+    e.preventDefault();
+    setProgress({ phase: 'query', done: 0, total: 0 });
+    setOpenCluster(null);
+    try {
+      await viewerRef.current?.runClashDetection(queryA, queryB, options, setProgress);
+    } catch (err) {
+      if (err.name !== 'AbortError') onError?.(`Clash detection failed: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  }, [viewerRef, queryA, queryB, options, onError]);
+
+  const handleZoom = useCallback(async (clashes) => {
+    const map = clashElements(clashes);
+    await viewerRef.current?.selectElements(map);
+    await viewerRef.current?.zoomToElements(map);
+  }, [viewerRef]);
+
+  const handleExport = (format) => {
+    const table = viewerRef.current?.getClashTable() ?? [];
+    if (format === 'xlsx') {
+      downloadFile('clashes.xlsx', createXlsx('Clashes', table));
+    } else {
+      downloadFile('clashes.csv', toCSV(table), 'text/csv');
+    }
+  };
+
+  const setOption = (key) => (e) => {
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= 0) setOptions(current => ({ ...current, [key]: value }));
+  };
+
+  const running = progress !== null;
+
+  return (
+    <div className="clash-panel">
+      <div className="panel-header">
+        <h3>
+          <span>Clash Detection</span>
+          {clashCount > 0 && <span className="tree-count-badge">{clashCount}</span>}
+        </h3>
+        <div className="tree-header-actions">
+          <button className="tree-action-btn" onClick={() => handleExport('csv')} title="Export CSV" disabled={clashCount === 0}>
+            <FileDown size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={() => handleExport('xlsx')} title="Export XLSX" disabled={clashCount === 0}>
+            <FileSpreadsheet size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <form className="clash-setup" onSubmit={handleRun}>
+        <label>
+          Set A
+          <input type="text" value={queryA} onChange={(e) => setQueryA(e.target.value)} disabled={running} spellCheck={false} />
+        </label>
+        <label>
+          Set B
+          <input type="text" value={queryB} onChange={(e) => setQueryB(e.target.value)} disabled={running} spellCheck={false} />
+        </label>
+        <div className="clash-options">
+          <label title="Penetration below this depth counts as touching">
+            Tolerance (m)
+            <input type="number" min="0" step="0.005" value={options.tolerance} onChange={setOption('tolerance')} disabled={running} />
+          </label>
+          <label title="Report elements closer than this; 0 for hard clashes only">
+            Clearance (m)
+            <input type="number" min="0" step="0.01" value={options.clearance} onChange={setOption('clearance')} disabled={running} />
+          </label>
+          <label title="Clashes this close to each other are grouped">
+            Cluster (m)
+            <input type="number" min="0" step="0.5" value={options.clusterRadius} onChange={setOption('clusterRadius')} disabled={running} />
+          </label>
+        </div>
+        <div className="clash-run">
+          {running ? (
+            <>
+              <div className="spinner-small" />
+              <span>
+                {PHASE_LABELS[progress.phase]}…{progress.total > 0 && ` ${Math.round(progress.done / progress.total * 100)}%`}
+              </span>
+              <button type="button" className="toolbar-menu-item" onClick={() => viewerRef.current?.cancelClashDetection()}>
+                <Square size={12} /> Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} title="Show clashes with this status">
+                <option value="">All statuses</option>
+                {CLASH_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+              <button type="submit" className="toolbar-menu-item" disabled={!queryA.trim() || !queryB.trim()}>
+                <Play size={12} /> Run
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+
+      <div className="panel-content">
+        {visibleClusters.length === 0 ? (
+          <div className="empty-props">{clusters.length === 0 ? 'No results. Pick two sets and run the test.' : 'No clashes with this status.'}</div>
+        ) : visibleClusters.map(cluster => (
+          <div key={cluster.index} className="clash-cluster">
+            <div className="clash-cluster-header">
+              <button className="clash-cluster-toggle" onClick={() => setOpenCluster(openCluster === cluster.index ? null : cluster.index)}>
+                {openCluster === cluster.index ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                <span>Cluster {cluster.index + 1}</span>
+                <span className="tree-count-badge">{cluster.clashes.length}</span>
+              </button>
+              <button className="tree-row-btn" title="Zoom to cluster" onClick={() => handleZoom(cluster.clashes)}>
+                <Crosshair size={12} />
+              </button>
+            </div>
+            {openCluster === cluster.index && cluster.clashes.map(clash => (
+              <div key={clash.id} className="clash-row">
+                <div className="clash-row-elements" title={`${clash.a.modelId} × ${clash.b.modelId}`}>
+                  <span>{describeElement(clash.a)}</span>
+                  <span>{describeElement(clash.b)}</span>
+                </div>
+                <span className={`clash-type clash-type--${clash.type}`} title={clash.type === 'hard' ? 'Penetration' : 'Clear distance'}>
+                  {formatDistance(clash)}
+                </span>
+                <select value={clash.status} onChange={(e) => viewerRef.current?.setClashStatus(clash.id, e.target.value)}>
+                  {CLASH_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <button className="tree-row-btn" title="Zoom to clash" onClick={() => handleZoom([clash])}>
+                  <Crosshair size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { GitCompare, ArrowLeftRight, X, Search } from 'lucide-react';
+import { DIFF_STATUSES, DIFF_LABELS, DIFF_COLORS, countDiff } from '../utils/modelDiff';
+
+/** Rows rendered at once; the search narrows longer lists */
+const MAX_LISTED = 300;
+
+const PHASE_LABELS = {
+  properties: 'Reading properties',
+  geometry: 'Comparing geometry',
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+  return String(value);
+}
+
+/**
+ * ComparePanel — compare two loaded revisions of a model by GlobalId.
+ * Elements are coloured in the viewport by status (added, deleted,
+ * geometry or properties changed; the base model only shows what was
+ * deleted) and listed with a property-level diff.
+ */
+export default function ComparePanel({ viewerRef, refreshKey, onError, onClose }) {
+  const [modelIds, setModelIds] = useState([]);
+  const [baseId, setBaseId] = useState('');
+  const [revisionId, setRevisionId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [statuses, setStatuses] = useState(DIFF_STATUSES);
+  const [search, setSearch] = useState('');
+  const [openGuid, setOpenGuid] = useState(null);
+  const [progress, setProgress] = useState(null);   // { phase, done, total } while comparing
+
+  // Models come and go; default to the first loaded as base and the last as revision
+  useEffect(() => {
+    const ids = viewerRef.current?.getModelIds() ?? [];
+    setModelIds(ids);
+    setBaseId(current => (ids.includes(current) ? current : ids[0] ?? ''));
+    setRevisionId(current => (ids.includes(current) ? current : ids[ids.length - 1] ?? ''));
+  }, [viewerRef, refreshKey]);
+
+  // Leaving compare mode restores the viewport
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    return () => { viewer?.exitModelDiff(); };
+  }, [viewerRef]);
+
+  const counts = useMemo(() => countDiff(diff), [diff]);
+
+  const listed = useMemo(() => {
+    if (!diff) return [];
+    const needle = search.trim().toLowerCase();
+    return diff.elements.filter(e => statuses.includes(e.status) && (
+      !needle
+      || e.ifcClass.toLowerCase().includes(needle)
+      || (e.name ?? '').toLowerCase().includes(needle)
+      || e.guid.toLowerCase().includes(needle)
+    ));
+  }, [diff, statuses, search]);
+
+  const handleCompare = useCallback(async () => {
+    setProgress({ phase: 'properties', done: 0, total: 0 });
+    setOpenGuid(null);
+    try {
+      const result = await viewerRef.current?.compareModels(baseId, revisionId, setProgress);
+      if (!result) return;
+      setDiff(result);
+      setStatuses(DIFF_STATUSES);
+      await viewerRef.current?.showModelDiff(result, DIFF_STATUSES);
+    } catch (err) {
+      onError?.(`Could not compare the models: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  }, [viewerRef, baseId, revisionId, onError]);
+
+  const toggleStatus = useCallback((status) => {
+    const next = statuses.includes(status) ? statuses.filter(s => s !== status) : DIFF_STATUSES.filter(s => s === status || statuses.includes(s));
+    setStatuses(next);
+    viewerRef.current?.showModelDiff(diff, next);
+  }, [viewerRef, diff, statuses]);
+
+  const handleOpen = useCallback(async (element) => {
+    const open = openGuid !== element.guid;
+    setOpenGuid(open ? element.guid : null);
+    if (!open) return;
+    const [modelId, localId] = element.status === 'deleted'
+      ? [diff.baseId, element.baseLocalId]
+      : [diff.revisionId, element.revisionLocalId];
+    await viewerRef.current?.selectElements({ [modelId]: new Set([localId]) });
+    await viewerRef.current?.fitToElements(modelId, [localId]);
+  }, [viewerRef, diff, openGuid]);
+
+  const running = progress !== null;
+
+  return (
+    <div className="compare-panel">
+      <div className="panel-header">
+        <h3><span>Compare Versions</span></h3>
+        <div className="tree-header-actions">
+          <button className="tree-action-btn" onClick={onClose} title="Close and restore the view">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="compare-setup">
+        {modelIds.length < 2 ? (
+          <div className="sections-empty">Load both revisions (+ Add in the header) to compare them.</div>
+        ) : (
+          <>
+            <label>
+              Base
+              <select value={baseId} onChange={(e) => setBaseId(e.target.value)} disabled={running}>
+                {modelIds.map(id => <option key={id} value={id}>{id}</option>)}
+              </select>
+            </label>
+            <button
+              className="tree-row-btn"
+              title="Swap"
+              disabled={running}
+              onClick={() => { setBaseId(revisionId); setRevisionId(baseId); }}
+            >
+              <ArrowLeftRight size={12} />
+            </button>
+            <label>
+              Revision
+              <select value={revisionId} onChange={(e) => setRevisionId(e.target.value)} disabled={running}>
+                {modelIds.map(id => <option key={id} value={id}>{id}</option>)}
+              </select>
+            </label>
+            <button className="toolbar-menu-item" onClick={handleCompare} disabled={running || !baseId || baseId === revisionId}>
+              <GitCompare size={12} /> Compare
+            </button>
+          </>
+        )}
+      </div>
+
+      {running && (
+        <div className="tree-empty">
+          <div className="spinner-small" />
+          <span>{PHASE_LABELS[progress.phase]}…{progress.total > 0 && ` ${Math.round(progress.done / progress.total * 100)}%`}</span>
+        </div>
+      )}
+
+      {diff && !running && (
+        <>
+          <div className="compare-legend">
+            {DIFF_STATUSES.map(status => (
+              <button
+                key={status}
+                className={`compare-legend-item ${statuses.includes(status) ? 'active' : ''}`}
+                title={statuses.includes(status) ? 'Hide in list and viewport' : 'Show in list and viewport'}
+                onClick={() => toggleStatus(status)}
+              >
+                <span className="thematic-swatch" style={{ background: DIFF_COLORS[status] }} />
+                <span>{DIFF_LABELS[status]}</span>
+                <span className="tree-count-badge">{counts[status]}</span>
+              </button>
+            ))}
+            <span className="compare-unchanged">{diff.unchanged} unchanged</span>
+          </div>
+          <div className="tree-search">
+            <Search size={12} className="tree-search-icon" />
+            <input
+              className="tree-search-input"
+              type="text"
+              placeholder="Filter by class, name or GlobalId…"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+        </>
+      )}
+
+      <div className="panel-content">
+        {diff && !running && listed.length === 0 && <div className="empty-props">No changed elements.</div>}
+        {!running && listed.slice(0, MAX_LISTED).map(element => (
+          <div key={element.guid} className="compare-element">
+            <button className="compare-element-header" onClick={() => handleOpen(element)} title={element.guid}>
+              <span className="thematic-swatch" style={{ background: DIFF_COLORS[element.status] }} />
+              <span className="compare-element-class">{element.ifcClass}</span>
+              <span className="compare-element-name">{element.name ?? element.guid}</span>
+              {element.changes.length > 0 && <span className="tree-count-badge">{element.changes.length}</span>}
+            </button>
+            {openGuid === element.guid && (
+              <div className="compare-changes">
+                {element.status === 'added' && <div className="sections-empty">New in {diff.revisionId}</div>}
+                {element.status === 'deleted' && <div className="sections-empty">Not in {diff.revisionId}</div>}
+                {element.status === 'geometry' && <div className="sections-empty">Shape or position changed</div>}
+                {element.changes.length > 0 && (
+                  <table className="compare-table">
+                    <thead>
+                      <tr><th>Property</th><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                      {element.changes.map(change => (
+                        <tr key={change.field}>
+                          <td title={change.field}>{change.field}</td>
+                          <td className="compare-before">{formatValue(change.before)}</td>
+                          <td className="compare-after">{formatValue(change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+        {!running && listed.length > MAX_LISTED && (
+          <div className="sections-empty">{listed.length - MAX_LISTED} more — narrow the list with the filter</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useRef, useState, useCallback } from 'react';
+import { isFragmentsFile } from '../utils/fragmentsCache';
 
 export default function FileUpload({ onFileLoad, disabled }) {
   const inputRef = useRef(null);
@@ -8,10 +9,10 @@ export default function FileUpload({ onFileLoad, disabled }) {
     (files) => {
       if (!files || files.length === 0) return;
       
-      const validFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.ifc'));
+      const validFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.ifc') || isFragmentsFile(f.name));
 
       if (validFiles.length === 0) {
-        alert('Please select valid .ifc files');
+        alert('Please select valid .ifc or .frag files');
         return;
       }
 
@@ -85,16 +86,16 @@ export default function FileUpload({ onFileLoad, disabled }) {
         >
           <div className="dropzone-text">
             <p className="dropzone-main">
-              Drop your <strong>.ifc</strong> file here or <span>browse</span>
+              Drop your <strong>.ifc</strong> or <strong>.frag</strong> file here or <span>browse</span>
             </p>
-            <p className="dropzone-sub">IFC 2x3 &amp; IFC 4 supported</p>
+            <p className="dropzone-sub">IFC 2x3 &amp; IFC 4 supported · converted models reopen from cache</p>
           </div>
         </div>
 
         <input
           ref={inputRef}
           type="file"
-          accept=".ifc"
+          accept=".ifc,.frag"
           multiple
           className="file-input"
           onChange={onChange}
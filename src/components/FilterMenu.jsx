@@ -0,0 +1,162 @@
+import { useState, useCallback } from 'react';
+import { Play, MousePointer2, Focus, EyeOff, Paintbrush, RotateCcw, Save, X } from 'lucide-react';
+import { listSavedFilters, saveFilter, deleteFilter } from '../utils/savedFilters';
+
+const EXAMPLE_QUERY = "IfcWall where Pset_WallCommon.IsExternal = true and FireRating contains 'EI'";
+
+const DEFAULT_COLOR = '#f59e0b';
+
+/**
+ * FilterMenu — popup to write and run element filter queries
+ * (see elementQuery.js), act on the matching elements across all models
+ * (select, isolate, hide, colour) and keep named queries for later sessions.
+ */
+export default function FilterMenu({ viewerRef, onError }) {
+  const [query, setQuery] = useState('');
+  const [result, setResult] = useState(null);       // { modelIdMap, count } of the last run
+  const [syntaxError, setSyntaxError] = useState(null);
+  const [progress, setProgress] = useState(null);   // 0…1 while running
+  const [color, setColor] = useState(DEFAULT_COLOR);
+  const [saved, setSaved] = useState(listSavedFilters);
+  const [name, setName] = useState('');
+
+  const run = useCallback(async (text) => {
+    if (!viewerRef.current || !text.trim()) return null;
+    setSyntaxError(null);
+    setProgress(0);
+    try {
+      const found = await viewerRef.current.queryElements(text, (done, total) => setProgress(total ? done / total : 1));
+      setResult(found);
+      return found;
+    } catch (err) {
+      setResult(null);
+      setSyntaxError(err.message);
+      return null;
+    } finally {
+      setProgress(null);
+    }
+  }, [viewerRef]);
+
+  const handleRun = useCallback((e) => {
+    e.preventDefault();
+    run(query);
+  }, [query, run]);
+
+  const handleQueryChange = (text) => {
+    setQuery(text);
+    setResult(null);
+    setSyntaxError(null);
+  };
+
+  const handleAction = useCallback(async (action) => {
+    if (!result || result.count === 0) return;
+    try {
+      if (action === 'select') await viewerRef.current?.selectElements(result.modelIdMap);
+      if (action === 'isolate') await viewerRef.current?.isolateElements(result.modelIdMap);
+      if (action === 'hide') await viewerRef.current?.hideElements(result.modelIdMap);
+      if (action === 'color') await viewerRef.current?.colorElements(result.modelIdMap, color);
+    } catch (err) {
+      onError?.(`Filter action failed: ${err.message}`);
+    }
+  }, [result, color, viewerRef, onError]);
+
+  const handleSave = useCallback((e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || !query.trim()) return;
+    saveFilter(trimmed, query.trim());
+    setSaved(listSavedFilters());
+    setName('');
+  }, [name, query]);
+
+  const handleLoad = useCallback((filter) => {
+    setQuery(filter.query);
+    run(filter.query);
+  }, [run]);
+
+  const handleDelete = useCallback((filterName) => {
+    deleteFilter(filterName);
+    setSaved(listSavedFilters());
+  }, []);
+
+  const hasMatches = result?.count > 0 && progress === null;
+
+  return (
+    <div className="toolbar-menu sections-menu filter-menu">
+      <div className="toolbar-menu-title">Filter elements</div>
+      <form className="filter-query" onSubmit={handleRun}>
+        <textarea
+          rows={3}
+          placeholder={EXAMPLE_QUERY}
+          value={query}
+          spellCheck={false}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleRun(e);
+          }}
+        />
+        <button className="tree-row-btn" type="submit" title="Run (Ctrl + Enter)" disabled={!query.trim() || progress !== null}>
+          <Play size={12} />
+        </button>
+      </form>
+
+      {syntaxError && <div className="filter-error">{syntaxError}</div>}
+      {progress !== null && (
+        <div className="sections-empty">Reading properties… {Math.round(progress * 100)}%</div>
+      )}
+      {result && progress === null && (
+        <div className="sections-empty">
+          {result.count === 0 ? 'No matching elements' : `${result.count} matching element${result.count === 1 ? '' : 's'}`}
+        </div>
+      )}
+      {!result && !syntaxError && progress === null && (
+        <div className="sections-empty">
+          Classes, then <code>where</code> with = != &lt; &gt; contains, between … and …, exists, and / or / not
+        </div>
+      )}
+
+      <div className="filter-actions">
+        <button className="tree-row-btn" title="Select matches" disabled={!hasMatches} onClick={() => handleAction('select')}>
+          <MousePointer2 size={12} />
+        </button>
+        <button className="tree-row-btn" title="Isolate matches" disabled={!hasMatches} onClick={() => handleAction('isolate')}>
+          <Focus size={12} />
+        </button>
+        <button className="tree-row-btn" title="Hide matches" disabled={!hasMatches} onClick={() => handleAction('hide')}>
+          <EyeOff size={12} />
+        </button>
+        <span className="filter-actions-spacer" />
+        <input type="color" value={color} title="Colour for matches" onChange={(e) => setColor(e.target.value)} />
+        <button className="tree-row-btn" title="Colour matches" disabled={!hasMatches} onClick={() => handleAction('color')}>
+          <Paintbrush size={12} />
+        </button>
+        <button className="tree-row-btn" title="Reset colours" onClick={() => viewerRef.current?.resetColors()}>
+          <RotateCcw size={12} />
+        </button>
+      </div>
+
+      <div className="toolbar-menu-title">Saved filters</div>
+      <form className="sections-save" onSubmit={handleSave}>
+        <input
+          type="text"
+          placeholder="Name this filter…"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="tree-row-btn" type="submit" title="Save query" disabled={!name.trim() || !query.trim()}>
+          <Save size={12} />
+        </button>
+      </form>
+      {saved.map(filter => (
+        <div key={filter.name} className="sections-row">
+          <button className="toolbar-menu-item sections-row-label" title={filter.query} onClick={() => handleLoad(filter)}>
+            {filter.name}
+          </button>
+          <button className="tree-row-btn" title="Delete" onClick={() => handleDelete(filter.name)}>
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useCallback } from 'react';
+import { isFragmentsFile } from '../utils/fragmentsCache';
 
 const Header = ({ 
   hasModel, 
@@ -6,6 +7,7 @@ const Header = ({
   fileName, 
   loading, 
   onAddClick, 
+  onExportFragments,
   onReset 
 }) => {
   return (
@@ -26,14 +28,14 @@ const Header = ({
               <span>+ Add</span>
               <input 
                 type="file" 
-                accept=".ifc" 
+                accept=".ifc,.frag" 
                 multiple 
                 style={{display: 'none'}}
                 onChange={(e) => {
                   const files = e.target.files;
                   if (!files || files.length === 0) return;
                   
-                  const validFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.ifc'));
+                  const validFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.ifc') || isFragmentsFile(f.name));
                   const readers = validFiles.map(file => {
                       return new Promise((resolve) => {
                         const reader = new FileReader();
@@ -48,6 +50,14 @@ const Header = ({
               />
             </label>
 
+            <button
+              className="btn btn-ghost"
+              onClick={onExportFragments}
+              title="Save the converted models as .frag files, which open without re-converting"
+            >
+              ⤓ .frag
+            </button>
+
             <button className="btn btn-ghost" onClick={onReset}>
               ✕ Reset
             </button>
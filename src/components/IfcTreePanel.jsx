@@ -1,197 +1,409 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef, memo } from 'react';
 import { SPATIAL_TYPES, getTypeIcon, getTypeLabel } from '../utils/ifcTypes';
-import { Eye, EyeOff, ChevronRight, ChevronDown, RefreshCw, X, Search } from 'lucide-react';
+import { TreeIndex } from '../utils/TreeIndex';
+import { TREE_MODES } from '../utils/treeGroupings';
+import { useSelection } from '../contexts/SelectionContext.jsx';
+import {
+  Eye, EyeOff, ChevronRight, ChevronDown, RefreshCw, X, Search, Scissors, MapIcon, ZoomIn, Focus, MousePointer2,
+} from 'lucide-react';
 
-/* ─── Utility ─── */
+/** Default plan cut height above the storey elevation, in metres */
+const DEFAULT_CUT_HEIGHT = 1.2;
 
-/** Collect all expressIDs in a subtree (inclusive) */
-function collectAllIDs(node) {
-  const ids = [];
-  if (node.expressID != null) ids.push(node.expressID);
-  for (const child of node.children ?? []) {
-    ids.push(...collectAllIDs(child));
-  }
-  return ids;
+/** Height of every row in px (.tree-virtual .tree-row: 26 px + 2 px margin) */
+const ROW_HEIGHT = 28;
+
+/** Rows rendered above and below the visible window */
+const OVERSCAN = 12;
+
+/** Names fetched per request while indexing for a search */
+const SEARCH_NAME_BATCH = 5000;
+
+/* ─── Context menu ─── */
+
+/**
+ * Right-click menu of a tree row. Acts on the row's element, or on every
+ * element below it for spatial nodes, folders and groups.
+ */
+function TreeContextMenu({ entry, x, y, onAction, onClose }) {
+  const menuRef = useRef(null);
+
+  // Close on any click outside, Escape or scrolling
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('wheel', onClose, { passive: true });
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('wheel', onClose);
+    };
+  }, [onClose]);
+
+  // Element rows and IFC class folders can select their whole class
+  const ifcClass = entry.element || (entry.expressID == null && !entry.group) ? entry.type : null;
+
+  return (
+    <div ref={menuRef} className="toolbar-menu tree-context-menu" style={{ left: x, top: y }}>
+      <button className="toolbar-menu-item" onClick={() => onAction('zoom')}>
+        <ZoomIn size={14} /> Zoom to
+      </button>
+      <button className="toolbar-menu-item" onClick={() => onAction('isolate')}>
+        <Focus size={14} /> Isolate
+      </button>
+      <button className="toolbar-menu-item" onClick={() => onAction('hideOthers')}>
+        <EyeOff size={14} /> Hide others
+      </button>
+      {ifcClass && (
+        <button className="toolbar-menu-item" onClick={() => onAction('selectClass')}>
+          <MousePointer2 size={14} /> Select all {ifcClass}
+        </button>
+      )}
+    </div>
+  );
 }
 
-/** Check if a node or any of its descendants match the search query */
-function nodeMatchesSearch(node, query) {
-  if (!query) return true;
-  const q = query.toLowerCase();
-  const nameMatch = node.name?.toLowerCase().includes(q);
-  const typeMatch = node.type?.toLowerCase().includes(q);
-  if (nameMatch || typeMatch) return true;
-  return (node.children ?? []).some(c => nodeMatchesSearch(c, query));
+/* ─── Rows ─── */
+
+function ModelHeaderRow({ name }) {
+  return (
+    <div className="tree-model-header">
+      <span>📁</span>
+      <span className="tree-model-name" title={name}>{name}</span>
+    </div>
+  );
 }
 
-/* ─── TreeNode ─── */
+const TreeRow = memo(function TreeRow({
+  entry, name, index, expanded, hasChildren, isHidden, isSelected, viewerRef, cutHeight,
+  onSelectGroup, onToggleExpanded, onToggleHidden, onOpenMenu, onFocus,
+}) {
+  const { modelId, expressID, type } = entry;
+  const isSpatial = SPATIAL_TYPES.has(type);
 
-function TreeNode({ node, viewerRef, hiddenIDs, onToggleHidden, modelId, depth = 0 }) {
-  const isSpatial = SPATIAL_TYPES.has(node.type);
-  const [expanded, setExpanded] = useState(isSpatial || node.expressID == null);
-  const hasChildren = (node.children?.length ?? 0) > 0;
+  // Ctrl / Cmd + click adds to or removes from the selection; a group selects its elements
+  const handleSelect = (e) => {
+    e.stopPropagation();
+    if (entry.group) onSelectGroup(index, e.ctrlKey || e.metaKey);
+    else viewerRef.current?.highlightNode(expressID, modelId, { toggle: e.ctrlKey || e.metaKey });
+  };
 
-  const isHidden = useMemo(() => {
-    if (node.expressID != null) return hiddenIDs.has(node.expressID);
-    if (!hasChildren) return false;
-    const all = collectAllIDs(node);
-    return all.length > 0 && all.every(id => hiddenIDs.has(id));
-  }, [node, hiddenIDs, hasChildren]);
+  const handleExpand = (e) => {
+    e.stopPropagation();
+    onToggleExpanded(index);
+  };
 
-  const handleSelect = useCallback((e) => {
+  // Double-click flies the camera to the row's elements
+  const handleDoubleClick = (e) => {
     e.stopPropagation();
-    viewerRef.current?.highlightNode(node.expressID, modelId);
-  }, [node.expressID, modelId, viewerRef]);
+    onFocus(index);
+  };
 
-  const handleToggleVisible = useCallback((e) => {
+  const handleContextMenu = (e) => {
+    e.preventDefault();
     e.stopPropagation();
-    const allIDs = collectAllIDs(node);
-    onToggleHidden(allIDs, !isHidden, modelId);
-  }, [node, isHidden, modelId, onToggleHidden]);
+    onOpenMenu(index, e.clientX, e.clientY);
+  };
 
-  const handleExpand = useCallback((e) => {
+  const handleToggleVisible = (e) => {
     e.stopPropagation();
-    setExpanded(v => !v);
-  }, []);
+    onToggleHidden(index, !isHidden);
+  };
+
+  const handlePlanCut = (e) => {
+    e.stopPropagation();
+    viewerRef.current?.createPlanCut(modelId, expressID, cutHeight);
+  };
+
+  const handlePlanView = (e) => {
+    e.stopPropagation();
+    viewerRef.current?.enterPlanView(modelId, expressID, cutHeight);
+  };
 
   return (
-    <div className="tree-node" style={{ '--depth': depth }}>
-      <div
-        className={`tree-row ${isSpatial ? 'tree-row-spatial' : ''}`}
-        onClick={handleSelect}
-        title={`${node.type} — #${node.expressID}`}
+    <div
+      className={`tree-row ${isSpatial || entry.group ? 'tree-row-spatial' : ''} ${isSelected ? 'tree-row--selected' : ''}`}
+      onClick={handleSelect}
+      onDoubleClick={handleDoubleClick}
+      onContextMenu={handleContextMenu}
+      title={entry.group ? `${type} — ${entry.count} elements` : `${type} — #${expressID}`}
+    >
+      {/* Indent + expand button */}
+      <div className="tree-indent" style={{ width: entry.depth * 14 + 4 }} />
+
+      <button
+        className={`tree-expand-btn ${hasChildren ? '' : 'tree-expand-btn--leaf'}`}
+        onClick={hasChildren ? handleExpand : undefined}
+        tabIndex={-1}
       >
-        {/* Indent + expand button */}
-        <div className="tree-indent" style={{ width: depth * 14 + 4 }} />
-
-        <button
-          className={`tree-expand-btn ${hasChildren ? '' : 'tree-expand-btn--leaf'}`}
-          onClick={hasChildren ? handleExpand : undefined}
-          tabIndex={-1}
-        >
-          {hasChildren
-            ? (expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />)
-            : <span className="tree-dot" />
-          }
-        </button>
+        {hasChildren
+          ? (expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />)
+          : <span className="tree-dot" />
+        }
+      </button>
 
-        {/* Type icon */}
-        <span className="tree-icon">{getTypeIcon(node.type)}</span>
+      {/* Type icon */}
+      <span className="tree-icon">{getTypeIcon(type)}</span>
 
-        {/* Name + type badge */}
-        <span className="tree-label">
-          <span className="tree-name">{node.name}</span>
-          {!isSpatial && (
-            <span className="tree-badge">{getTypeLabel(node.type)}</span>
-          )}
+      {/* Name + type badge; element names arrive lazily */}
+      <span className="tree-label">
+        <span className={`tree-name ${name == null ? 'tree-name--pending' : ''}`}>
+          {name ?? `${getTypeLabel(type)} #${expressID}`}
         </span>
+        {entry.group ? (
+          <span className="tree-badge">{entry.count}</span>
+        ) : !isSpatial && (
+          <span className="tree-badge">{getTypeLabel(type)}</span>
+        )}
+      </span>
 
-        {/* Visibility toggle */}
-        <button
-          className={`tree-vis-btn ${isHidden ? 'tree-vis-btn--hidden' : ''}`}
-          onClick={handleToggleVisible}
-          title={isHidden ? 'Show' : 'Hide'}
-          tabIndex={-1}
-        >
-          {isHidden ? <EyeOff size={12} /> : <Eye size={12} />}
-        </button>
-      </div>
-
-      {/* Children */}
-      {expanded && hasChildren && (
-        <div className="tree-children">
-          {node.children.map((child, idx) => (
-            <TreeNode
-              key={child.expressID ?? `child-${idx}-${child.type}`}
-              node={child}
-              viewerRef={viewerRef}
-              hiddenIDs={hiddenIDs}
-              onToggleHidden={onToggleHidden}
-              modelId={modelId}
-              depth={depth + 1}
-            />
-          ))}
-        </div>
+      {/* Storey actions */}
+      {type === 'IfcBuildingStorey' && expressID != null && (
+        <>
+          <button
+            className="tree-row-btn"
+            onClick={handlePlanView}
+            title={`Plan view (cut at +${cutHeight} m)`}
+            tabIndex={-1}
+          >
+            <MapIcon size={12} />
+          </button>
+          <button
+            className="tree-row-btn"
+            onClick={handlePlanCut}
+            title={`Plan cut at +${cutHeight} m`}
+            tabIndex={-1}
+          >
+            <Scissors size={12} />
+          </button>
+        </>
       )}
-    </div>
-  );
-}
-
-/* ─── Filtered rendering ─── */
-
-function FilteredTree({ node, viewerRef, hiddenIDs, onToggleHidden, query, modelId, depth = 0 }) {
-  if (!nodeMatchesSearch(node, query)) return null;
-  const filteredChildren = (node.children ?? []).filter(c => nodeMatchesSearch(c, query));
-  const patchedNode = { ...node, children: filteredChildren };
 
-  return (
-    <TreeNode
-      node={patchedNode}
-      viewerRef={viewerRef}
-      hiddenIDs={hiddenIDs}
-      onToggleHidden={onToggleHidden}
-      modelId={modelId}
-      depth={depth}
-    />
+      {/* Visibility toggle */}
+      <button
+        className={`tree-vis-btn ${isHidden ? 'tree-vis-btn--hidden' : ''}`}
+        onClick={handleToggleVisible}
+        title={isHidden ? 'Show' : 'Hide'}
+        tabIndex={-1}
+      >
+        {isHidden ? <EyeOff size={12} /> : <Eye size={12} />}
+      </button>
+    </div>
   );
-}
+});
 
 /* ─── Panel ─── */
 
+/**
+ * IfcTreePanel — spatial structure of all loaded models as one flattened,
+ * virtualized list (see TreeIndex): only the rows in view are rendered and
+ * element names are fetched for those rows as they scroll into view.
+ */
 export default function IfcTreePanel({ viewerRef, refreshKey, onClose }) {
-  const [models, setModels] = useState([]);   // [{ modelId, name, tree }]
+  const [index, setIndex] = useState(() => new TreeIndex([]));
   const [loading, setLoading] = useState(false);
-  const [hiddenIDs, setHiddenIDs] = useState(new Set());
+  // Shared with the viewport: `${modelId}:${localId}` of every hidden item
+  const [hiddenKeys, setHiddenKeys] = useState(() => new Set());
+  // Entries whose expanded state differs from their default
+  const [toggled, setToggled] = useState(() => new Set());
+  // Bumped to re-render when lazily fetched names are stored in the index
+  const [, setNamesVersion] = useState(0);
   const [search, setSearch] = useState('');
+  const [cutHeight, setCutHeight] = useState(DEFAULT_CUT_HEIGHT);
+  const [mode, setMode] = useState('spatial');
+  const [progress, setProgress] = useState(null);   // 0…1 while grouping by relations
+  const [menu, setMenu] = useState(null);           // { index, x, y } of the open context menu
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+  const contentRef = useRef(null);
+  const { selectedElements } = useSelection();
+
+  const selectedKeys = useMemo(
+    () => new Set(selectedElements.map(e => `${e.modelID}:${e.expressID}`)),
+    [selectedElements],
+  );
 
-  /* Refresh tree whenever refreshKey changes (new model loaded) */
+  /* Refresh tree whenever refreshKey changes (new model loaded) or the mode changes */
   const refresh = useCallback(async () => {
     if (!viewerRef.current) return;
     setLoading(true);
     try {
-      const data = await viewerRef.current.getSpatialStructure();
-      setModels(data ?? []);
-      setHiddenIDs(new Set()); // reset visibility state on full refresh
+      const data = mode === 'spatial'
+        ? await viewerRef.current.getSpatialStructure()
+        : await viewerRef.current.getGroupedStructure(mode, setProgress);
+      setIndex(new TreeIndex(data ?? []));
+      setToggled(new Set());
+      setHiddenKeys(viewerRef.current.getHiddenKeys());
     } catch (err) {
       console.warn('[TREE] Failed to refresh tree:', err);
     } finally {
       setLoading(false);
+      setProgress(null);
     }
-  }, [viewerRef]);
+  }, [viewerRef, mode]);
 
   useEffect(() => {
     if (refreshKey > 0) refresh();
   }, [refreshKey, refresh]);
 
-  /* Toggle visibility for a set of expressIDs */
-  const handleToggleHidden = useCallback((ids, hide, modelId) => {
-    setHiddenIDs(prev => {
-      const next = new Set(prev);
-      for (const id of ids) {
-        if (hide) next.add(id);
-        else next.delete(id);
+  /* Follow visibility changes from anywhere (tree, toolbar, filters, isolate) */
+  useEffect(() => {
+    return viewerRef.current?.onVisibilityChanged(setHiddenKeys);
+  }, [viewerRef, refreshKey]);
+
+  /* Track the scroll viewport size */
+  useEffect(() => {
+    const el = contentRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const query = search.trim();
+
+  const treeRows = useMemo(
+    () => index.visibleRows(i => index.isExpandedByDefault(i) !== toggled.has(i)),
+    [index, toggled],
+  );
+  // search() caches its result until the query or the known names change
+  const rows = query ? index.search(query) : treeRows;
+
+  const isHidden = useMemo(() => index.hiddenRollup(hiddenKeys), [index, hiddenKeys]);
+
+  /* ─── Reveal the selection ─── */
+
+  // Row of the most recently selected element (viewport, tree or filters)
+  // (an element listed in several groups reveals a row that is already shown, if any)
+  const revealTarget = useMemo(() => {
+    const last = selectedElements[selectedElements.length - 1];
+    return last ? index.indexOf(last.modelID, last.expressID, i => index.isExpandedByDefault(i) !== toggled.has(i)) : -1;
+  }, [selectedElements, index, toggled]);
+
+  // Expand its ancestors once per new target, while rendering, so the row exists in `rows`
+  const [revealed, setRevealed] = useState({ index, target: -1 });
+  if (revealed.index !== index || revealed.target !== revealTarget) {
+    setRevealed({ index, target: revealTarget });
+    if (revealTarget !== -1) {
+      setToggled(prev => {
+        const next = new Set(prev);
+        for (const a of index.ancestorsOf(revealTarget)) {
+          if (index.isExpandedByDefault(a)) next.delete(a);
+          else next.add(a);
+        }
+        return next;
+      });
+    }
+  }
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const windowRows = useMemo(() => rows.slice(first, last), [rows, first, last]);
+
+  // Scroll the revealed row into view once per target (not again when other rows expand)
+  const scrolledTargetRef = useRef(-1);
+  useEffect(() => {
+    const el = contentRef.current;
+    if (!el || revealTarget === -1 || scrolledTargetRef.current === revealTarget) return;
+    const position = rows.indexOf(revealTarget);
+    if (position === -1) return;
+    scrolledTargetRef.current = revealTarget;
+    const top = position * ROW_HEIGHT;
+    if (top < el.scrollTop || top + ROW_HEIGHT > el.scrollTop + el.clientHeight) {
+      el.scrollTop = Math.max(0, top - el.clientHeight / 2);
+    }
+  }, [revealTarget, rows]);
+
+  /*
+   * Fetch and store names of the given items, in batches. Requests are
+   * marked in the index, so each name is fetched once; fetches are not
+   * cancelled because their results stay valid for that index.
+   */
+  const loadNames = useCallback(async (missing, batchSize) => {
+    for (const [modelId, ids] of missing) {
+      for (let start = 0; start < ids.length; start += batchSize) {
+        const batch = ids.slice(start, start + batchSize);
+        try {
+          index.setNames(modelId, batch, await viewerRef.current?.getTreeNames(modelId, batch) ?? new Map());
+        } catch (err) {
+          console.warn('[TREE] Failed to fetch names:', err);
+          index.setNames(modelId, batch, new Map());
+        }
+        setNamesVersion(v => v + 1);
       }
+    }
+  }, [index, viewerRef]);
+
+  /* Fetch names of the rows in view */
+  useEffect(() => {
+    const missing = index.takeMissingNames(windowRows);
+    if (missing.size > 0) loadNames(missing, Infinity);
+  }, [index, windowRows, loadNames]);
+
+  /* Searching needs every name: fetch the rest once, in the background */
+  useEffect(() => {
+    if (!query) return;
+    const missing = index.takeMissingNames(index.unnamedEntries());
+    if (missing.size > 0) loadNames(missing, SEARCH_NAME_BATCH);
+  }, [index, query, loadNames]);
+
+  const handleToggleExpanded = useCallback((i) => {
+    setToggled(prev => {
+      const next = new Set(prev);
+      if (next.has(i)) next.delete(i);
+      else next.add(i);
       return next;
     });
-    // Apply to viewer
-    viewerRef.current?.setNodeVisibility(ids, !hide, modelId);
-  }, [viewerRef]);
+  }, []);
+
+  /* Select every element of a group; Ctrl / Cmd adds them to the selection */
+  const handleSelectGroup = useCallback((i, add) => {
+    const { modelId } = index.entries[i];
+    viewerRef.current?.selectElements({ [modelId]: new Set(index.subtreeIDs(i)) }, { add });
+  }, [index, viewerRef]);
+
+  /* Hide / show a node and its subtree; the visibility store notifies back */
+  const handleToggleHidden = useCallback((i, hide) => {
+    const { modelId } = index.entries[i];
+    viewerRef.current?.setNodeVisibility(index.subtreeIDs(i), !hide, modelId);
+  }, [index, viewerRef]);
+
+  const handleOpenMenu = useCallback((i, x, y) => setMenu({ index: i, x, y }), []);
+  const handleCloseMenu = useCallback(() => setMenu(null), []);
+
+  const handleFocus = useCallback((i) => {
+    viewerRef.current?.fitToElements(index.entries[i].modelId, index.subtreeIDs(i));
+  }, [index, viewerRef]);
+
+  const handleMenuAction = useCallback(async (action) => {
+    if (!menu) return;
+    const entry = index.entries[menu.index];
+    const ids = index.subtreeIDs(menu.index);
+    const map = { [entry.modelId]: new Set(ids) };
+    setMenu(null);
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    if (action === 'zoom') await viewer.fitToElements(entry.modelId, ids);
+    if (action === 'isolate') await viewer.isolateElements(map);
+    if (action === 'hideOthers') await viewer.hideOtherElements(map);
+    if (action === 'selectClass') await viewer.selectElements(await viewer.getElementsOfClass(entry.type));
+  }, [menu, index, viewerRef]);
 
-  /* Show all */
   const handleShowAll = useCallback(() => {
-    setHiddenIDs(new Set());
     viewerRef.current?.showAll();
   }, [viewerRef]);
 
-  const totalElements = useMemo(() => {
-    let count = 0;
-    const countNodes = (node) => {
-      count++;
-      (node.children ?? []).forEach(countNodes);
-    };
-    models.forEach(m => m.tree && countNodes(m.tree));
-    return count;
-  }, [models]);
+  const handleSearch = (text) => {
+    setSearch(text);
+    setScrollTop(0);
+    if (contentRef.current) contentRef.current.scrollTop = 0;
+  };
 
   return (
     <div className="tree-panel">
@@ -200,12 +412,12 @@ export default function IfcTreePanel({ viewerRef, refreshKey, onClose }) {
         <h3>
           <span>🌳</span>
           <span>IFC Structure</span>
-          {totalElements > 0 && (
-            <span className="tree-count-badge">{totalElements}</span>
+          {index.nodeCount > 0 && (
+            <span className="tree-count-badge">{index.nodeCount}</span>
           )}
         </h3>
         <div className="tree-header-actions">
-          {hiddenIDs.size > 0 && (
+          {hiddenKeys.size > 0 && (
             <button className="tree-action-btn" onClick={handleShowAll} title="Show All">
               <Eye size={14} />
             </button>
@@ -232,62 +444,96 @@ export default function IfcTreePanel({ viewerRef, refreshKey, onClose }) {
           type="text"
           placeholder="Search elements…"
           value={search}
-          onChange={e => setSearch(e.target.value)}
+          onChange={e => handleSearch(e.target.value)}
         />
         {search && (
-          <button className="tree-search-clear" onClick={() => setSearch('')}>
+          <button className="tree-search-clear" onClick={() => handleSearch('')}>
             <X size={12} />
           </button>
         )}
       </div>
 
+      {/* Tree mode */}
+      <label className="tree-plan-settings" title="How the tree groups elements">
+        <span>View</span>
+        <select className="tree-mode-select" value={mode} onChange={e => setMode(e.target.value)} disabled={loading}>
+          {TREE_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+      </label>
+
+      {/* Plan cut height for storey plan views / plan cuts */}
+      {mode === 'spatial' && (
+        <label className="tree-plan-settings" title="Height of the plan cut above the storey elevation">
+          <span>Plan cut height</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={cutHeight}
+            onChange={e => setCutHeight(Math.max(0, Number(e.target.value) || 0))}
+          />
+          <span>m</span>
+        </label>
+      )}
+
+      {query && index.loadingNames && (
+        <div className="tree-search-status">Indexing element names…</div>
+      )}
+
       {/* Content */}
-      <div className="tree-content">
+      <div className="tree-content" ref={contentRef} onScroll={e => setScrollTop(e.currentTarget.scrollTop)}>
         {loading ? (
           <div className="tree-empty">
             <div className="spinner-small" />
-            <span>Building structure…</span>
+            <span>{progress !== null ? `Reading relations… ${Math.round(progress * 100)}%` : 'Building structure…'}</span>
           </div>
-        ) : models.length === 0 ? (
+        ) : index.entries.length === 0 ? (
           <div className="tree-empty">
             <p>No models loaded.</p>
             <p className="tree-empty-sub">Load an IFC file to see its structure.</p>
           </div>
+        ) : query && rows.length === 0 ? (
+          <div className="tree-empty tree-empty-sm">No matching elements</div>
         ) : (
-          models.map(({ modelId, name, tree }) => (
-            <div key={modelId} className="tree-model-block">
-              <div className="tree-model-header">
-                <span>📁</span>
-                <span className="tree-model-name" title={name}>{name}</span>
-              </div>
-              {tree ? (
-                search ? (
-                  <FilteredTree
-                    key={`filtered-${modelId}`}
-                    node={tree}
-                    viewerRef={viewerRef}
-                    hiddenIDs={hiddenIDs}
-                    onToggleHidden={handleToggleHidden}
-                    query={search}
-                    modelId={modelId}
-                  />
-                ) : (
-                  <TreeNode
-                    key={`root-${modelId}`}
-                    node={tree}
+          <div className="tree-virtual" style={{ height: rows.length * ROW_HEIGHT }}>
+            <div style={{ transform: `translateY(${first * ROW_HEIGHT}px)` }}>
+              {windowRows.map(i => {
+                const entry = index.entries[i];
+                if (entry.kind === 'model') return <ModelHeaderRow key={i} name={entry.name} />;
+                return (
+                  <TreeRow
+                    key={i}
+                    entry={entry}
+                    name={entry.name}
+                    index={i}
+                    expanded={Boolean(query) || index.isExpandedByDefault(i) !== toggled.has(i)}
+                    hasChildren={index.hasChildren(i)}
+                    isHidden={isHidden(i)}
+                    isSelected={entry.expressID != null && selectedKeys.has(`${entry.modelId}:${entry.expressID}`)}
                     viewerRef={viewerRef}
-                    hiddenIDs={hiddenIDs}
+                    cutHeight={cutHeight}
+                    onSelectGroup={handleSelectGroup}
+                    onToggleExpanded={handleToggleExpanded}
                     onToggleHidden={handleToggleHidden}
-                    modelId={modelId}
+                    onOpenMenu={handleOpenMenu}
+                    onFocus={handleFocus}
                   />
-                )
-              ) : (
-                <div className="tree-empty tree-empty-sm">No structure available</div>
-              )}
+                );
+              })}
             </div>
-          ))
+          </div>
         )}
       </div>
+
+      {menu && (
+        <TreeContextMenu
+          entry={index.entries[menu.index]}
+          x={menu.x}
+          y={menu.y}
+          onAction={handleMenuAction}
+          onClose={handleCloseMenu}
+        />
+      )}
     </div>
   );
 }
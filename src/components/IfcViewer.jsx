@@ -3,28 +3,80 @@ import * as OBC from '@thatopen/components';
 import * as FRAGS from '@thatopen/fragments';
 import * as THREE from 'three';
 import { useIfcEngine } from '../hooks/useIfcEngine';
-import { disposeAllFragments, clearHelperObjects, ensureSceneLighting } from '../utils/fragmentUtils';
-import { ClippingManager } from '../utils/ClippingManager';
+import { disposeAllFragments, disposeFragmentsModel, clearHelperObjects, ensureSceneLighting, groupItemsByClass } from '../utils/fragmentUtils';
+import { ClippingManager, findSectionBox } from '../utils/ClippingManager';
+import { MeasurementManager } from '../utils/MeasurementManager';
+import { AreaSelector } from '../utils/AreaSelector';
+import { VisibilityStore } from '../utils/VisibilityStore';
+import { BcfManager } from '../utils/BcfManager';
+import { ClashDetector } from '../utils/ClashDetector';
+import { extractSectionOutlines } from '../utils/SectionOutlines';
+import { sectionToSVG, sectionToDXF } from '../utils/sectionExport';
+import { getStoreyElevation, getStoreyBox, getStoreys } from '../utils/spatialUtils';
+import { downloadFile } from '../utils/download';
+import {
+    FRAGMENTS_EXTENSION,
+    isFragmentsFile,
+    fragmentsModelId,
+    hashBuffer,
+    getCachedFragments,
+    putCachedFragments,
+    deleteCachedFragments,
+} from '../utils/fragmentsCache';
+import { collectTakeoff } from '../utils/quantityTakeoff';
+import { runQuery } from '../utils/elementQuery';
+import { collectElementRecords } from '../utils/elementRecords';
+import { compareModels, diffModelIdMap, diffColorGroups, DIFF_STATUSES } from '../utils/modelDiff';
+import { buildGroupedTree } from '../utils/treeGroupings';
+import { getProjectUnits } from '../utils/ifcUnits';
+import { VIEWPOINT_VERSION, serializeModelIdMap, parseModelIdMap, renderThumbnail } from '../utils/viewpoints';
 import ViewCube from './ViewCube';
 import { logger } from '../utils/logger';
 import { SPATIAL_TYPES, getIfcTypeName } from '../utils/ifcTypes';
 
 /* ─── Spatial tree helpers (OBC v3 / FRAGS v3) ─── */
 
+/** Items per getItemsData call when fetching tree names */
+const NAME_BATCH_SIZE = 1000;
+
 /**
- * Collect all localIds in a raw getSpatialStructure tree.
+ * Collect the localIds of spatial nodes (project, site, storeys, spaces…)
+ * in a raw getSpatialStructure tree; their names are fetched up front.
  */
-function collectLocalIds(node, out = []) {
-    if (node?.localId != null) out.push(node.localId);
-    for (const child of node?.children ?? []) collectLocalIds(child, out);
+function collectSpatialIds(node, typeMap, out = []) {
+    if (node?.localId != null && SPATIAL_TYPES.has(typeMap.get(node.localId))) out.push(node.localId);
+    for (const child of node?.children ?? []) collectSpatialIds(child, typeMap, out);
     return out;
 }
 
+/**
+ * Name (or LongName) of each item, fetched in batches.
+ * @returns {Promise<Map<number, string>>} only items that have a name
+ */
+async function fetchItemNames(model, localIds) {
+    // v3 getItemsData returns STEP-encoded values like { type: 1, value: 'Wall-01' }
+    const unwrap = (v) => (v != null && typeof v === 'object' && v.value !== undefined ? v.value : v);
+    const names = new Map();
+    for (let start = 0; start < localIds.length; start += NAME_BATCH_SIZE) {
+        const batch = localIds.slice(start, start + NAME_BATCH_SIZE);
+        const items = await model.getItemsData(batch, {
+            attributesDefault: false,
+            attributes: ['Name', 'LongName'],
+            relationsDefault: { attributes: false, relations: false },
+        });
+        batch.forEach((id, i) => {
+            const name = unwrap(items?.[i]?.Name) ?? unwrap(items?.[i]?.LongName);
+            if (name) names.set(id, String(name));
+        });
+    }
+    return names;
+}
+
 // 1. Convert to simple nested nodes and flatten out meaningless wrappers
 function flattenWrappers(raw, nameMap, typeMap) {
     let typeName = 'IfcElement';
     if (raw.localId != null && typeMap.has(raw.localId)) {
-        typeName = getIfcTypeName(typeMap.get(raw.localId));
+        typeName = typeMap.get(raw.localId);
     } else if (raw.category != null) {
         typeName = getIfcTypeName(raw.category);
     }
@@ -33,7 +85,8 @@ function flattenWrappers(raw, nameMap, typeMap) {
     // Lower-level spatial types show only the real name (e.g., "Térreo", "Sala")
     const TOP_SPATIAL = new Set(['IfcProject', 'IfcSite', 'IfcBuilding']);
 
-    let name = typeName;
+    // Element names are fetched lazily by the tree panel (null until then)
+    let name = SPATIAL_TYPES.has(typeName) ? typeName : null;
     if (raw.localId != null && nameMap.has(raw.localId)) {
         const realName = nameMap.get(raw.localId);
         if (TOP_SPATIAL.has(typeName)) {
@@ -111,7 +164,7 @@ function groupElementTypes(node) {
         const aIsFolder = a.expressID === null;
         const bIsFolder = b.expressID === null;
         if (aIsFolder !== bIsFolder) return aIsFolder ? 1 : -1;
-        return a.name.localeCompare(b.name);
+        return (a.name ?? '').localeCompare(b.name ?? '') || (a.expressID ?? 0) - (b.expressID ?? 0);
     });
 
     return {
@@ -139,8 +192,9 @@ function enrichNode(raw, nameMap, typeMap) {
 
 /**
  * Builds the display tree for a single FragmentsModel.
- * Uses model.getSpatialStructure() (native v3 API) and batch-fetches
- * element names via model.getItemsData().
+ * Uses model.getSpatialStructure() (native v3 API); IFC classes come from
+ * the model's categories and only spatial nodes are named here — element
+ * names are fetched per visible subtree through getTreeNames.
  */
 async function buildModelTree(model) {
     logger.info('[TREE] buildModelTree called. model type:', Object.getPrototypeOf(model)?.constructor?.name);
@@ -170,41 +224,16 @@ async function buildModelTree(model) {
         return null;
     }
 
-    // Batch-fetch names for all localIds in one call
-    const nameMap = new Map();
     const typeMap = new Map();
-
-    // Helper: v3 getItemsData returns STEP-encoded objects like { type: 1, value: 12345 }
-    // This unwraps to the raw value, handling both objects and primitives
-    const unwrap = (v) => {
-        if (v == null) return v;
-        if (typeof v === 'object' && v.value !== undefined) return v.value;
-        return v;
-    };
-
+    let nameMap = new Map();
     try {
-        const localIds = collectLocalIds(raw);
-        logger.info('[TREE] localIds collected:', localIds.length);
-        const itemsData = await model.getItemsData(localIds);
-        logger.info('[TREE] getItemsData returned:', itemsData?.length, 'items');
-
-        for (const item of itemsData ?? []) {
-            if (item == null) continue;
-            // v3 API returns underscore-prefixed STEP-encoded properties
-            const id = unwrap(item._localId) ?? unwrap(item.localId) ?? unwrap(item.expressID);
-            if (id == null) continue;
-
-            // _category holds the numeric IFC type code (STEP-encoded)
-            const typeCode = unwrap(item._category) ?? unwrap(item.type);
-            if (typeCode != null) typeMap.set(id, typeCode);
-
-            const nameRaw = item.Name ?? item.LongName;
-            const name = unwrap(nameRaw);
-            if (name) nameMap.set(id, String(name));
+        for (const [typeName, ids] of await groupItemsByClass(model)) {
+            for (const id of ids) typeMap.set(id, typeName);
         }
-        logger.info('[TREE] nameMap size:', nameMap.size, 'typeMap size:', typeMap.size);
+        nameMap = await fetchItemNames(model, collectSpatialIds(raw, typeMap));
+        logger.info('[TREE] typeMap size:', typeMap.size, 'spatial names:', nameMap.size);
     } catch (err) {
-        logger.warn('[TREE] getItemsData failed (names will fall back to types):', err);
+        logger.warn('[TREE] Could not read classes / names (names will fall back to types):', err);
     }
 
     const tree = enrichNode(raw, nameMap, typeMap);
@@ -212,32 +241,287 @@ async function buildModelTree(model) {
     return tree;
 }
 
-const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect }, ref) {
+/**
+ * Tight world bounding box of the items of a ModelIdMap,
+ * or null when they have no geometry.
+ */
+async function getElementsBox(engine, modelIdMap) {
+    if (!modelIdMap || Object.keys(modelIdMap).length === 0) return null;
+    const bbox = engine.components.get(OBC.BoundingBoxer);
+    bbox.list.clear();
+    await bbox.addFromModelIdMap(modelIdMap);
+    const box = bbox.get();
+    bbox.list.clear();
+    return box.isEmpty() ? null : box;
+}
+
+/** Smallest box edge the camera fits to, so small parts (fixings, sockets) don't fill the screen */
+const MIN_FOCUS_SIZE = 1;
+
+/** Margin around a focused box, as a fraction of its diagonal */
+const FOCUS_PADDING = 0.1;
+
+/**
+ * Point the camera at a box. By default it flies there (animated unless
+ * `animate` is false) and the box centre becomes the orbit pivot; with
+ * `pivotOnly` the view stays put and only the pivot moves to the box.
+ */
+async function focusCamera(controls, box, { animate = true, pivotOnly = false } = {}) {
+    if (pivotOnly) {
+        const center = box.getCenter(new THREE.Vector3());
+        controls.setOrbitPoint(center.x, center.y, center.z);
+        return;
+    }
+    const grow = new THREE.Vector3().setScalar(MIN_FOCUS_SIZE)
+        .sub(box.getSize(new THREE.Vector3()))
+        .max(new THREE.Vector3())
+        .multiplyScalar(0.5);
+    const target = box.clone().expandByVector(grow);
+    const padding = target.getSize(new THREE.Vector3()).length() * FOCUS_PADDING;
+    await controls.fitToBox(target, animate, {
+        paddingTop: padding, paddingBottom: padding, paddingLeft: padding, paddingRight: padding,
+    });
+}
+
+/** Fly to the items of a ModelIdMap (see focusCamera); false when they have no geometry */
+async function zoomToElements(engine, modelIdMap, options) {
+    const box = await getElementsBox(engine, modelIdMap);
+    if (!box) return false;
+    await focusCamera(engine.world.camera.controls, box, options);
+    return true;
+}
+
+/**
+ * Tight world bounding box of the highlighter's current selection,
+ * or null when nothing is selected.
+ */
+function getSelectionBox(engine) {
+    return getElementsBox(engine, engine.highlighter.selection.select);
+}
+
+/** The highlighter's selection, or null when nothing is selected */
+function getSelectionMap(engine) {
+    const selection = engine.highlighter.selection.select ?? {};
+    const entries = Object.entries(selection).filter(([, ids]) => ids.size > 0);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/** Copy of a ModelIdMap without one model */
+const omitModel = (modelIdMap, modelId) => Object.fromEntries(Object.entries(modelIdMap).filter(([id]) => id !== modelId));
+
+const countIds = (modelIdMap) => Object.values(modelIdMap).reduce((n, ids) => n + ids.size, 0);
+
+/** Selected elements whose properties are fetched and compared in the property panel */
+const MAX_COMPARED_ELEMENTS = 200;
+
+/** Storeys whose elevation is within this distance count as the same level */
+const STOREY_ELEVATION_TOLERANCE = 0.01;
+
+const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect, onPlanViewChange }, ref) {
     const containerRef = useRef(null);
     const { engine, isReady, error } = useIfcEngine(containerRef);
     const clippingMgrRef = useRef(null);
+    const measureMgrRef = useRef(null);
+    const areaSelectorRef = useRef(null);
+    const visibilityRef = useRef(null);
+    const bcfRef = useRef(null);
+    const clashRef = useRef(null);
+    /** Active isolation: { hidden: ModelIdMap } — what was hidden before isolating */
+    const isolateRef = useRef(null);
+    const ghostActiveRef = useRef(false);
+    /** Active plan view: { planeId, hidden: ModelIdMap, projection } — what to undo on exit */
+    const planViewRef = useRef(null);
+    /** Active model comparison: { hidden: ModelIdMap } — what was hidden before showing the diff */
+    const compareRef = useRef(null);
+    /** Colour overrides in the order applied: [{ color, modelIdMap }], for viewpoints */
+    const colorsRef = useRef([]);
+    /** Loaded models in the model manager's order: modelId → { name, size, opacity, schema?, elementCount? } */
+    const modelsRef = useRef(new Map());
+
+    // Lazy-create the clipping manager (shared by planes and the section box)
+    const getClippingManager = () => {
+        if (!clippingMgrRef.current) {
+            clippingMgrRef.current = new ClippingManager(engine.world, engine.components);
+        }
+        return clippingMgrRef.current;
+    };
+
+    // Every show / hide goes through this store, so the tree and viewport agree
+    const getVisibilityStore = () => {
+        if (!visibilityRef.current) {
+            visibilityRef.current = new VisibilityStore(engine.fragments);
+        }
+        return visibilityRef.current;
+    };
+
+    const getBcfManager = () => {
+        if (!bcfRef.current) {
+            bcfRef.current = new BcfManager(engine.components, engine.world);
+        }
+        return bcfRef.current;
+    };
+
+    /** [modelId, model] of every loaded model, in the model manager's order */
+    const listModels = () => {
+        const { list } = engine.fragments;
+        const ordered = [...modelsRef.current.keys()].filter(id => list.has(id));
+        const others = [...list.keys()].filter(id => !modelsRef.current.has(id));
+        return [...ordered, ...others].map(id => [id, list.get(id)]);
+    };
+
+    /** Display name of a model: as renamed in the model manager, else its id */
+    const getModelName = (modelId, model) => modelsRef.current.get(modelId)?.name || model.name || model.modelId || 'IFC Model';
+
+    const getClashDetector = () => {
+        if (!clashRef.current) {
+            clashRef.current = new ClashDetector(engine.fragments);
+        }
+        return clashRef.current;
+    };
+
+    const getMeasurementManager = () => {
+        if (!measureMgrRef.current) {
+            measureMgrRef.current = new MeasurementManager(engine.world, engine.components);
+        }
+        return measureMgrRef.current;
+    };
+
+    // Undo everything the active plan view changed (cut plane, hidden storeys, projection)
+    const exitPlanView = async () => {
+        const plan = planViewRef.current;
+        if (!plan || !engine) return;
+        planViewRef.current = null;
+        clippingMgrRef.current?.removePlane(plan.planeId);
+        if (Object.keys(plan.hidden).length > 0) {
+            await getVisibilityStore().show(plan.hidden);
+        }
+        if (plan.projection !== engine.world.camera.projection.current) {
+            await engine.world.camera.projection.set(plan.projection);
+        }
+        onPlanViewChange?.(false);
+        logger.info('[PLAN] Plan view closed');
+    };
+
+    // Replace all colour overrides with one colour per group
+    const applyColorGroups = async (groups) => {
+        for (const [, model] of engine.fragments.list) {
+            await model.resetColor(undefined);
+        }
+        for (const { color, modelIdMap } of groups) {
+            const threeColor = new THREE.Color(color);
+            for (const [modelId, ids] of Object.entries(modelIdMap)) {
+                const model = engine.fragments.list.get(modelId);
+                if (model && ids.size > 0) await model.setColor([...ids], threeColor);
+            }
+        }
+        colorsRef.current = groups.map(({ color, modelIdMap }) => ({ color, modelIdMap }));
+        await engine.fragments.core.update(true);
+    };
+
+    /**
+     * Load one { buffer, name, signal? } file as a model: .frag files
+     * directly, an IFC from the converted-model cache when the same file was
+     * opened before, otherwise through web-ifc (and then into the cache).
+     * `onProgress({ phase, progress })` follows the steps; aborting `signal`
+     * stops the conversion at its next step, or disposes a model that
+     * finishes loading anyway, and rejects with an AbortError.
+     */
+    const loadModelFile = async ({ buffer, name, signal }, onProgress) => {
+        const { ifcLoader, fragments } = engine;
+        const report = (phase, progress = 0) => onProgress?.({ phase, progress });
+        // fragments.core.load can't be interrupted; drop what it loaded instead
+        const keepUnlessAborted = async (model) => {
+            if (!signal?.aborted) return model;
+            await disposeFragmentsModel(fragments, model.modelId);
+            signal.throwIfAborted();
+        };
+
+        signal?.throwIfAborted();
+        if (isFragmentsFile(name)) {
+            report('loading');
+            return keepUnlessAborted(await fragments.core.load(buffer, { modelId: fragmentsModelId(name) }));
+        }
+
+        // Hash before converting: the loader may take over the buffer
+        report('cache');
+        const hash = await hashBuffer(buffer);
+        const cached = hash && await getCachedFragments(hash);
+        signal?.throwIfAborted();
+        if (cached) {
+            try {
+                report('loading');
+                const model = await fragments.core.load(cached, { modelId: name });
+                logger.info(`[IFC] ${name} loaded from the converted-model cache`);
+                return await keepUnlessAborted(model);
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                logger.warn(`[IFC] Cached ${name} did not load, converting again:`, err);
+                await deleteCachedFragments(hash);
+            }
+        }
+
+        const model = await ifcLoader.load(new Uint8Array(buffer), false, name, {
+            processData: {
+                // web-ifc reports geometries, attributes and relations in turn;
+                // throwing here is the only way to stop a running conversion
+                progressCallback: (progress, data) => {
+                    signal?.throwIfAborted();
+                    if (data.process !== 'conversion') report(data.process, progress);
+                    else if (data.state === 'finish') report('loading', 1);
+                },
+            },
+        });
+        await keepUnlessAborted(model);
+        if (hash) {
+            // Not worth holding up the load for
+            model.getBuffer(false)
+                .then(data => putCachedFragments(hash, name, data))
+                .catch(err => logger.warn(`[IFC] Could not cache ${name}:`, err));
+        }
+        return model;
+    };
 
     // Expose loadFile method to parent
     useImperativeHandle(ref, () => ({
-        loadFiles: async (files) => {
+        /**
+         * Load files one after another (web-ifc converts on this thread, so
+         * nothing is gained in parallel). A bad or cancelled file doesn't stop
+         * the others; each gets a result, in order.
+         * @param {{ buffer: ArrayBuffer, name: string, signal?: AbortSignal }[]} files
+         * @param {(index: number, progress: { phase: string, progress: number }) => void} [onProgress]
+         * @returns {Promise<{ name: string, status: 'loaded' | 'failed' | 'cancelled', error?: string }[]>}
+         */
+        loadFiles: async (files, onProgress) => {
             if (!engine) throw new Error('Engine not ready');
 
-            const { components, ifcLoader, fragments, world } = engine;
+            const { components, fragments, world } = engine;
 
-            const loadPromises = files.map(file => {
-                const uint8 = new Uint8Array(file.buffer);
-                return ifcLoader.load(uint8, false, file.name, {
-                    processData: {
-                        progressCallback: (progress) => {
-                            logger.info(`[IFC] Loading progress for ${file.name}:`, progress);
-                        },
-                    },
-                });
-            });
+            const results = [];
+            for (const [index, file] of files.entries()) {
+                try {
+                    // Before loading: the IFC loader may take over the buffer
+                    const size = file.buffer.byteLength;
+                    const model = await loadModelFile(file, (progress) => onProgress?.(index, progress));
+                    modelsRef.current.set(model.modelId, { name: model.modelId, size, opacity: 1 });
+                    results.push({ name: file.name, status: 'loaded' });
+                } catch (err) {
+                    if (err.name === 'AbortError') {
+                        logger.info(`[IFC] Loading ${file.name} cancelled`);
+                        results.push({ name: file.name, status: 'cancelled' });
+                    } else {
+                        logger.error(`[IFC] Failed to load ${file.name}:`, err);
+                        results.push({ name: file.name, status: 'failed', error: err?.message || String(err) });
+                    }
+                }
+            }
+            const loaded = results.filter(r => r.status === 'loaded').length;
+            if (loaded === 0) return results;
 
-            const models = await Promise.all(loadPromises);
+            // New geometry → section fills and lines must regroup their items
+            clippingMgrRef.current?.caps.invalidate();
+            clippingMgrRef.current?.outlines.invalidate();
 
-            logger.info(`[IFC] ${models.length} models loaded successfully`);
+            logger.info(`[IFC] ${loaded} of ${files.length} models loaded successfully`);
             logger.info('[IFC] Fragments list size after load:', fragments.list.size);
 
             if (fragments.list.size === 0) {
@@ -285,6 +569,17 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                 fragments.core.update(true);
                 logger.info('[IFC] Forced fragment update done');
             }, 500);
+            return results;
+        },
+        /** Download the converted fragments of a model, or of every model, as <modelId>.frag */
+        exportFragments: async (modelId) => {
+            if (!engine) return 0;
+            const ids = modelId ? [modelId] : [...engine.fragments.list.keys()];
+            for (const id of ids) {
+                const model = engine.fragments.list.get(id);
+                if (model) downloadFile(`${id}${FRAGMENTS_EXTENSION}`, await model.getBuffer(false));
+            }
+            return ids.length;
         },
         fitModel: async () => {
             if (!engine) return;
@@ -317,11 +612,7 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
         toggleClipping: (onPlacedCallback) => {
             if (!engine) return false;
 
-            // Lazy-create the manager
-            if (!clippingMgrRef.current) {
-                clippingMgrRef.current = new ClippingManager(engine.world, engine.components);
-            }
-            const mgr = clippingMgrRef.current;
+            const mgr = getClippingManager();
             mgr.enabled = !mgr.enabled;
 
             const container = engine.world.renderer.three.domElement;
@@ -369,10 +660,6 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                     // Notify parent to update button state
                     if (onPlacedCallback) onPlacedCallback();
                 };
-                // Allow Delete/Backspace to remove the last clipping plane
-                window.onkeydown = (e) => {
-                    if (e.code === 'Delete' || e.code === 'Backspace') mgr.removeLastPlane();
-                };
             } else {
                 // Exit placement mode (cancel)
                 container.ondblclick = null;
@@ -385,36 +672,590 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
             if (!clippingMgrRef.current) return;
             clippingMgrRef.current.setMode(mode);
         },
+        /* ─── Section box ─── */
+
+        toggleSectionBox: async () => {
+            if (!engine) return false;
+            const mgr = getClippingManager();
+            if (mgr.hasSectionBox) {
+                mgr.removeSectionBox();
+                return false;
+            }
+            // Start around the selection when there is one, else the whole model
+            const box = await getSelectionBox(engine);
+            mgr.createSectionBox(box ?? undefined);
+            return true;
+        },
+        fitSectionBoxToSelection: async () => {
+            if (!engine) return;
+            const box = await getSelectionBox(engine);
+            if (!box) {
+                logger.warn('[CLIP] Fit section box: nothing selected');
+                return;
+            }
+            getClippingManager().fitSectionBox(box);
+        },
+        resetSectionBox: () => {
+            clippingMgrRef.current?.resetSectionBox();
+        },
+        /** Section fill mode: 'ifcClass' | 'material' | 'off'. Returns the applied mode. */
+        setSectionFillMode: (mode) => {
+            if (!engine) return 'off';
+            const mgr = getClippingManager();
+            mgr.setCapsMode(mode);
+            return mgr.capsMode;
+        },
+        setSectionOutlines: (enabled) => {
+            if (!engine) return false;
+            const mgr = getClippingManager();
+            mgr.setOutlinesEnabled(enabled);
+            return mgr.outlinesEnabled;
+        },
+        /** Planes a section drawing can be exported from, as { id, label, enabled } */
+        getExportableSections: () => clippingMgrRef.current?.listSections() ?? [],
+        /**
+         * Export the section lines of one plane from getExportableSections()
+         * as 'svg' or 'dxf' (one layer per IFC class). Returns false when the
+         * plane is gone or switched off.
+         */
+        exportSection: async (format, sectionId) => {
+            const plane = clippingMgrRef.current?.getSectionPlane(sectionId);
+            if (!engine || !plane) {
+                logger.warn('[CLIP] Export section: no active plane', sectionId);
+                return false;
+            }
+            const section = await extractSectionOutlines(engine.components, plane);
+            if (format === 'dxf') {
+                downloadFile('section.dxf', sectionToDXF(section), 'application/dxf');
+            } else {
+                downloadFile('section.svg', sectionToSVG(section), 'image/svg+xml');
+            }
+            return true;
+        },
+        /**
+         * Plan cut: horizontal clipping plane at the storey's elevation
+         * plus `cutHeight` metres, keeping everything below.
+         */
+        createPlanCut: async (modelId, storeyId, cutHeight = 1.2) => {
+            if (!engine) return false;
+            const model = engine.fragments.list.get(modelId);
+            if (!model) return false;
+            const elevation = await getStoreyElevation(model, storeyId);
+            if (elevation == null) {
+                logger.warn('[CLIP] Plan cut: storey elevation unknown for', storeyId);
+                return false;
+            }
+            getClippingManager().createHorizontalPlane(elevation + cutHeight);
+            return true;
+        },
+        /* ─── Section planes ─── */
+
+        /** Free-floating planes as { id, enabled, normal, position } */
+        getSectionPlanes: () => clippingMgrRef.current?.listPlanes() ?? [],
+        removeSectionPlane: (id) => {
+            clippingMgrRef.current?.removePlane(id);
+        },
+        flipSectionPlane: (id) => {
+            clippingMgrRef.current?.flipPlane(id);
+        },
+        setSectionPlaneEnabled: (id, enabled) => {
+            clippingMgrRef.current?.setPlaneEnabled(id, enabled);
+        },
+        /** JSON-serializable snapshot of all planes and the section box */
+        getSectionState: () => (engine ? getClippingManager().serialize() : null),
+        loadSectionState: (state) => {
+            if (!engine) return;
+            getClippingManager().load(state);
+        },
+        /** Subscribe to plane changes; returns an unsubscribe function */
+        onSectionsChanged: (listener) => {
+            if (!engine) return () => {};
+            return getClippingManager().onChange(listener);
+        },
+        /* ─── Plan view ─── */
+
+        /**
+         * Plan view of a storey: orthographic top-down camera, horizontal
+         * cut at elevation + `cutHeight` metres, storeys above hidden and
+         * the camera fitted to the storey. Replaces any active plan view.
+         */
+        enterPlanView: async (modelId, storeyId, cutHeight = 1.2) => {
+            if (!engine) return false;
+            const { fragments, components, world } = engine;
+            const model = fragments.list.get(modelId);
+            if (!model) return false;
+            const elevation = await getStoreyElevation(model, storeyId);
+            if (elevation == null) {
+                logger.warn('[PLAN] Plan view: storey elevation unknown for', storeyId);
+                return false;
+            }
+            await exitPlanView();
+
+            // Hide every storey above this one, across all loaded models.
+            // Only currently visible items are recorded so exit restores exactly.
+            const store = getVisibilityStore();
+            const hidden = {};
+            for (const [mid, m] of fragments.list) {
+                const above = (await getStoreys(m))
+                    .filter(s => s.elevation > elevation + STOREY_ELEVATION_TOLERANCE);
+                if (above.length === 0) continue;
+                const ids = (await m.getItemsChildren(above.map(s => s.localId))).filter(id => !store.isHidden(mid, id));
+                if (ids.length > 0) hidden[mid] = new Set(ids);
+            }
+            if (Object.keys(hidden).length > 0) {
+                await getVisibilityStore().hide(hidden);
+            }
+
+            const entry = getClippingManager().createHorizontalPlane(elevation + cutHeight);
+
+            const projection = world.camera.projection.current;
+            await world.camera.projection.set('Orthographic');
+
+            // Look straight down with north up; fitToBox keeps the snapped top-down angle
+            const box = await getStoreyBox(model, storeyId) ?? await model.getMergedBox(await model.getItemsIdsWithGeometry());
+            await world.camera.controls.rotateTo(0, 0, false);
+            await world.camera.controls.fitToBox(box, true);
+
+            planViewRef.current = { planeId: entry.id, hidden, projection };
+            onPlanViewChange?.(true);
+            logger.info('[PLAN] Plan view at', elevation + cutHeight, 'hidden models:', Object.keys(hidden).length);
+            return true;
+        },
+        exitPlanView: () => exitPlanView(),
+        /* ─── Area selection ─── */
+
+        /**
+         * Rectangle / lasso selection settings.
+         * `tool`: 'rectangle' | 'lasso' makes plain drags select; null keeps them for orbiting
+         * (Shift + drag still selects). `mode`: 'auto' | 'window' | 'crossing'.
+         * Returns the applied settings.
+         */
+        setAreaSelect: ({ tool, mode }) => {
+            const selector = areaSelectorRef.current;
+            if (!selector) return { tool: null, mode: 'auto' };
+            if (tool !== undefined) selector.setTool(tool);
+            if (mode !== undefined) selector.setMode(mode);
+            return { tool: selector.tool, mode: selector.mode };
+        },
+
+        /* ─── Measurements ─── */
+
+        /**
+         * Measurement tool: 'distance' | 'perpendicular' | 'area' | 'angle',
+         * or null to stop. Selection is paused while a tool is active.
+         * Returns the active tool.
+         */
+        setMeasureMode: (mode) => {
+            if (!engine) return null;
+            const mgr = getMeasurementManager();
+            mgr.setMode(mode);
+            engine.highlighter.enabled = !mgr.mode;
+            if (areaSelectorRef.current) areaSelectorRef.current.enabled = !mgr.mode;
+            return mgr.mode;
+        },
+        getMeasurements: () => measureMgrRef.current?.list() ?? [],
+        deleteMeasurement: (id) => {
+            measureMgrRef.current?.delete(id);
+        },
+        clearMeasurements: () => {
+            measureMgrRef.current?.clear();
+        },
+        exportMeasurementsCSV: () => {
+            const mgr = measureMgrRef.current;
+            if (!mgr || mgr.list().length === 0) return false;
+            downloadFile('measurements.csv', mgr.toCSV(), 'text/csv');
+            return true;
+        },
+        /** Subscribe to measurement list changes; returns an unsubscribe function */
+        onMeasurementsChanged: (listener) => {
+            if (!engine) return () => {};
+            return getMeasurementManager().onChange(listener);
+        },
+        /* ─── Quantity takeoff ─── */
+
+        /** Per-element quantities of all loaded models (see collectTakeoff) */
+        computeTakeoff: async (onProgress) => {
+            if (!engine) return [];
+            return collectTakeoff(engine.fragments, onProgress);
+        },
+        /* ─── Element filters ─── */
+
+        /**
+         * Run a filter query (see elementQuery.js) over all loaded models.
+         * Throws on syntax errors. Returns { modelIdMap, count }.
+         */
+        queryElements: async (query, onProgress) => {
+            if (!engine) return { modelIdMap: {}, count: 0 };
+            return runQuery(engine.fragments, query, onProgress);
+        },
+        /** Select elements, replacing the selection or, with `add`, adding to it */
+        selectElements: async (modelIdMap, { add = false } = {}) => {
+            if (!engine) return;
+            await engine.highlighter.highlightByID('select', modelIdMap, !add, false);
+        },
+        /**
+         * Fly the camera to the bounding box of elements (see focusCamera for
+         * `{ animate, pivotOnly }`); false when they have no geometry.
+         */
+        zoomToElements: async (modelIdMap, options) => {
+            if (!engine) return false;
+            return zoomToElements(engine, modelIdMap, options);
+        },
+        /** zoomToElements for items of one model */
+        fitToElements: async (modelId, ids, options) => {
+            if (!engine || !ids?.length) return false;
+            return zoomToElements(engine, { [modelId]: new Set(ids) }, options);
+        },
+        /** zoomToElements for the current selection; false when nothing is selected */
+        fitToSelection: async (options) => {
+            if (!engine) return false;
+            const selection = getSelectionMap(engine);
+            return selection ? zoomToElements(engine, selection, options) : false;
+        },
+        /** Every element of an IFC class across all models, e.g. 'IfcWall' */
+        getElementsOfClass: async (ifcClass) => {
+            if (!engine) return {};
+            const pattern = new RegExp(`^${ifcClass}$`, 'i');
+            const map = {};
+            for (const [modelId, model] of engine.fragments.list) {
+                const ids = Object.values(await model.getItemsOfCategories([pattern])).flat();
+                if (ids.length > 0) map[modelId] = new Set(ids);
+            }
+            return map;
+        },
+        isolateElements: async (modelIdMap) => {
+            if (!engine) return;
+            await getVisibilityStore().isolate(modelIdMap);
+        },
+        hideElements: async (modelIdMap) => {
+            if (!engine) return;
+            await getVisibilityStore().hide(modelIdMap);
+        },
+        /** Hide every other element; what is already hidden stays hidden */
+        hideOtherElements: async (modelIdMap) => {
+            if (!engine) return;
+            await getVisibilityStore().hideOthers(modelIdMap);
+        },
+        /** Override the colour of elements; `color` is any THREE.Color input, e.g. '#ff8800' */
+        colorElements: async (modelIdMap, color) => {
+            if (!engine) return;
+            const threeColor = new THREE.Color(color);
+            for (const [modelId, ids] of Object.entries(modelIdMap)) {
+                const model = engine.fragments.list.get(modelId);
+                if (model && ids.size > 0) await model.setColor([...ids], threeColor);
+            }
+            colorsRef.current = [...colorsRef.current, { color, modelIdMap }];
+            await engine.fragments.core.update(true);
+        },
+        /* ─── BCF issues ─── */
+
+        /** Plain snapshot of all BCF topics (see BcfManager.list) */
+        getBcfTopics: () => bcfRef.current?.list() ?? [],
+        /** Subscribe to topic changes; returns an unsubscribe function */
+        onBcfChanged: (listener) => {
+            if (!engine) return () => {};
+            return getBcfManager().onChange(listener);
+        },
+        /** { author, version, users } used for new topics and export */
+        getBcfSettings: () => {
+            if (!engine) return { author: '', version: '3', users: [] };
+            const bcf = getBcfManager();
+            return { author: bcf.author, version: bcf.version, users: bcf.users };
+        },
+        setBcfSettings: ({ author, version }) => {
+            if (!engine) return;
+            const bcf = getBcfManager();
+            if (author !== undefined) bcf.author = author;
+            if (version !== undefined) bcf.version = version;
+        },
+        /** Create a topic; returns its guid */
+        createBcfTopic: (data) => (engine ? getBcfManager().createTopic(data).guid : null),
+        updateBcfTopic: (guid, data) => bcfRef.current?.updateTopic(guid, data),
+        deleteBcfTopic: (guid) => bcfRef.current?.deleteTopic(guid),
+        addBcfComment: (guid, text, viewpointGuid) => bcfRef.current?.addComment(guid, text, viewpointGuid),
+        deleteBcfComment: (guid, commentGuid) => bcfRef.current?.deleteComment(guid, commentGuid),
+        /**
+         * Attach the current view to a topic: camera, snapshot, selection,
+         * hidden elements and clipping planes (section box faces included).
+         */
+        addBcfViewpoint: async (guid) => {
+            if (!engine) return null;
+            const sections = getClippingManager().serialize();
+            const planes = sections.planes
+                .filter(p => p.enabled)
+                .map(({ position, normal }) => ({ position, normal }));
+            if (sections.sectionBox) {
+                const { min, max } = sections.sectionBox;
+                for (let axis = 0; axis < 3; axis++) {
+                    const normal = [0, 0, 0];
+                    normal[axis] = 1;
+                    planes.push({ position: min, normal: [...normal] });
+                    normal[axis] = -1;
+                    planes.push({ position: max, normal });
+                }
+            }
+            return getBcfManager().addViewpoint(guid, {
+                selection: getSelectionMap(engine) ?? {},
+                hidden: getVisibilityStore().getHiddenMap(),
+                planes,
+            });
+        },
+        /**
+         * Show a BCF viewpoint: fly the camera there, replace the clipping
+         * planes, hidden elements and selection. False for unknown viewpoints.
+         */
+        openBcfViewpoint: async (viewpointGuid) => {
+            if (!engine) return false;
+            const state = await getBcfManager().getViewpointState(viewpointGuid);
+            if (!state) return false;
+            await exitPlanView();
+            const { camera } = engine.world;
+            if (state.camera.projection !== camera.projection.current) {
+                await camera.projection.set(state.camera.projection);
+            }
+            const transition = camera.controls.setLookAt(...state.camera.position, ...state.camera.target, true);
+
+            const mgr = getClippingManager();
+            mgr.removeAll();
+            // A section box travels as six planes; bring it back as a box
+            const { box, planes } = findSectionBox(state.planes);
+            for (const { position, normal } of planes) {
+                mgr.createPlane(new THREE.Vector3().fromArray(position), new THREE.Vector3().fromArray(normal));
+            }
+            if (box) mgr.createSectionBox(box, { exact: true });
+            isolateRef.current = null;
+            await getVisibilityStore().restore(state.hidden);
+            if (countIds(state.selection) > 0) {
+                await engine.highlighter.highlightByID('select', state.selection, true, false);
+            } else {
+                await engine.highlighter.clear('select');
+            }
+            await transition;
+            return true;
+        },
+        /** Download every topic as a .bcfzip in the configured version */
+        exportBcf: async (fileName = 'issues.bcfzip') => {
+            if (!engine) return;
+            downloadFile(fileName, await getBcfManager().export());
+        },
+        /** Read a .bcfzip; returns the number of topics imported */
+        importBcf: async (buffer) => {
+            if (!engine) return 0;
+            return getBcfManager().import(buffer);
+        },
+        /* ─── Clash detection ─── */
+
+        /**
+         * Clash test between two element sets, each a ModelIdMap or a filter
+         * query (see ClashDetector.run). Rejects with an AbortError when
+         * cancelled. Resolves with the clusters of clashes.
+         */
+        runClashDetection: async (setA, setB, options, onProgress) => {
+            if (!engine) return [];
+            return getClashDetector().run(setA, setB, options, onProgress);
+        },
+        cancelClashDetection: () => clashRef.current?.cancel(),
+        getClashResults: () => clashRef.current?.list() ?? [],
+        /** Options of the last clash run, or null */
+        getClashOptions: () => clashRef.current?.options ?? null,
+        setClashStatus: (id, status) => clashRef.current?.setStatus(id, status),
+        /** Subscribe to clash result and status changes; returns an unsubscribe function */
+        onClashesChanged: (listener) => {
+            if (!engine) return () => {};
+            return getClashDetector().onChange(listener);
+        },
+        /** Clash results as a table (header + rows) for CSV / XLSX export */
+        getClashTable: () => clashRef.current?.toTable() ?? [],
+        /* ─── Thematic colours ─── */
+
+        /** Flat attribute / property records of every element (see elementRecords.js) */
+        getElementRecords: async (onProgress) => {
+            if (!engine) return [];
+            return collectElementRecords(engine.fragments, { onProgress });
+        },
+        /**
+         * Replace all colour overrides with one colour per group:
+         * [{ color, modelIdMap }] as built by buildThematicGroups.
+         */
+        applyColorGroups: async (groups) => {
+            if (!engine) return;
+            await applyColorGroups(groups);
+        },
+        /** Remove every colour override (filter colours and thematic views) */
+        resetColors: async () => {
+            if (!engine) return;
+            await applyColorGroups([]);
+        },
+        /* ─── Model comparison ─── */
+
+        /** Ids of the loaded models, in load order */
+        getModelIds: () => (engine ? listModels().map(([modelId]) => modelId) : []),
+        /** Diff two loaded revisions by GlobalId (see modelDiff.js) */
+        compareModels: async (baseId, revisionId, onProgress) => {
+            if (!engine) return null;
+            return compareModels(engine.fragments, baseId, revisionId, onProgress);
+        },
+        /**
+         * Show a diff in the viewport: elements of `statuses` coloured by
+         * status, and of the base model only its deleted elements. The
+         * visibility from before the first call returns with exitModelDiff().
+         */
+        showModelDiff: async (diff, statuses = DIFF_STATUSES) => {
+            if (!engine || !diff) return;
+            const store = getVisibilityStore();
+            if (compareRef.current) await store.restore(compareRef.current.hidden);
+            else compareRef.current = { hidden: store.getHiddenMap() };
+            isolateRef.current = null;
+
+            const base = engine.fragments.list.get(diff.baseId);
+            if (base) {
+                const deleted = diffModelIdMap(diff, statuses.filter(s => s === 'deleted'))[diff.baseId] ?? new Set();
+                const others = (await base.getItemsIdsWithGeometry()).filter(id => !deleted.has(id));
+                await store.hide({ [diff.baseId]: new Set(others) });
+            }
+            await applyColorGroups(diffColorGroups(diff, statuses));
+        },
+        /** Undo showModelDiff: previous visibility, no colour overrides */
+        exitModelDiff: async () => {
+            if (!engine || !compareRef.current) return;
+            const { hidden } = compareRef.current;
+            compareRef.current = null;
+            await getVisibilityStore().restore(hidden);
+            await applyColorGroups([]);
+        },
+        /* ─── Viewpoints ─── */
+
+        /**
+         * JSON-serializable snapshot of the current view: camera, clipping
+         * planes, hidden / isolated elements, colour overrides and a thumbnail.
+         * Stored by utils/viewpoints.js.
+         */
+        captureViewpoint: () => {
+            if (!engine) return null;
+            const { camera } = engine.world;
+            const store = getVisibilityStore();
+            return {
+                version: VIEWPOINT_VERSION,
+                createdAt: Date.now(),
+                camera: {
+                    projection: camera.projection.current,
+                    position: camera.controls.getPosition(new THREE.Vector3()).toArray(),
+                    target: camera.controls.getTarget(new THREE.Vector3()).toArray(),
+                    zoom: camera.three.zoom,
+                },
+                sections: getClippingManager().serialize(),
+                hidden: serializeModelIdMap(store.getHiddenMap()),
+                // Hidden before isolating, so "isolate" can still be toggled off after restoring
+                isolatedFrom: isolateRef.current ? serializeModelIdMap(isolateRef.current.hidden) : null,
+                colors: colorsRef.current.map(({ color, modelIdMap }) => ({
+                    color: `#${new THREE.Color(color).getHexString()}`,
+                    modelIdMap: serializeModelIdMap(modelIdMap),
+                })),
+                thumbnail: renderThumbnail(engine.world),
+            };
+        },
+        /**
+         * Bring back a captureViewpoint() snapshot, flying the camera there.
+         * Throws on an unknown format. Returns { isolated } so the toolbar can follow.
+         */
+        restoreViewpoint: async (viewpoint) => {
+            if (!engine) return { isolated: false };
+            if (!viewpoint || viewpoint.version !== VIEWPOINT_VERSION) {
+                throw new Error('Unsupported viewpoint format');
+            }
+            await exitPlanView();
+            const { camera } = engine.world;
+            const { projection, position, target, zoom } = viewpoint.camera;
+            if (projection && projection !== camera.projection.current) {
+                await camera.projection.set(projection);
+            }
+            const transition = camera.controls.setLookAt(...position, ...target, true);
+            if (zoom) camera.controls.zoomTo(zoom, true);
+
+            getClippingManager().load(viewpoint.sections);
+            await getVisibilityStore().restore(parseModelIdMap(viewpoint.hidden));
+            isolateRef.current = viewpoint.isolatedFrom ? { hidden: parseModelIdMap(viewpoint.isolatedFrom) } : null;
+            await applyColorGroups((viewpoint.colors ?? []).map(({ color, modelIdMap }) => ({
+                color,
+                modelIdMap: parseModelIdMap(modelIdMap),
+            })));
+            await transition;
+            logger.info('[VIEWPOINTS] Restored viewpoint');
+            return { isolated: Boolean(isolateRef.current) };
+        },
         toggleClippingVisibility: () => {
             if (!clippingMgrRef.current) return false;
             const mgr = clippingMgrRef.current;
             mgr.toggleVisibility(!mgr.visible);
             return mgr.visible;
         },
-        hideSelection: () => {
+        hideSelection: async () => {
             if (!engine) return;
-            const hider = engine.components.get(OBC.Hider);
-            const selection = engine.highlighter.selection.select;
-            if (selection && Object.keys(selection).length > 0) {
-                hider.set(false, selection);
-                engine.highlighter.clear();
+            const selection = getSelectionMap(engine);
+            if (selection) {
+                await getVisibilityStore().hide(selection);
+                // Only the selection: clearing every style would drop ghosting too
+                await engine.highlighter.clear('select');
             }
         },
+        /**
+         * Isolate the selection (hide everything else) or, when already
+         * isolated, restore exactly what was hidden before — including
+         * elements hidden from the tree. Returns whether isolation is active.
+         */
+        toggleIsolate: async () => {
+            if (!engine) return false;
+            const store = getVisibilityStore();
+            if (isolateRef.current) {
+                const { hidden } = isolateRef.current;
+                isolateRef.current = null;
+                await store.restore(hidden);
+                logger.info('[VISIBILITY] Isolation ended');
+                return false;
+            }
+            const selection = getSelectionMap(engine);
+            if (!selection) return false;
+            isolateRef.current = { hidden: store.getHiddenMap() };
+            await store.isolate(selection);
+            logger.info('[VISIBILITY] Isolated', countIds(selection), 'elements');
+            return true;
+        },
+        /**
+         * Render everything except the selection as translucent grey, or
+         * turn ghosting off again. Returns whether ghosting is active.
+         */
+        toggleGhost: async () => {
+            if (!engine) return false;
+            const { highlighter, fragments } = engine;
+            if (ghostActiveRef.current) {
+                ghostActiveRef.current = false;
+                await highlighter.clear('ghost');
+                return false;
+            }
+            const selection = getSelectionMap(engine);
+            if (!selection) return false;
+            const others = {};
+            for (const [modelId, model] of fragments.list) {
+                const selected = selection[modelId] ?? new Set();
+                const ids = (await model.getItemsIdsWithGeometry()).filter(id => !selected.has(id));
+                if (ids.length > 0) others[modelId] = new Set(ids);
+            }
+            await highlighter.highlightByID('ghost', others, true, false);
+            ghostActiveRef.current = true;
+            logger.info('[VISIBILITY] Ghosted', countIds(others), 'elements');
+            return true;
+        },
         showAll: async () => {
             if (!engine) return;
-            const { fragments, components } = engine;
-            // Try the v3 model-level reset first, fall back to v2 Hider
-            for (const [, model] of fragments.list) {
-                try { await model.resetVisible(); } catch (_) { /* skip */ }
-            }
-            try {
-                const hider = components.get(OBC.Hider);
-                hider.set(true);
-            } catch (_) { /* Hider may throw in pure v3 */ }
+            isolateRef.current = null;
+            await getVisibilityStore().showAll();
         },
-        reset: () => {
+        reset: async () => {
             if (!engine) return;
 
+            // Remove the plan cut and restore the projection before the models go
+            await exitPlanView();
+
             // Clear selection
             if (engine.highlighter) {
                 engine.highlighter.clear();
@@ -424,10 +1265,140 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                 engine.world.meshes.clear();
             }
 
+            isolateRef.current = null;
+            ghostActiveRef.current = false;
+            compareRef.current = null;
+            colorsRef.current = [];
+            modelsRef.current.clear();
+            visibilityRef.current?.clear();
+            clashRef.current?.clear();
             disposeAllFragments(engine.fragments);
             clearHelperObjects(engine.world.scene.three);
         },
 
+        /* ─── Model manager ─── */
+
+        /**
+         * Loaded models in the manager's order, with what the model manager shows:
+         * [{ modelId, name, schema, elementCount, size, hiddenCount, opacity }].
+         * `elementCount` counts the elements with geometry, `size` the bytes of the
+         * file the model was loaded from.
+         */
+        getModels: async () => {
+            if (!engine) return [];
+            const store = getVisibilityStore();
+            const models = [];
+            for (const [modelId, model] of listModels()) {
+                let entry = modelsRef.current.get(modelId);
+                if (!entry) {
+                    entry = { name: modelId, size: null, opacity: 1 };
+                    modelsRef.current.set(modelId, entry);
+                }
+                // Neither changes while the model is loaded; read them once
+                if (entry.elementCount === undefined) {
+                    try {
+                        const [metadata, ids] = await Promise.all([model.getMetadata(), model.getItemsIdsWithGeometry()]);
+                        entry.schema = metadata?.schema ?? null;
+                        entry.elementCount = ids.length;
+                    } catch (err) {
+                        logger.warn('[MODELS] Could not read model info:', modelId, err);
+                    }
+                }
+                models.push({
+                    modelId,
+                    name: getModelName(modelId, model),
+                    schema: entry.schema ?? null,
+                    elementCount: entry.elementCount ?? 0,
+                    size: entry.size,
+                    hiddenCount: store.hiddenCountIn(modelId),
+                    opacity: entry.opacity,
+                });
+            }
+            return models;
+        },
+        /** Show or hide every element of one model, through the visibility store */
+        setModelVisible: async (modelId, visible) => {
+            const model = engine?.fragments.list.get(modelId);
+            if (!model) return;
+            const ids = await model.getItemsIdsWithGeometry();
+            await getVisibilityStore().setVisible({ [modelId]: new Set(ids) }, visible);
+        },
+        /** Opacity of a whole model, 0–1; 1 restores its materials */
+        setModelOpacity: async (modelId, opacity) => {
+            const model = engine?.fragments.list.get(modelId);
+            const entry = modelsRef.current.get(modelId);
+            if (!model || !entry) return;
+            const value = Math.min(1, Math.max(0.05, opacity));
+            if (value >= 1) await model.resetOpacity(undefined);
+            else await model.setOpacity(undefined, value);
+            entry.opacity = value;
+            await engine.fragments.core.update(true);
+        },
+        fitToModel: async (modelId) => {
+            const model = engine?.fragments.list.get(modelId);
+            if (!model || model.box.isEmpty()) return false;
+            await focusCamera(engine.world.camera.controls, model.box);
+            return true;
+        },
+        /** Display name in the tree and the model manager; the model id stays */
+        renameModel: (modelId, name) => {
+            const entry = modelsRef.current.get(modelId);
+            if (entry) entry.name = name.trim() || modelId;
+        },
+        /** Move a model `offset` places up (-) or down (+) the manager's order */
+        moveModel: (modelId, offset) => {
+            if (!engine) return;
+            const ids = listModels().map(([id]) => id);
+            const from = ids.indexOf(modelId);
+            const to = Math.min(ids.length - 1, Math.max(0, from + offset));
+            if (from < 0 || from === to) return;
+            ids.splice(to, 0, ...ids.splice(from, 1));
+            const entries = modelsRef.current;
+            modelsRef.current = new Map(ids.filter(id => entries.has(id)).map(id => [id, entries.get(id)]));
+        },
+        /**
+         * Dispose one model and drop everything that refers to it: selection and ghosting,
+         * hidden items, colour overrides, saved isolate / plan / diff state and
+         * clash results involving it.
+         */
+        unloadModel: async (modelId) => {
+            if (!engine?.fragments.list.has(modelId)) return;
+            const { fragments, highlighter, world } = engine;
+
+            // Clearing 'select' also empties the property panel; every other style
+            // (ghost, …) just forgets the model so later updates don't touch it
+            if (highlighter?.selection.select?.[modelId]) await highlighter.clear('select');
+            for (const styleMap of Object.values(highlighter?.selection ?? {})) delete styleMap?.[modelId];
+            visibilityRef.current?.removeModel(modelId);
+            for (const state of [isolateRef.current, planViewRef.current, compareRef.current]) {
+                if (state?.hidden) delete state.hidden[modelId];
+            }
+            colorsRef.current = colorsRef.current
+                .map(({ color, modelIdMap }) => ({ color, modelIdMap: omitModel(modelIdMap, modelId) }))
+                .filter(({ modelIdMap }) => Object.keys(modelIdMap).length > 0);
+            const clashes = clashRef.current?.list() ?? [];
+            if (clashes.some(cluster => cluster.clashes.some(c => c.a.modelId === modelId || c.b.modelId === modelId))) {
+                clashRef.current.clear();
+            }
+
+            modelsRef.current.delete(modelId);
+            await disposeFragmentsModel(fragments, modelId);
+            clippingMgrRef.current?.caps.invalidate();
+            clippingMgrRef.current?.outlines.invalidate();
+
+            // The bounds helper outlined every model; redraw it around the rest
+            clearHelperObjects(world.scene.three);
+            const bounds = new THREE.Box3();
+            for (const model of fragments.list.values()) bounds.union(model.box);
+            if (!bounds.isEmpty()) {
+                const helper = new THREE.Box3Helper(bounds, 0xffff00);
+                helper.frustumCulled = false;
+                world.scene.three.add(helper);
+            }
+            await fragments.core.update(true);
+            logger.info('[MODELS] Unloaded', modelId, '; models left:', fragments.list.size);
+        },
+
         /* ─── Spatial tree ─── */
 
         getSpatialStructure: async () => {
@@ -439,7 +1410,7 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
             logger.info('[TREE] fragments.list type:', Object.getPrototypeOf(fragments.list)?.constructor?.name);
 
             let idx = 0;
-            for (const [modelId, model] of fragments.list) {
+            for (const [modelId, model] of listModels()) {
                 logger.info(`[TREE] model[${idx}] key="${modelId}" constructor="${Object.getPrototypeOf(model)?.constructor?.name}"`);
                 logger.info(`[TREE] model[${idx}] own props:`, Object.getOwnPropertyNames(model).join(', '));
                 logger.info(`[TREE] model[${idx}] proto methods:`, Object.getOwnPropertyNames(Object.getPrototypeOf(model) ?? {}).join(', '));
@@ -450,7 +1421,7 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                     const tree = await buildModelTree(model);
                     results.push({
                         modelId,
-                        name: model.name || model.modelId || 'IFC Model',
+                        name: getModelName(modelId, model),
                         tree,
                     });
                 } catch (err) {
@@ -461,7 +1432,38 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
             return results;
         },
 
-        highlightNode: (expressID, modelId) => {
+        /**
+         * Tree of every model in one of the alternate modes (see treeGroupings.js):
+         * [{ modelId, name, tree: groupNodes[] }], the same shape as getSpatialStructure.
+         */
+        getGroupedStructure: async (mode, onProgress) => {
+            if (!engine) return [];
+            const models = listModels();
+            const results = [];
+            for (let m = 0; m < models.length; m++) {
+                const [modelId, model] = models[m];
+                try {
+                    const tree = await buildGroupedTree(model, mode, (done, total) => onProgress?.((m + done / (total || 1)) / models.length));
+                    results.push({ modelId, name: getModelName(modelId, model), tree });
+                } catch (err) {
+                    logger.warn('[TREE] Error grouping model by', mode, err);
+                }
+            }
+            return results;
+        },
+
+        /** Names of tree items, fetched lazily by the tree panel: Map<localId, name> */
+        getTreeNames: async (modelId, localIds) => {
+            const model = engine?.fragments.list.get(modelId);
+            if (!model || localIds.length === 0) return new Map();
+            return fetchItemNames(model, localIds);
+        },
+
+        /**
+         * Select a tree node. With `toggle`, the node is added to the current
+         * selection, or removed from it when already selected (Ctrl + click).
+         */
+        highlightNode: (expressID, modelId, { toggle = false } = {}) => {
             if (!engine || expressID == null) return;
             const { fragments, highlighter } = engine;
 
@@ -474,26 +1476,24 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
             }
 
             if (Object.keys(fragmentMap).length > 0) {
-                highlighter.highlightByID('select', fragmentMap, true, true);
+                highlighter.highlightByID('select', fragmentMap, !toggle, !toggle, null, toggle);
             }
         },
 
         setNodeVisibility: async (expressIDs, visible, modelId) => {
             if (!engine || !expressIDs || expressIDs.length === 0) return;
-            const { fragments } = engine;
-
-            const validIDs = expressIDs.filter(id => id != null);
-            if (validIDs.length === 0) return;
-
-            for (const [mid, model] of fragments.list) {
-                if (!modelId || mid === modelId) {
-                    try {
-                        await model.setVisible(visible, validIDs);
-                    } catch (err) {
-                        logger.warn('[TREE] setVisible failed:', err);
-                    }
-                }
+            const map = {};
+            for (const [mid] of engine.fragments.list) {
+                if (!modelId || mid === modelId) map[mid] = new Set(expressIDs);
             }
+            await getVisibilityStore().setVisible(map, visible);
+        },
+        /** `${modelId}:${localId}` keys of all hidden items */
+        getHiddenKeys: () => visibilityRef.current?.hiddenKeys ?? new Set(),
+        /** Subscribe to visibility changes; the listener gets the new hidden keys. Returns an unsubscribe function */
+        onVisibilityChanged: (listener) => {
+            if (!engine) return () => {};
+            return getVisibilityStore().onChange(listener);
         },
     }));
 
@@ -510,12 +1510,55 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
         }
     }, [error, onError]);
 
+    // Double-click an element to fly to it; F fits the selection, Shift+F only orbits around it
+    useEffect(() => {
+        if (!engine) return;
+        const container = engine.world.renderer.three.domElement;
+
+        const handleDoubleClick = async () => {
+            // Clipping placement and measuring pause the highlighter and own double-clicks
+            if (!engine.highlighter.enabled) return;
+            const raycaster = engine.components.get(OBC.Raycasters).get(engine.world);
+            const result = await raycaster.castRay();
+            if (result?.fragments && result.localId != null) {
+                await zoomToElements(engine, { [result.fragments.modelId]: new Set([result.localId]) });
+            }
+        };
+
+        const handleKeyDown = async (event) => {
+            if (event.key !== 'f' && event.key !== 'F') return;
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement
+                || event.target instanceof HTMLSelectElement) return;
+            const selection = getSelectionMap(engine);
+            if (selection) {
+                await zoomToElements(engine, selection, { pivotOnly: event.shiftKey });
+            } else if (!event.shiftKey) {
+                // Nothing selected: frame every model, like the fit button
+                const bbox = engine.components.get(OBC.BoundingBoxer);
+                bbox.list.clear();
+                bbox.addFromModels();
+                const box = bbox.get();
+                bbox.list.clear();
+                if (!box.isEmpty()) await focusCamera(engine.world.camera.controls, box);
+            }
+        };
+
+        container.addEventListener('dblclick', handleDoubleClick);
+        window.addEventListener('keydown', handleKeyDown);
+        return () => {
+            container.removeEventListener('dblclick', handleDoubleClick);
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [engine]);
+
     // Handle selection
     useEffect(() => {
         if (!engine || !onSelect) return;
 
         const highlighter = engine.highlighter;
-        const components = engine.components;
+        // Bumped on every selection change, so a slow property fetch can't overwrite a newer selection
+        let selectionSeq = 0;
 
         // Handle selection via highlighter events
         const handleHighlight = async (selection) => {
@@ -525,79 +1568,88 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                 requestAnimationFrame(() => clippingMgrRef.current?.refreshClipping());
             }
 
-            if (!selection || Object.keys(selection).length === 0) {
+            const seq = ++selectionSeq;
+            const entries = Object.entries(selection ?? {}).filter(([, ids]) => ids?.size > 0);
+            if (entries.length === 0) {
                 onSelect(null);
                 return;
             }
 
-            const fragmentId = Object.keys(selection)[0];
-            const expressIDSet = selection[fragmentId];
-
-            if (!expressIDSet || expressIDSet.size === 0) {
-                onSelect(null);
-                return;
+            // In v3 the selection key IS the model ID
+            const elements = entries.flatMap(([modelId, ids]) =>
+                [...ids].map(expressID => ({ expressID, modelID: modelId, properties: null, units: null })));
+
+            // Fetch properties via v3 getItemsData with relations (Psets, materials, type),
+            // one call per model, for the first MAX_COMPARED_ELEMENTS elements
+            const compared = elements.slice(0, MAX_COMPARED_ELEMENTS);
+            const byModel = new Map();
+            for (const element of compared) {
+                if (!byModel.has(element.modelID)) byModel.set(element.modelID, []);
+                byModel.get(element.modelID).push(element);
             }
 
-            const expressID = Array.from(expressIDSet)[0];
-
-            let targetModel = null;
-            let props = null;
-
-            try {
-                // In v3 the selection key IS the model ID – look it up directly
-                if (engine.fragments.list) {
-                    targetModel = engine.fragments.list.get(fragmentId) ?? null;
-                    // If not found by model ID, scan all models (backward compat)
-                    if (!targetModel) {
-                        for (const [, m] of engine.fragments.list) {
-                            targetModel = m;
-                            break;
-                        }
-                    }
-                }
-
-                // Fetch properties via v3 getItemsData with relations (Psets, materials, type)
-                if (targetModel) {
+            for (const [modelId, modelElements] of byModel) {
+                const model = engine.fragments.list.get(modelId);
+                if (!model) continue;
+                const ids = modelElements.map(e => e.expressID);
+                let itemsData = null;
+                let units = null;
+                try {
+                    itemsData = await model.getItemsData(ids, {
+                        attributesDefault: true,
+                        relationsDefault: { attributes: true, relations: true },
+                        relations: {
+                            IsDefinedBy: { attributes: true, relations: true },
+                            HasAssociations: { attributes: true, relations: true },
+                            IsTypedBy: { attributes: true, relations: true },
+                        },
+                    });
+                    units = await getProjectUnits(model);
+                } catch (err) {
+                    console.warn('[IFC] getItemsData with relations failed, falling back:', err);
                     try {
-                        const itemsData = await targetModel.getItemsData([expressID], {
-                            attributesDefault: true,
-                            relationsDefault: { attributes: true, relations: true },
-                            relations: {
-                                IsDefinedBy: { attributes: true, relations: true },
-                                HasAssociations: { attributes: true, relations: true },
-                                IsTypedBy: { attributes: true, relations: true },
-                            },
-                        });
-                        props = itemsData?.[0] ?? null;
-                    } catch (err) {
-                        console.warn('[IFC] getItemsData with relations failed, falling back:', err);
-                        try {
-                            const basic = await targetModel.getItemsData([expressID]);
-                            props = basic?.[0] ?? null;
-                        } catch (__) { /* properties unavailable */ }
-                    }
+                        itemsData = await model.getItemsData(ids);
+                    } catch (__) { /* properties unavailable */ }
                 }
-            } catch (err) {
-                console.warn('[IFC] Failed to fetch properties for', expressID, err);
+                modelElements.forEach((element, i) => {
+                    element.properties = itemsData?.[i] ?? null;
+                    element.units = units;   // project units, for property values without their own Unit
+                });
             }
 
-            onSelect({
-                expressID,
-                modelID: fragmentId,   // in v3, selection key is the model ID
-                properties: props
-            });
+            if (seq !== selectionSeq) return;   // superseded by a newer selection
+            onSelect(elements);
         };
 
+        // Fired for full clears and for ctrl-click toggles; the latter are followed by onHighlight
         const handleClear = () => {
+            const remaining = Object.values(highlighter.selection.select ?? {}).some(ids => ids.size > 0);
+            if (remaining) return;
+            selectionSeq++;
             onSelect(null);
         };
 
         highlighter.events.select.onHighlight.add(handleHighlight);
         highlighter.events.select.onClear.add(handleClear);
 
+        // Rectangle / lasso selection (Shift + drag, or any drag with an area tool); Ctrl adds
+        const areaSelector = new AreaSelector(engine.world, engine.components, (modelIdMap, additive) => {
+            if (Object.keys(modelIdMap).length === 0) {
+                if (!additive) highlighter.clear('select');
+                return;
+            }
+            highlighter.highlightByID('select', modelIdMap, !additive, false);
+        }, {
+            getClippingPlanes: () => clippingMgrRef.current?.activePlanes ?? [],
+        });
+        areaSelector.enabled = !measureMgrRef.current?.mode;
+        areaSelectorRef.current = areaSelector;
+
         return () => {
             highlighter.events.select.onHighlight.remove(handleHighlight);
             highlighter.events.select.onClear.remove(handleClear);
+            areaSelector.dispose();
+            areaSelectorRef.current = null;
         };
 
     }, [engine, onSelect]);
@@ -610,6 +1662,7 @@ const IfcViewer = forwardRef(function IfcViewer({ onReady, onError, onSelect },
                 <span className="hint-tag">🖱 Left: Rotate</span>
                 <span className="hint-tag">🖱 Right: Pan</span>
                 <span className="hint-tag">⚙ Scroll: Zoom</span>
+                <span className="hint-tag">⇧ Drag: Box select</span>
             </div>
         </div>
     );
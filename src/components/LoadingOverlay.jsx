@@ -1,13 +1,75 @@
-const LoadingOverlay = ({ loading, fileName }) => {
-  if (!loading) return null;
+import { X, Check, AlertTriangle, Ban } from 'lucide-react';
+
+const PHASE_LABELS = {
+  cache: 'Checking cache',
+  geometries: 'Converting geometry',
+  attributes: 'Reading attributes',
+  relations: 'Reading relations',
+  loading: 'Loading model',
+};
+
+function describe(file) {
+  switch (file.status) {
+    case 'pending': return 'Waiting';
+    case 'cancelling': return 'Cancelling…';
+    case 'loaded': return 'Loaded';
+    case 'cancelled': return 'Cancelled';
+    case 'failed': return file.error || 'Failed';
+    default: return PHASE_LABELS[file.phase] ?? 'Processing';
+  }
+}
+
+const STATUS_ICONS = {
+  loaded: <Check size={12} />,
+  failed: <AlertTriangle size={12} />,
+  cancelled: <Ban size={12} />,
+};
+
+/**
+ * LoadingOverlay — one row per file being loaded with its conversion phase,
+ * a progress bar and a cancel button. Stays up after the batch when a file
+ * failed or was cancelled, so the outcome of each file can be read.
+ */
+const LoadingOverlay = ({ loading, fileName, files = [], onCancel, onDismiss }) => {
+  if (!loading && files.length === 0) return null;
 
   return (
     <div className="loading-overlay">
-      <div className="spinner" />
-      <div className="loading-text">Processing...</div>
-      <div className="loading-sub">{fileName}</div>
+      {loading && <div className="spinner" />}
+      <div className="loading-text">{loading ? 'Processing...' : 'Finished loading'}</div>
+      {files.length === 0 ? (
+        <div className="loading-sub">{fileName}</div>
+      ) : (
+        <ul className="loading-files">
+          {files.map((file, index) => (
+            <li key={index} className={`loading-file loading-file--${file.status}`}>
+              <div className="loading-file-row">
+                <span className="loading-file-name" title={file.name}>{file.name}</span>
+                {STATUS_ICONS[file.status]}
+                {(file.status === 'pending' || file.status === 'loading') && (
+                  <button className="loading-file-cancel" onClick={() => onCancel?.(index)} title="Cancel this file">
+                    <X size={12} />
+                  </button>
+                )}
+              </div>
+              {file.status === 'loading' && (
+                <div className="loading-bar">
+                  <div className="loading-bar-fill" style={{ width: `${Math.round(file.progress * 100)}%` }} />
+                </div>
+              )}
+              <div className="loading-file-status" title={file.error ?? undefined}>
+                {describe(file)}
+                {file.status === 'loading' && file.progress > 0 && ` · ${Math.round(file.progress * 100)}%`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {!loading && (
+        <button className="loading-dismiss" onClick={onDismiss}>Close</button>
+      )}
     </div>
   );
 };
 
-export default LoadingOverlay;
\ No newline at end of file
+export default LoadingOverlay;
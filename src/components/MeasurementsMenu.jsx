@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { Ruler, MoveVertical, Pentagon, Triangle, Trash2, FileDown } from 'lucide-react';
+
+const TOOLS = [
+  { mode: 'distance', label: 'Distance', icon: <Ruler size={14} />, hint: 'Click two points' },
+  { mode: 'perpendicular', label: 'Perpendicular', icon: <MoveVertical size={14} />, hint: 'Click a face, then a point or parallel face' },
+  { mode: 'area', label: 'Area', icon: <Pentagon size={14} />, hint: 'Click corners; double-click or Enter to close' },
+  { mode: 'angle', label: 'Angle', icon: <Triangle size={14} />, hint: 'Click a point, the vertex, then a second point' },
+];
+
+/**
+ * MeasurementsMenu — popup with the measurement tools and the list of
+ * placed measurements (delete, clear, CSV export).
+ */
+export default function MeasurementsMenu({ viewerRef, mode, onModeChange, onError }) {
+  const [measurements, setMeasurements] = useState([]);
+
+  // Follow measurements finished in the viewport
+  useEffect(() => {
+    const refresh = () => setMeasurements(viewerRef.current?.getMeasurements() ?? []);
+    refresh();
+    return viewerRef.current?.onMeasurementsChanged(refresh);
+  }, [viewerRef]);
+
+  const activeTool = TOOLS.find(t => t.mode === mode);
+
+  return (
+    <div className="toolbar-menu sections-menu">
+      <div className="toolbar-menu-title">Measure</div>
+      <div className="measure-tools">
+        {TOOLS.map(({ mode: toolMode, label, icon }) => (
+          <button
+            key={toolMode}
+            className={`measure-tool ${mode === toolMode ? 'active' : ''}`}
+            onClick={() => onModeChange(mode === toolMode ? null : toolMode)}
+            title={label}
+          >
+            {icon}
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
+      {activeTool && <div className="sections-empty">{activeTool.hint} · Esc cancels</div>}
+
+      <div className="toolbar-menu-title">Measurements</div>
+      {measurements.length === 0 && (
+        <div className="sections-empty">No measurements yet</div>
+      )}
+      {measurements.map(m => (
+        <div key={m.id} className="sections-row">
+          <span className="sections-row-label">
+            {m.name}
+            <span className="sections-row-meta">{m.text}</span>
+          </span>
+          <button className="tree-row-btn" title="Delete" onClick={() => viewerRef.current?.deleteMeasurement(m.id)}>
+            <Trash2 size={12} />
+          </button>
+        </div>
+      ))}
+      {measurements.length > 0 && (
+        <>
+          <button
+            className="toolbar-menu-item"
+            onClick={() => {
+              if (!viewerRef.current?.exportMeasurementsCSV()) onError?.('There are no measurements to export.');
+            }}
+          >
+            <FileDown size={14} /> Export as CSV
+          </button>
+          <button className="toolbar-menu-item" onClick={() => viewerRef.current?.clearMeasurements()}>
+            <Trash2 size={14} /> Delete all
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { useState, useEffect, useCallback } from 'react';
+import { X, Eye, EyeOff, Crosshair, ChevronUp, ChevronDown, Trash2 } from 'lucide-react';
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1e6) return `${(bytes / 1e3).toFixed(0)} KB`;
+  return `${(bytes / 1e6).toFixed(1)} MB`;
+}
+
+/**
+ * ModelManagerPanel — every loaded model with its schema, element count and
+ * file size. Models can be renamed (double-click the name), reordered,
+ * hidden, made see-through, zoomed to and unloaded one at a time.
+ * `onModelsChanged` is called after an unload, rename or reorder so the
+ * header, tree and model counts follow.
+ */
+export default function ModelManagerPanel({ viewerRef, refreshKey, onModelsChanged, onError, onClose }) {
+  const [models, setModels] = useState([]);
+  const [editing, setEditing] = useState(null);   // { modelId, name } while renaming
+  const [busyId, setBusyId] = useState(null);     // model being unloaded
+
+  const refresh = useCallback(async () => {
+    setModels(await viewerRef.current?.getModels() ?? []);
+  }, [viewerRef]);
+
+  useEffect(() => { refresh(); }, [refresh, refreshKey]);
+
+  // Hiding elements elsewhere (tree, isolate, filters) changes the eye state
+  useEffect(() => viewerRef.current?.onVisibilityChanged(() => { refresh(); }), [viewerRef, refresh]);
+
+  const handleUnload = useCallback(async (model) => {
+    setBusyId(model.modelId);
+    try {
+      await viewerRef.current?.unloadModel(model.modelId);
+      onModelsChanged?.();
+    } catch (err) {
+      onError?.(`Could not unload ${model.name}: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  }, [viewerRef, onModelsChanged, onError]);
+
+  const handleMove = (modelId, offset) => {
+    viewerRef.current?.moveModel(modelId, offset);
+    onModelsChanged?.();
+  };
+
+  const commitRename = () => {
+    if (!editing) return;
+    viewerRef.current?.renameModel(editing.modelId, editing.name);
+    setEditing(null);
+    onModelsChanged?.();
+  };
+
+  const handleOpacity = (modelId, opacity) => {
+    setModels(current => current.map(m => (m.modelId === modelId ? { ...m, opacity } : m)));
+    viewerRef.current?.setModelOpacity(modelId, opacity);
+  };
+
+  return (
+    <div className="models-panel">
+      <div className="panel-header">
+        <h3>
+          <span>Models</span>
+          {models.length > 0 && <span className="tree-count-badge">{models.length}</span>}
+        </h3>
+        <div className="tree-header-actions">
+          <button className="tree-action-btn" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="panel-content">
+        {models.length === 0 && <div className="empty-props">No models loaded.</div>}
+        {models.map((model, index) => {
+          const hidden = model.elementCount > 0 && model.hiddenCount >= model.elementCount;
+          return (
+            <div key={model.modelId} className={`models-row ${hidden ? 'models-row--hidden' : ''}`}>
+              <div className="models-row-header">
+                {editing?.modelId === model.modelId ? (
+                  <input
+                    className="models-rename"
+                    value={editing.name}
+                    autoFocus
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditing(null);
+                    }}
+                  />
+                ) : (
+                  <span
+                    className="models-name"
+                    title={`${model.modelId} — double-click to rename`}
+                    onDoubleClick={() => setEditing({ modelId: model.modelId, name: model.name })}
+                  >
+                    {model.name}
+                  </span>
+                )}
+                <button
+                  className="tree-row-btn"
+                  title={hidden ? 'Show model' : model.hiddenCount > 0 ? 'Hide model (partly hidden)' : 'Hide model'}
+                  onClick={() => viewerRef.current?.setModelVisible(model.modelId, hidden)}
+                >
+                  {hidden ? <EyeOff size={12} /> : <Eye size={12} />}
+                </button>
+                <button className="tree-row-btn" title="Fit to this model" onClick={() => viewerRef.current?.fitToModel(model.modelId)}>
+                  <Crosshair size={12} />
+                </button>
+                <button className="tree-row-btn" title="Move up" disabled={index === 0} onClick={() => handleMove(model.modelId, -1)}>
+                  <ChevronUp size={12} />
+                </button>
+                <button className="tree-row-btn" title="Move down" disabled={index === models.length - 1} onClick={() => handleMove(model.modelId, 1)}>
+                  <ChevronDown size={12} />
+                </button>
+                <button
+                  className="tree-row-btn models-unload"
+                  title="Unload model"
+                  disabled={busyId !== null}
+                  onClick={() => handleUnload(model)}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+              <div className="models-meta">
+                <span>{model.schema ?? 'Unknown schema'}</span>
+                <span>{model.elementCount.toLocaleString()} elements</span>
+                <span>{formatSize(model.size)}</span>
+              </div>
+              <label className="models-opacity" title="Model opacity">
+                Opacity
+                <input
+                  type="range"
+                  min="0.05"
+                  max="1"
+                  step="0.05"
+                  value={model.opacity}
+                  onChange={(e) => handleOpacity(model.modelId, Number(e.target.value))}
+                />
+                <span>{Math.round(model.opacity * 100)}%</span>
+              </label>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,5 @@
-/** Extract a displayable scalar from an OBC v3 property: { value, type } wrapper or plain scalar. */
-function extractScalar(v) {
-  if (v === null || v === undefined) return null;
-  if (typeof v === 'object' && 'value' in v) {
-    const inner = v.value;
-    return inner === null || inner === undefined ? null : String(inner);
-  }
-  if (typeof v === 'object') return null;
-  return String(v);
-}
+import { extractScalar, extractMaterialName } from '../utils/ifcProperties';
+import { describeProperty, describeQuantity } from '../utils/ifcPropertyValues';
 
 /** camelCase / PascalCase → readable label */
 function formatKey(key) {
@@ -22,65 +14,13 @@ const SYSTEM_KEYS = new Set(['_category', '_guid', '_localId']);
 // IFC relation arrays we know how to render specially
 const RELATION_KEYS = new Set(['IsDefinedBy', 'HasAssociations', 'IsTypedBy', 'HasMaterial', 'Material']);
 
-/**
- * Helper to recursively extract a material name from complex material structures.
- */
-function extractMaterialName(mat) {
-  if (!mat) return null;
-
-  // Handle arrays explicitly
-  if (Array.isArray(mat)) {
-    const names = mat
-      .map(m => extractMaterialName(m))
-      .filter(n => n && !n.toUpperCase().startsWith('IFC'));
-    return names.length > 0 ? Array.from(new Set(names)).join(', ') : null;
-  }
-
-  if (typeof mat !== 'object') return null;
-
-  // 1. Direct Name check
-  const directName = extractScalar(mat.Name);
-  // We skip names that are just the IFC class name or generic (unhelpful)
-  const isGeneric = !directName || directName.toUpperCase().startsWith('IFC') || directName.toUpperCase() === 'MATERIAL';
-  if (directName && !isGeneric) return directName;
-
-  // 2. Drill down into common IFC material structures
-
-  // IfcMaterialLayerSetUsage -> ForLayerSet
-  if (mat.ForLayerSet) return extractMaterialName(mat.ForLayerSet);
-
-  // IfcMaterialLayerSet -> MaterialLayers[]
-  if (mat.MaterialLayers) return extractMaterialName(mat.MaterialLayers);
-
-  // IfcMaterialLayer -> Material
-  if (mat.Material) {
-    const n = extractMaterialName(mat.Material);
-    if (n) return n;
-  }
-
-  // IfcMaterialList -> Materials[]
-  if (mat.Materials) return extractMaterialName(mat.Materials);
-
-  // IfcMaterialProfileSetUsage -> ForProfileSet
-  if (mat.ForProfileSet) return extractMaterialName(mat.ForProfileSet);
-
-  // IfcMaterialProfileSet -> MaterialProfiles[]
-  if (mat.MaterialProfiles) return extractMaterialName(mat.MaterialProfiles);
-
-  // IfcMaterialProfile -> Material
-  // (already handled by mat.Material check above)
-
-  // 3. Last resort: check if any of the attributes is a string that doesn't look like a type
-  if (directName) return directName;
-
-  return null;
-}
-
 /**
  * Try to extract property rows from a relation or property object.
- * Returns an array of sections: { title, rows: [{ key, label, value }] }[]
+ * Returns an array of sections: { title, rows: [{ key, label, value, children?, table? }] }[]
+ * @param {object} rel
+ * @param {Record<string, { symbol: string }>} [units] - project units, for values without their own Unit
  */
-function extractPsets(rel) {
+function extractPsets(rel, units) {
   if (!rel || typeof rel !== 'object') return [];
   const results = [];
 
@@ -96,24 +36,23 @@ function extractPsets(rel) {
   if (rel.HasProperties) {
     const psetName = extractScalar(rel.Name);
     const propList = Array.isArray(rel.HasProperties) ? rel.HasProperties : [rel.HasProperties];
-    const rows = [];
-    for (const p of propList) {
-      if (!p || typeof p !== 'object') continue;
-      const name = extractScalar(p.Name);
-      const nominal = p.NominalValue;
-      const val = nominal && typeof nominal === 'object' && 'value' in nominal
-        ? extractScalar(nominal)
-        : extractScalar(p.Value);
-      if (name && val !== null) rows.push({ key: name, label: name, value: val });
-    }
+    const rows = propList.map(p => describeProperty(p, units)).filter(Boolean);
     if (rows.length) results.push({ title: psetName ?? 'Property Set', rows });
   }
 
+  // ── 2b. Quantity Set (IfcElementQuantity) ──
+  if (rel.Quantities) {
+    const qtoName = extractScalar(rel.Name);
+    const quantityList = Array.isArray(rel.Quantities) ? rel.Quantities : [rel.Quantities];
+    const rows = quantityList.map(q => describeQuantity(q, units)).filter(Boolean);
+    if (rows.length) results.push({ title: qtoName ?? 'Quantities', rows });
+  }
+
   // ── 3. Relation Wrapper (IfcRelDefinesByProperties) ──
   if (rel.RelatingPropertyDefinition) {
     const items = Array.isArray(rel.RelatingPropertyDefinition) ? rel.RelatingPropertyDefinition : [rel.RelatingPropertyDefinition];
     for (const ps of items) {
-      results.push(...extractPsets(ps));
+      results.push(...extractPsets(ps, units));
     }
   }
 
@@ -128,11 +67,11 @@ function extractPsets(rel) {
       // Psets / Materials attached to the type
       if (t.HasPropertySets) {
         const psets = Array.isArray(t.HasPropertySets) ? t.HasPropertySets : [t.HasPropertySets];
-        for (const ps of psets) results.push(...extractPsets(ps));
+        for (const ps of psets) results.push(...extractPsets(ps, units));
       }
       if (t.HasAssociations) {
         const assocs = Array.isArray(t.HasAssociations) ? t.HasAssociations : [t.HasAssociations];
-        for (const assoc of assocs) results.push(...extractPsets(assoc));
+        for (const assoc of assocs) results.push(...extractPsets(assoc, units));
       }
     }
   }
@@ -153,29 +92,15 @@ function extractPsets(rel) {
   return results;
 }
 
-import React, { useState } from 'react';
-
-const PropertyPanel = ({ selectedElement, onClose }) => {
-  const [showDebug, setShowDebug] = useState(false);
-  const props = selectedElement?.properties ?? null;
-
-  if (!props) {
-    return (
-      <div className="properties-panel">
-        <div className="panel-header">
-          <h3><span>IFC Element</span></h3>
-          <button onClick={onClose} title="Close">✕</button>
-        </div>
-        <div className="panel-content">
-          <div className="empty-props">No property data found for this element.</div>
-        </div>
-      </div>
-    );
-  }
+/**
+ * Attribute rows and property sections of one selected element.
+ * @returns {{ typeLabel: string, mainRows: object[], systemRows: object[], psetSections: object[] }}
+ */
+function describeElement(element) {
+  const props = element.properties;
 
   // ── Derive type label from _category ──
-  const catRaw = props._category;
-  const catVal = extractScalar(catRaw);
+  const catVal = extractScalar(props._category);
   const typeLabel = catVal ? catVal.replace(/^IFC/i, 'Ifc') : 'IFC Element';
 
   // ── Main attributes (direct scalar props) ──
@@ -199,17 +124,151 @@ const PropertyPanel = ({ selectedElement, onClose }) => {
     const relArray = Array.isArray(relValue) ? relValue : [relValue];
     for (const rel of relArray) {
       if (!rel || typeof rel !== 'object') continue;
-      const results = extractPsets(rel);
+      const results = extractPsets(rel, element.units);
       psetSections.push(...results);
     }
   }
 
-  const renderRow = ({ key, label, value }) => (
-    <div key={key} className="prop-row">
-      <span className="prop-key" title={key}>{label}</span>
-      <span className="prop-value" title={value}>{value}</span>
-    </div>
-  );
+  return { typeLabel, mainRows, systemRows, psetSections };
+}
+
+/** Comparable form of a row: its value plus any nested rows or table */
+const rowSignature = (row) => JSON.stringify([row.value ?? null, row.children ?? null, row.table ?? null]);
+
+/**
+ * Rows present in every list. Rows whose content differs between the
+ * lists are kept with `varies` set and the distinct values in `values`.
+ */
+function intersectRows(rowLists) {
+  const [first, ...rest] = rowLists;
+  const byKey = rest.map(rows => new Map(rows.map(r => [r.key, r])));
+  const shared = [];
+  for (const row of first) {
+    const matches = [row];
+    for (const map of byKey) {
+      const match = map.get(row.key);
+      if (!match) break;
+      matches.push(match);
+    }
+    if (matches.length !== rowLists.length) continue;
+    const signatures = new Set(matches.map(rowSignature));
+    if (signatures.size === 1) {
+      shared.push(row);
+    } else {
+      const values = [...new Set(matches.map(m => m.value).filter(v => v != null))];
+      shared.push({ key: row.key, label: row.label, varies: true, values });
+    }
+  }
+  return shared;
+}
+
+/**
+ * Properties shared by all selected elements. Sections are matched by title
+ * (and occurrence, when an element has several sections with one title).
+ */
+function mergeDescriptions(descriptions) {
+  const keyedSections = (d) => {
+    const seen = new Map();
+    return d.psetSections.map(section => {
+      const n = seen.get(section.title) ?? 0;
+      seen.set(section.title, n + 1);
+      return [`${section.title}#${n}`, section];
+    });
+  };
+  const [first, ...rest] = descriptions.map(d => new Map(keyedSections(d)));
+
+  const psetSections = [];
+  for (const [key, section] of first) {
+    if (!rest.every(map => map.has(key))) continue;
+    const rows = intersectRows([section.rows, ...rest.map(map => map.get(key).rows)]);
+    if (rows.length) psetSections.push({ title: section.title, rows });
+  }
+
+  const labels = new Set(descriptions.map(d => d.typeLabel));
+  return {
+    typeLabel: labels.size === 1 ? `${descriptions.length} × ${descriptions[0].typeLabel}` : `${descriptions.length} elements`,
+    mainRows: intersectRows(descriptions.map(d => d.mainRows)),
+    systemRows: intersectRows(descriptions.map(d => d.systemRows)),
+    psetSections,
+  };
+}
+
+import React, { useState } from 'react';
+
+const PropertyPanel = ({ selectedElements, onClose }) => {
+  const [showDebug, setShowDebug] = useState(false);
+  const withProps = selectedElements.filter(e => e.properties);
+  const isMulti = selectedElements.length > 1;
+  const props = withProps[0]?.properties ?? null;
+
+  if (!props) {
+    return (
+      <div className="properties-panel">
+        <div className="panel-header">
+          <h3><span>{isMulti ? `${selectedElements.length} elements` : 'IFC Element'}</span></h3>
+          <button onClick={onClose} title="Close">✕</button>
+        </div>
+        <div className="panel-content">
+          <div className="empty-props">No property data found for this element.</div>
+        </div>
+      </div>
+    );
+  }
+
+  const descriptions = withProps.map(describeElement);
+  const { typeLabel, mainRows, systemRows, psetSections } = isMulti
+    ? mergeDescriptions(descriptions)
+    : descriptions[0];
+  const headerLabel = isMulti && withProps.length < selectedElements.length
+    ? `${selectedElements.length} elements`
+    : typeLabel;
+
+  const renderRow = ({ key, label, value, children, table, varies, values }) => {
+    // Differs between the selected elements
+    if (varies) {
+      return (
+        <div key={key} className="prop-row">
+          <span className="prop-key" title={key}>{label}</span>
+          <span className="prop-value prop-value--varies" title={values.join('\n')}>varies</span>
+        </div>
+      );
+    }
+    // IfcComplexProperty — nested rows under a sub-heading
+    if (children) {
+      return (
+        <div key={key} className="prop-group">
+          <div className="prop-group-title" title={key}>
+            {label}{value && <span className="prop-group-usage"> · {value}</span>}
+          </div>
+          {children.map(renderRow)}
+        </div>
+      );
+    }
+    // IfcPropertyTableValue — defining / defined value pairs
+    if (table) {
+      return (
+        <div key={key} className="prop-group">
+          <div className="prop-group-title" title={key}>
+            {label}{value && <span className="prop-group-usage"> · {value}</span>}
+          </div>
+          <table className="prop-table">
+            <thead><tr>{table.headers.map(h => <th key={h}>{h}</th>)}</tr></thead>
+            <tbody>
+              {table.rows.map((cells, i) => (
+                <tr key={i}>{cells.map((c, j) => <td key={j}>{c}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    }
+    return (
+      <div key={key} className="prop-row">
+        <span className="prop-key" title={key}>{label}</span>
+        <span className="prop-value" title={value}>{value}</span>
+      </div>
+    );
+  };
 
   const getCircularReplacer = () => {
     const seen = new WeakSet();
@@ -228,8 +287,12 @@ const PropertyPanel = ({ selectedElement, onClose }) => {
     <div className="properties-panel" style={{ display: 'flex', flexDirection: 'column', width: showDebug ? '600px' : undefined }}>
       <div className="panel-header">
         <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-          <span>{typeLabel}</span>
-          <span style={{ fontSize: '11px', opacity: 0.5 }}>#{selectedElement?.expressID}</span>
+          <span>{headerLabel}</span>
+          <span style={{ fontSize: '11px', opacity: 0.5 }}>
+            {isMulti
+              ? (withProps.length < selectedElements.length ? `compared first ${withProps.length}` : 'shared properties')
+              : `#${selectedElements[0].expressID}`}
+          </span>
           <button onClick={() => setShowDebug(!showDebug)} style={{ background: 'none', border: '1px solid currentColor', fontSize: '10px', padding: '2px 4px', cursor: 'pointer', borderRadius: '4px' }}>
             {showDebug ? 'Hide JSON' : 'Show JSON'}
           </button>
@@ -0,0 +1,134 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ArrowLeftRight, Trash2, Save, Download, Upload, X } from 'lucide-react';
+import {
+  listSectionSets,
+  getSectionSet,
+  saveSectionSet,
+  deleteSectionSet,
+  exportSectionSet,
+  importSectionSet,
+} from '../utils/sectionSets';
+
+const AXES = ['X', 'Y', 'Z'];
+
+/** Short label for a plane normal: "+X", "−Y", … or "Oblique" */
+function describeNormal(normal) {
+  const i = normal.findIndex(c => Math.abs(c) > 0.99);
+  if (i === -1) return 'Oblique';
+  return `${normal[i] > 0 ? '+' : '−'}${AXES[i]}`;
+}
+
+/**
+ * SectionsMenu — popup listing the current clipping planes (toggle,
+ * flip, remove) and the saved named section sets (load, export, delete,
+ * import from JSON).
+ */
+export default function SectionsMenu({ viewerRef, onError }) {
+  const [planes, setPlanes] = useState([]);
+  const [sets, setSets] = useState(listSectionSets);
+  const [name, setName] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Follow planes placed, dragged or removed in the viewport
+  useEffect(() => {
+    const refresh = () => setPlanes(viewerRef.current?.getSectionPlanes() ?? []);
+    refresh();
+    return viewerRef.current?.onSectionsChanged(refresh);
+  }, [viewerRef]);
+
+  const handleSave = useCallback((e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    const state = viewerRef.current?.getSectionState();
+    if (!trimmed || !state) return;
+    saveSectionSet(trimmed, state);
+    setSets(listSectionSets());
+    setName('');
+  }, [name, viewerRef]);
+
+  const handleLoad = useCallback((setLabel) => {
+    try {
+      viewerRef.current?.loadSectionState(getSectionSet(setLabel));
+    } catch (err) {
+      onError?.(`Could not load "${setLabel}": ${err.message}`);
+    }
+  }, [viewerRef, onError]);
+
+  const handleDelete = useCallback((setLabel) => {
+    deleteSectionSet(setLabel);
+    setSets(listSectionSets());
+  }, []);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { name: importedName, state } = await importSectionSet(file);
+      // Load first: a wrong-version or malformed set throws and is never saved
+      viewerRef.current?.loadSectionState(state);
+      saveSectionSet(importedName, state);
+      setSets(listSectionSets());
+    } catch (err) {
+      onError?.(`Could not import ${file.name}: ${err.message}`);
+    }
+  }, [viewerRef, onError]);
+
+  return (
+    <div className="toolbar-menu sections-menu">
+      <div className="toolbar-menu-title">Clipping planes</div>
+      {planes.length === 0 && (
+        <div className="sections-empty">No planes — double-click a face in clipping mode</div>
+      )}
+      {planes.map((plane, i) => (
+        <div key={plane.id} className={`sections-row ${plane.enabled ? '' : 'sections-row--disabled'}`}>
+          <label className="sections-row-label">
+            <input
+              type="checkbox"
+              checked={plane.enabled}
+              onChange={() => viewerRef.current?.setSectionPlaneEnabled(plane.id, !plane.enabled)}
+            />
+            Plane {i + 1}
+            <span className="sections-row-meta">{describeNormal(plane.normal)}</span>
+          </label>
+          <button className="tree-row-btn" title="Flip side" onClick={() => viewerRef.current?.flipSectionPlane(plane.id)}>
+            <ArrowLeftRight size={12} />
+          </button>
+          <button className="tree-row-btn" title="Remove plane" onClick={() => viewerRef.current?.removeSectionPlane(plane.id)}>
+            <Trash2 size={12} />
+          </button>
+        </div>
+      ))}
+
+      <div className="toolbar-menu-title">Saved sections</div>
+      <form className="sections-save" onSubmit={handleSave}>
+        <input
+          type="text"
+          placeholder="Name this section set…"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="tree-row-btn" type="submit" title="Save current planes" disabled={!name.trim()}>
+          <Save size={12} />
+        </button>
+        <button className="tree-row-btn" type="button" title="Import from JSON" onClick={() => fileInputRef.current?.click()}>
+          <Upload size={12} />
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json" hidden onChange={handleImport} />
+      </form>
+      {sets.map(setLabel => (
+        <div key={setLabel} className="sections-row">
+          <button className="toolbar-menu-item sections-row-label" title="Restore this set" onClick={() => handleLoad(setLabel)}>
+            {setLabel}
+          </button>
+          <button className="tree-row-btn" title="Export as JSON" onClick={() => exportSectionSet(setLabel, getSectionSet(setLabel))}>
+            <Download size={12} />
+          </button>
+          <button className="tree-row-btn" title="Delete" onClick={() => handleDelete(setLabel)}>
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
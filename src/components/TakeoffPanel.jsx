@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { RefreshCw, X, FileDown, FileSpreadsheet } from 'lucide-react';
+import { aggregateTakeoff, takeoffTable, TAKEOFF_GROUPINGS } from '../utils/quantityTakeoff';
+import { createXlsx } from '../utils/xlsx';
+import { downloadFile, toCSV } from '../utils/download';
+import { logger } from '../utils/logger';
+
+const fmt = (n) => (n > 0 ? n.toLocaleString(undefined, { maximumFractionDigits: 2 }) : '—');
+
+/**
+ * TakeoffPanel — quantities of all loaded models, summed by IFC class,
+ * storey or material. Qto_* values are used where present; values marked
+ * ≈ include elements measured from their geometry.
+ */
+export default function TakeoffPanel({ viewerRef, refreshKey, onClose }) {
+  const [rows, setRows] = useState([]);
+  const [groupBy, setGroupBy] = useState('ifcClass');
+  const [progress, setProgress] = useState(null);   // 0…1 while computing
+
+  const refresh = useCallback(async () => {
+    if (!viewerRef.current) return;
+    setProgress(0);
+    try {
+      const result = await viewerRef.current.computeTakeoff((done, total) => setProgress(total ? done / total : 1));
+      setRows(result ?? []);
+    } catch (err) {
+      logger.warn('[TAKEOFF] Failed to compute takeoff:', err);
+    } finally {
+      setProgress(null);
+    }
+  }, [viewerRef]);
+
+  // Recompute when opened and whenever models are added
+  useEffect(() => {
+    refresh();
+  }, [refreshKey, refresh]);
+
+  const groups = useMemo(() => aggregateTakeoff(rows, groupBy), [rows, groupBy]);
+
+  const totals = useMemo(() => groups.reduce((t, g) => ({
+    count: t.count + g.count,
+    length: t.length + g.length,
+    area: t.area + g.area,
+    volume: t.volume + g.volume,
+  }), { count: 0, length: 0, area: 0, volume: 0 }), [groups]);
+
+  const handleExport = (format) => {
+    const table = takeoffTable(groups, groupBy);
+    const baseName = `takeoff-by-${groupBy}`;
+    if (format === 'xlsx') {
+      downloadFile(`${baseName}.xlsx`, createXlsx('Takeoff', table));
+    } else {
+      downloadFile(`${baseName}.csv`, toCSV(table), 'text/csv');
+    }
+  };
+
+  return (
+    <div className="takeoff-panel">
+      <div className="panel-header">
+        <h3>
+          <span>Quantity Takeoff</span>
+          {totals.count > 0 && <span className="tree-count-badge">{totals.count}</span>}
+        </h3>
+        <div className="tree-header-actions">
+          <button
+            className={`tree-action-btn ${progress !== null ? 'spinning' : ''}`}
+            onClick={refresh}
+            title="Recompute"
+            disabled={progress !== null}
+          >
+            <RefreshCw size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="takeoff-toolbar">
+        <span>Group by</span>
+        {Object.entries(TAKEOFF_GROUPINGS).map(([key, label]) => (
+          <button
+            key={key}
+            className={`takeoff-group-btn ${groupBy === key ? 'active' : ''}`}
+            onClick={() => setGroupBy(key)}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="takeoff-toolbar-spacer" />
+        <button className="tree-action-btn" onClick={() => handleExport('csv')} title="Export CSV" disabled={groups.length === 0}>
+          <FileDown size={14} />
+        </button>
+        <button className="tree-action-btn" onClick={() => handleExport('xlsx')} title="Export XLSX" disabled={groups.length === 0}>
+          <FileSpreadsheet size={14} />
+        </button>
+      </div>
+
+      <div className="panel-content">
+        {progress !== null ? (
+          <div className="tree-empty">
+            <div className="spinner-small" />
+            <span>Reading quantities… {Math.round(progress * 100)}%</span>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="empty-props">No elements with geometry.</div>
+        ) : (
+          <table className="takeoff-table">
+            <thead>
+              <tr>
+                <th>{TAKEOFF_GROUPINGS[groupBy]}</th>
+                <th>Count</th>
+                <th>Length (m)</th>
+                <th>Area (m²)</th>
+                <th>Volume (m³)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(g => (
+                <tr key={g.key}>
+                  <td title={g.key}>{g.key}</td>
+                  <td>{g.count}</td>
+                  <td>{fmt(g.length)}</td>
+                  <td title={g.fromGeometry ? `${g.fromGeometry} element(s) measured from geometry` : undefined}>
+                    {g.fromGeometry > 0 && g.area > 0 ? '≈ ' : ''}{fmt(g.area)}
+                  </td>
+                  <td title={g.fromGeometry ? `${g.fromGeometry} element(s) measured from geometry` : undefined}>
+                    {g.fromGeometry > 0 && g.volume > 0 ? '≈ ' : ''}{fmt(g.volume)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td>Total</td>
+                <td>{totals.count}</td>
+                <td>{fmt(totals.length)}</td>
+                <td>{fmt(totals.area)}</td>
+                <td>{fmt(totals.volume)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { RefreshCw, X, RotateCcw } from 'lucide-react';
+import { listThematicFields, buildThematicGroups } from '../utils/thematicColors';
+import { logger } from '../utils/logger';
+
+const FIELD_GROUPS = ['Element', 'Attributes', 'Properties'];
+
+/**
+ * ThematicPanel — colours every element by the value of one field
+ * (IFC class, storey, material, an attribute or a pset property) and shows
+ * the legend. Clicking a legend entry selects that group; reset, or
+ * closing the panel, restores the original colours.
+ */
+export default function ThematicPanel({ viewerRef, refreshKey, onClose }) {
+  const [records, setRecords] = useState([]);
+  const [progress, setProgress] = useState(null);   // 0…1 while reading properties
+  const [fieldKey, setFieldKey] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!viewerRef.current) return;
+    setProgress(0);
+    try {
+      const result = await viewerRef.current.getElementRecords((done, total) => setProgress(total ? done / total : 1));
+      setRecords(result ?? []);
+    } catch (err) {
+      logger.warn('[THEMATIC] Failed to read element properties:', err);
+    } finally {
+      setProgress(null);
+    }
+  }, [viewerRef]);
+
+  // Re-read when opened and whenever models are added
+  useEffect(() => {
+    refresh();
+  }, [refreshKey, refresh]);
+
+  const fields = useMemo(() => listThematicFields(records), [records]);
+  const field = fields.find(f => f.key === fieldKey) ?? null;
+
+  // { kind, groups } of the applied view
+  const legend = useMemo(
+    () => (field && records.length > 0 ? buildThematicGroups(records, field.segments) : null),
+    [field, records],
+  );
+
+  // Re-colour when the field or the underlying records change
+  useEffect(() => {
+    if (legend) viewerRef.current?.applyColorGroups(legend.groups);
+  }, [legend, viewerRef]);
+
+  const handleReset = useCallback(() => {
+    setFieldKey('');
+    viewerRef.current?.resetColors();
+  }, [viewerRef]);
+
+  const handleClose = useCallback(() => {
+    if (legend) viewerRef.current?.resetColors();
+    onClose();
+  }, [legend, viewerRef, onClose]);
+
+  return (
+    <div className="thematic-panel">
+      <div className="panel-header">
+        <h3><span>Colour by property</span></h3>
+        <div className="tree-header-actions">
+          <button
+            className={`tree-action-btn ${progress !== null ? 'spinning' : ''}`}
+            onClick={refresh}
+            title="Re-read properties"
+            disabled={progress !== null}
+          >
+            <RefreshCw size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={handleReset} title="Reset colours" disabled={!legend}>
+            <RotateCcw size={14} />
+          </button>
+          <button className="tree-action-btn" onClick={handleClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="thematic-field">
+        <select value={fieldKey} onChange={(e) => setFieldKey(e.target.value)} disabled={progress !== null}>
+          <option value="">Choose a property…</option>
+          {FIELD_GROUPS.map(group => (
+            <optgroup key={group} label={group}>
+              {fields.filter(f => f.group === group).map(f => (
+                <option key={f.key} value={f.key}>
+                  {f.label}{f.group !== 'Element' ? ` (${f.count})` : ''}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+
+      <div className="panel-content">
+        {progress !== null ? (
+          <div className="tree-empty">
+            <div className="spinner-small" />
+            <span>Reading properties… {Math.round(progress * 100)}%</span>
+          </div>
+        ) : !legend ? (
+          <div className="empty-props">Pick a property to colour the model by its values.</div>
+        ) : (
+          <div className="thematic-legend">
+            {legend.kind === 'numeric' && <div className="sections-empty">Gradient, low → high</div>}
+            {legend.groups.map(group => (
+              <button
+                key={group.key}
+                className="thematic-legend-row"
+                title="Select these elements"
+                onClick={() => viewerRef.current?.selectElements(group.modelIdMap)}
+              >
+                <span className="thematic-swatch" style={{ background: group.color }} />
+                <span className="thematic-legend-label">{group.label}</span>
+                <span className="thematic-legend-count">{group.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
+import SectionsMenu from './SectionsMenu';
+import MeasurementsMenu from './MeasurementsMenu';
+import AreaSelectMenu from './AreaSelectMenu';
+import FilterMenu from './FilterMenu';
+import ViewpointsMenu from './ViewpointsMenu';
 import { 
   Maximize, 
   Box, 
@@ -7,9 +12,34 @@ import {
   EyeOff, 
   Eye, 
   Info,
-  Layers
+  Layers,
+  BoxSelect,
+  Focus,
+  RotateCcw,
+  PaintBucket,
+  FileDown,
+  ListChecks,
+  MapIcon,
+  Ruler,
+  Calculator,
+  SquareDashedMousePointer,
+  Filter,
+  Palette,
+  ScanEye,
+  Ghost,
+  Bookmark,
+  MessageSquareWarning,
+  SquaresIntersect,
+  GitCompare,
+  Boxes
 } from 'lucide-react';
 
+const SECTION_FILL_LABELS = {
+  ifcClass: 'Section Fill: by IFC class',
+  material: 'Section Fill: by material',
+  off: 'Section Fill: off',
+};
+
 export default function Toolbar({ 
   onFitModel, 
   onToggleProjection, 
@@ -17,53 +47,229 @@ export default function Toolbar({
   onToggleClipping, 
   onHideSelection, 
   onShowAll, 
+  onToggleIsolate,
+  onToggleGhost,
+  isIsolateActive,
+  isGhostActive,
   onToggleProperties,
   onToggleTree,
+  onToggleTakeoff,
+  onToggleThematic,
+  onToggleIssues,
+  onToggleClashes,
+  onToggleCompare,
+  onToggleModels,
   isClippingActive,
   isClippingVisible,
   onToggleClippingVisibility,
+  onToggleSectionBox,
+  onFitSectionBox,
+  onResetSectionBox,
+  isSectionBoxActive,
+  sectionFillMode,
+  onCycleSectionFill,
+  isSectionOutlinesActive,
+  onToggleSectionOutlines,
+  onExportSection,
+  viewerRef,
+  onError,
+  isPlanViewActive,
+  onExitPlanView,
+  onViewpointRestored,
+  measureMode,
+  onMeasureModeChange,
+  areaSelect,
+  onAreaSelectChange,
   isPropertiesActive,
-  isTreeActive
+  isTreeActive,
+  isTakeoffActive,
+  isThematicActive,
+  isIssuesActive,
+  isClashesActive,
+  isCompareActive,
+  isModelsActive
 }) {
+  /** Which popup menu is open: 'drawing' | 'sections' | 'measure' | 'select' | 'filter' | 'viewpoints' | null */
+  const [openMenu, setOpenMenu] = useState(null);
+  const toggleMenu = (menu) => setOpenMenu(current => (current === menu ? null : menu));
+  /** Exportable section planes, read when the drawing menu opens */
+  const [sections, setSections] = useState([]);
+  const toggleDrawingMenu = () => {
+    setSections(viewerRef.current?.getExportableSections() ?? []);
+    toggleMenu('drawing');
+  };
+
   return (
-    <div className="viewer-toolbar">
-      <button className="toolbar-btn" onClick={onFitModel} title="Fit to Model">
-        <Maximize size={18} />
-      </button>
-      <div className="toolbar-divider" />
-      <button className="toolbar-btn" onClick={onToggleProjection} title="Toggle Perspective / Orthographic">
-        <Box size={18} />
-      </button>
-      <button className="toolbar-btn" onClick={onToggleGrid} title="Toggle Grid">
-        <Grid3x3 size={18} />
-      </button>
-      <div className="toolbar-divider" />
-      <button className={`toolbar-btn ${isClippingActive ? 'active' : ''}`} onClick={onToggleClipping} title="Toggle Clipping Planes (dbl-click to place)">
-        <Scissors size={18} />
-      </button>
-      {isClippingActive && (
-        <button 
-          className={`toolbar-btn ${isClippingVisible ? 'active' : ''}`} 
-          onClick={onToggleClippingVisibility} 
-          title={isClippingVisible ? "Hide Clipping Gizmo" : "Show Clipping Gizmo"}
+    <>
+      {openMenu === 'sections' && <SectionsMenu viewerRef={viewerRef} onError={onError} />}
+      {openMenu === 'measure' && (
+        <MeasurementsMenu viewerRef={viewerRef} mode={measureMode} onModeChange={onMeasureModeChange} onError={onError} />
+      )}
+      {openMenu === 'select' && (
+        <AreaSelectMenu tool={areaSelect.tool} mode={areaSelect.mode} onChange={onAreaSelectChange} />
+      )}
+      {openMenu === 'filter' && <FilterMenu viewerRef={viewerRef} onError={onError} />}
+      {openMenu === 'viewpoints' && (
+        <ViewpointsMenu viewerRef={viewerRef} onRestored={onViewpointRestored} onError={onError} />
+      )}
+      {openMenu === 'drawing' && (
+        <div className="toolbar-menu">
+          <div className="toolbar-menu-title">Section drawing</div>
+          <label className="toolbar-menu-item">
+            <input type="checkbox" checked={isSectionOutlinesActive} onChange={onToggleSectionOutlines} />
+            Show section lines
+          </label>
+          <div className="toolbar-menu-title">Export section</div>
+          {sections.length === 0 && <div className="sections-empty">No clipping planes or section box</div>}
+          {sections.map(section => (
+            <div key={section.id} className={`sections-row ${section.enabled ? '' : 'sections-row--disabled'}`}>
+              <span className="sections-row-label" title={section.enabled ? undefined : 'Switched off'}>{section.label}</span>
+              {['svg', 'dxf'].map(format => (
+                <button
+                  key={format}
+                  className="tree-row-btn"
+                  disabled={!section.enabled}
+                  title={`Export as ${format.toUpperCase()}`}
+                  onClick={() => { onExportSection(format, section.id); setOpenMenu(null); }}
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="viewer-toolbar">
+        <button className="toolbar-btn" onClick={onFitModel} title="Fit to Model">
+          <Maximize size={18} />
+        </button>
+        <div className="toolbar-divider" />
+        {isPlanViewActive && (
+          <button className="toolbar-btn active" onClick={onExitPlanView} title="Exit Plan View">
+            <MapIcon size={18} />
+          </button>
+        )}
+        <button className="toolbar-btn" onClick={onToggleProjection} title="Toggle Perspective / Orthographic">
+          <Box size={18} />
+        </button>
+        <button className="toolbar-btn" onClick={onToggleGrid} title="Toggle Grid">
+          <Grid3x3 size={18} />
+        </button>
+        <button
+          className={`toolbar-btn ${openMenu === 'viewpoints' ? 'active' : ''}`}
+          onClick={() => toggleMenu('viewpoints')}
+          title="Saved Viewpoints"
         >
-          {isClippingVisible ? <Eye size={18} /> : <EyeOff size={18} />}
+          <Bookmark size={18} />
         </button>
-      )}
-      <div className="toolbar-divider" />
-      <button className="toolbar-btn" onClick={onHideSelection} title="Hide Selection">
-        <EyeOff size={18} />
-      </button>
-      <button className="toolbar-btn" onClick={onShowAll} title="Show All">
-        <Eye size={18} />
-      </button>
-      <div className="toolbar-divider" />
-      <button className={`toolbar-btn ${isPropertiesActive ? 'active' : ''}`} onClick={onToggleProperties} title="Toggle Properties">
-        <Info size={18} />
-      </button>
-      <button className={`toolbar-btn ${isTreeActive ? 'active' : ''}`} onClick={onToggleTree} title="Toggle IFC Structure Tree">
-        <Layers size={18} />
-      </button>
-    </div>
+        <div className="toolbar-divider" />
+        <button className={`toolbar-btn ${isClippingActive ? 'active' : ''}`} onClick={onToggleClipping} title="Toggle Clipping Planes (dbl-click to place)">
+          <Scissors size={18} />
+        </button>
+        <button
+          className={`toolbar-btn ${openMenu === 'sections' ? 'active' : ''}`}
+          onClick={() => toggleMenu('sections')}
+          title="Clipping Planes & Saved Sections"
+        >
+          <ListChecks size={18} />
+        </button>
+        {isClippingActive && (
+          <button 
+            className={`toolbar-btn ${isClippingVisible ? 'active' : ''}`} 
+            onClick={onToggleClippingVisibility} 
+            title={isClippingVisible ? "Hide Clipping Gizmo" : "Show Clipping Gizmo"}
+          >
+            {isClippingVisible ? <Eye size={18} /> : <EyeOff size={18} />}
+          </button>
+        )}
+        <button className={`toolbar-btn ${isSectionBoxActive ? 'active' : ''}`} onClick={onToggleSectionBox} title="Toggle Section Box">
+          <BoxSelect size={18} />
+        </button>
+        {isSectionBoxActive && (
+          <>
+            <button className="toolbar-btn" onClick={onFitSectionBox} title="Fit Box to Selection">
+              <Focus size={18} />
+            </button>
+            <button className="toolbar-btn" onClick={onResetSectionBox} title="Reset Box">
+              <RotateCcw size={18} />
+            </button>
+          </>
+        )}
+        <button
+          className={`toolbar-btn ${sectionFillMode !== 'off' ? 'active' : ''}`}
+          onClick={onCycleSectionFill}
+          title={SECTION_FILL_LABELS[sectionFillMode]}
+        >
+          <PaintBucket size={18} />
+        </button>
+        <button
+          className={`toolbar-btn ${openMenu === 'drawing' ? 'active' : ''}`}
+          onClick={toggleDrawingMenu}
+          title="Section Lines & Export"
+        >
+          <FileDown size={18} />
+        </button>
+        <div className="toolbar-divider" />
+        <button
+          className={`toolbar-btn ${measureMode || openMenu === 'measure' ? 'active' : ''}`}
+          onClick={() => toggleMenu('measure')}
+          title="Measure"
+        >
+          <Ruler size={18} />
+        </button>
+        <div className="toolbar-divider" />
+        <button
+          className={`toolbar-btn ${areaSelect.tool || openMenu === 'select' ? 'active' : ''}`}
+          onClick={() => toggleMenu('select')}
+          title="Rectangle / Lasso Selection"
+        >
+          <SquareDashedMousePointer size={18} />
+        </button>
+        <button
+          className={`toolbar-btn ${openMenu === 'filter' ? 'active' : ''}`}
+          onClick={() => toggleMenu('filter')}
+          title="Filter Elements by Query"
+        >
+          <Filter size={18} />
+        </button>
+        <button className={`toolbar-btn ${isThematicActive ? 'active' : ''}`} onClick={onToggleThematic} title="Colour by Property">
+          <Palette size={18} />
+        </button>
+        <button className={`toolbar-btn ${isIsolateActive ? 'active' : ''}`} onClick={onToggleIsolate} title="Isolate Selection">
+          <ScanEye size={18} />
+        </button>
+        <button className={`toolbar-btn ${isGhostActive ? 'active' : ''}`} onClick={onToggleGhost} title="Ghost Others">
+          <Ghost size={18} />
+        </button>
+        <button className="toolbar-btn" onClick={onHideSelection} title="Hide Selection">
+          <EyeOff size={18} />
+        </button>
+        <button className="toolbar-btn" onClick={onShowAll} title="Show All">
+          <Eye size={18} />
+        </button>
+        <div className="toolbar-divider" />
+        <button className={`toolbar-btn ${isPropertiesActive ? 'active' : ''}`} onClick={onToggleProperties} title="Toggle Properties">
+          <Info size={18} />
+        </button>
+        <button className={`toolbar-btn ${isTreeActive ? 'active' : ''}`} onClick={onToggleTree} title="Toggle IFC Structure Tree">
+          <Layers size={18} />
+        </button>
+        <button className={`toolbar-btn ${isTakeoffActive ? 'active' : ''}`} onClick={onToggleTakeoff} title="Toggle Quantity Takeoff">
+          <Calculator size={18} />
+        </button>
+        <button className={`toolbar-btn ${isIssuesActive ? 'active' : ''}`} onClick={onToggleIssues} title="Issues (BCF)">
+          <MessageSquareWarning size={18} />
+        </button>
+        <button className={`toolbar-btn ${isClashesActive ? 'active' : ''}`} onClick={onToggleClashes} title="Clash Detection">
+          <SquaresIntersect size={18} />
+        </button>
+        <button className={`toolbar-btn ${isCompareActive ? 'active' : ''}`} onClick={onToggleCompare} title="Compare Versions">
+          <GitCompare size={18} />
+        </button>
+        <button className={`toolbar-btn ${isModelsActive ? 'active' : ''}`} onClick={onToggleModels} title="Models">
+          <Boxes size={18} />
+        </button>
+      </div>
+    </>
   );
 }
@@ -0,0 +1,112 @@
+import { useState, useRef, useCallback } from 'react';
+import { Save, Download, Upload, X } from 'lucide-react';
+import {
+  listViewpoints,
+  getViewpoint,
+  saveViewpoint,
+  deleteViewpoint,
+  exportViewpoints,
+  importViewpoints,
+} from '../utils/viewpoints';
+
+/**
+ * ViewpointsMenu — popup to save the current view under a name and to
+ * restore, export, delete or import saved viewpoints. Each viewpoint shows
+ * the thumbnail rendered when it was saved.
+ */
+export default function ViewpointsMenu({ viewerRef, onRestored, onError }) {
+  const [viewpoints, setViewpoints] = useState(listViewpoints);
+  const [name, setName] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleSave = useCallback((e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    const viewpoint = viewerRef.current?.captureViewpoint();
+    if (!trimmed || !viewpoint) return;
+    try {
+      saveViewpoint(trimmed, viewpoint);
+    } catch (err) {
+      // Thumbnails add up; localStorage is a few MB at most
+      onError?.(`Could not save "${trimmed}": ${err.message}`);
+      return;
+    }
+    setViewpoints(listViewpoints());
+    setName('');
+  }, [name, viewerRef, onError]);
+
+  const handleRestore = useCallback(async (label) => {
+    try {
+      const state = await viewerRef.current?.restoreViewpoint(getViewpoint(label));
+      if (state) onRestored?.(state);
+    } catch (err) {
+      onError?.(`Could not restore "${label}": ${err.message}`);
+    }
+  }, [viewerRef, onRestored, onError]);
+
+  const handleDelete = useCallback((label) => {
+    deleteViewpoint(label);
+    setViewpoints(listViewpoints());
+  }, []);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      for (const { name: importedName, viewpoint } of await importViewpoints(file)) {
+        saveViewpoint(importedName, viewpoint);
+      }
+      setViewpoints(listViewpoints());
+    } catch (err) {
+      onError?.(`Could not import ${file.name}: ${err.message}`);
+    }
+  }, [onError]);
+
+  return (
+    <div className="toolbar-menu sections-menu viewpoints-menu">
+      <div className="toolbar-menu-title">Viewpoints</div>
+      <form className="sections-save" onSubmit={handleSave}>
+        <input
+          type="text"
+          placeholder="Name this viewpoint…"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="tree-row-btn" type="submit" title="Save current view" disabled={!name.trim()}>
+          <Save size={12} />
+        </button>
+        <button className="tree-row-btn" type="button" title="Import from JSON" onClick={() => fileInputRef.current?.click()}>
+          <Upload size={12} />
+        </button>
+        <button
+          className="tree-row-btn"
+          type="button"
+          title="Export all as JSON"
+          disabled={viewpoints.length === 0}
+          onClick={() => exportViewpoints(viewpoints)}
+        >
+          <Download size={12} />
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json" hidden onChange={handleImport} />
+      </form>
+      {viewpoints.length === 0 && (
+        <div className="sections-empty">No viewpoints — name the current view and save it</div>
+      )}
+      {viewpoints.map(({ name: label, ...viewpoint }) => (
+        <div key={label} className="sections-row viewpoint-row">
+          <button className="toolbar-menu-item sections-row-label" title="Restore this viewpoint" onClick={() => handleRestore(label)}>
+            {viewpoint.thumbnail && <img className="viewpoint-thumbnail" src={viewpoint.thumbnail} alt="" />}
+            <span className="viewpoint-name">{label}</span>
+          </button>
+          <button className="tree-row-btn" title="Export as JSON" onClick={() => exportViewpoints([{ name: label, ...viewpoint }], label)}>
+            <Download size={12} />
+          </button>
+          <button className="tree-row-btn" title="Delete" onClick={() => handleDelete(label)}>
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
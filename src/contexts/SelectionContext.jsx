@@ -11,20 +11,23 @@ export const useSelection = () => {
 };
 
 export const SelectionProvider = ({ children }) => {
-  const [selectedElement, setSelectedElement] = useState(null);
+  // [{ expressID, modelID, properties, units }] — several with Ctrl + click, box or tree selection
+  const [selectedElements, setSelectedElements] = useState([]);
 
   const handleSelect = useCallback((data) => {
-    // data = { expressID, modelID, properties } or null
+    // data = one element, a list of elements, or null
     console.log('SelectionProvider received selection:', data);
-    setSelectedElement(data);
+    setSelectedElements(data == null ? [] : Array.isArray(data) ? data : [data]);
   }, []);
 
   const clearSelection = useCallback(() => {
-    setSelectedElement(null);
+    setSelectedElements([]);
   }, []);
 
   const value = {
-    selectedElement,
+    selectedElements,
+    // First selected element, for consumers that only show one
+    selectedElement: selectedElements[0] ?? null,
     handleSelect,
     clearSelection
   };
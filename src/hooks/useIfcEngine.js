@@ -164,6 +164,16 @@ export const useIfcEngine = (containerRef) => {
           renderedFaces: 0,
         },
       });
+      // Translucent grey for the context around the selection ("ghost others")
+      highlighter.styles.set('ghost', {
+        color: new THREE.Color('#9ca3af'),
+        opacity: 0.12,
+        transparent: true,
+        renderedFaces: 0,
+      });
+      // Ctrl + click adds to the selection, or removes an already selected element
+      highlighter.multiple = 'ctrlKey';
+      highlighter.autoToggle.add('select');
 
       engineRef.current = { components, world, ifcLoader, fragments, highlighter };
       setIsReady(true);
@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 
 const useModelLoader = () => {
   const [hasModel, setHasModel] = useState(false);
@@ -6,6 +6,10 @@ const useModelLoader = () => {
   const [fileName, setFileName] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Per-file state of the current (or last) batch:
+  // { name, status: 'pending' | 'loading' | 'cancelling' | 'loaded' | 'failed' | 'cancelled', phase, progress, error }
+  const [loadStatus, setLoadStatus] = useState([]);
+  const controllersRef = useRef([]);
 
   const handleFileLoad = useCallback(
     async (files, currentModelCount, fileProcessor) => {
@@ -15,37 +19,71 @@ const useModelLoader = () => {
       console.log('[MODEL] Starting file load for', files.length, 'files');
       setLoading(true);
       setError(null);
+      controllersRef.current = files.map(() => new AbortController());
+      setLoadStatus(files.map(f => ({ name: f.name, status: 'pending', phase: null, progress: 0, error: null })));
+
+      const updateFile = (index, update) => {
+        setLoadStatus(prev => prev.map((entry, i) => (i === index ? { ...entry, ...update } : entry)));
+      };
 
       // If we already have models, we are appending.
       // If not, we are starting fresh (or fresh after reset).
       
       try {
-        const results = files.map(f => f.name);
         setFileName(files.length === 1 ? files[0].name : `Loading ${files.length} models...`);
         
-        // Execute the processor (loading into viewer) with all files at once
-        if (fileProcessor) {
-            await fileProcessor(files);
-        }
-        
-        setModelCount(prev => prev + results.length);
-        setHasModel(true);
-        if (files.length === 1 && currentModelCount === 0) {
-            setFileName(files[0].name);
-        } else {
-            setFileName('Multiple Models');
+        // Execute the processor (loading into viewer); it reports progress per
+        // file and resolves with one { name, status, error } per file
+        const withSignals = files.map((f, i) => ({ ...f, signal: controllersRef.current[i].signal }));
+        const results = fileProcessor
+          ? await fileProcessor(withSignals, (index, progress) => updateFile(index, { status: 'loading', ...progress }))
+          : files.map(f => ({ name: f.name, status: 'loaded' }));
+        results.forEach((result, i) => updateFile(i, { status: result.status, error: result.error ?? null }));
+
+        const loaded = results.filter(r => r.status === 'loaded');
+        if (loaded.length > 0) {
+          setModelCount(prev => prev + loaded.length);
+          setHasModel(true);
+          if (loaded.length === 1 && currentModelCount === 0) {
+              setFileName(loaded[0].name);
+          } else {
+              setFileName('Multiple Models');
+          }
         }
-        console.log('[MODEL] File load completed successfully');
+        // The overlay lists what went wrong; a clean batch needs no summary
+        if (results.every(r => r.status === 'loaded')) setLoadStatus([]);
+        console.log('[MODEL] File load completed:', loaded.length, 'of', files.length, 'loaded');
       } catch (err) {
         console.error('[MODEL] Failed to load IFC:', err);
         setError(err?.message || 'Failed to load IFC file.');
+        setLoadStatus([]);
       } finally {
+        controllersRef.current = [];
         setLoading(false);
       }
     },
     []
   );
 
+  /** Stop loading one file of the running batch; the others carry on */
+  const cancelFile = useCallback((index) => {
+    const controller = controllersRef.current[index];
+    if (!controller || controller.signal.aborted) return;
+    controller.abort();
+    setLoadStatus(prev => prev.map((entry, i) => (i === index ? { ...entry, status: 'cancelling' } : entry)));
+  }, []);
+
+  /** Close the per-file summary left after a batch with failures */
+  const dismissLoadStatus = useCallback(() => setLoadStatus([]), []);
+
+  /** Bring the counts and header name in line with the models still loaded, e.g. after unloading one */
+  const handleModelsChanged = useCallback((names) => {
+    console.log('[MODEL] Models now loaded:', names.length);
+    setModelCount(names.length);
+    setHasModel(names.length > 0);
+    setFileName(names.length === 1 ? names[0] : names.length > 1 ? 'Multiple Models' : '');
+  }, []);
+
   const handleReset = useCallback(() => {
     console.log('[MODEL] Resetting model state');
     setHasModel(false);
@@ -59,9 +97,13 @@ const useModelLoader = () => {
     modelCount,
     fileName,
     loading,
+    loadStatus,
     error,
     setError,
     handleFileLoad: (files, fileProcessor) => handleFileLoad(files, modelCount, fileProcessor),
+    cancelFile,
+    dismissLoadStatus,
+    handleModelsChanged,
     handleReset
   };
 };
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import * as OBC from '@thatopen/components';
+import { logger } from './logger';
+import { getModelToWorldMatrix } from './fragmentUtils';
+
+/**
+ * AreaSelector — rectangle and lasso selection in the viewport.
+ *
+ * Shift + drag always draws the current shape; with a tool active
+ * (`setTool('rectangle' | 'lasso')`) a plain left drag does too, instead of
+ * orbiting. Holding Ctrl adds to the current selection.
+ *
+ * Like CAD tools there are two semantics:
+ *   window   — only elements completely inside the shape
+ *   crossing — every element the shape touches
+ * In 'auto' mode the drag direction decides: left → right is a window,
+ * right → left a crossing selection.
+ *
+ * Hidden elements are never picked, and parts of elements removed by the
+ * active clipping planes don't count: a crossing shape has to touch the
+ * visible part, a window shape has to contain only the visible part.
+ *
+ * The selector only finds the elements; the caller decides how to
+ * highlight them.
+ *
+ * Usage:
+ *   const selector = new AreaSelector(world, components, (modelIdMap, additive) => { … }, {
+ *     getClippingPlanes: () => planes,
+ *   });
+ *   selector.setTool('lasso');
+ *   selector.setMode('crossing');   // 'auto' | 'window' | 'crossing'
+ */
+
+export const AREA_SELECT_SHAPES = ['rectangle', 'lasso'];
+export const AREA_SELECT_MODES = ['auto', 'window', 'crossing'];
+
+/** Pointer travel (px) below which a drag is treated as a click */
+const MIN_DRAG_PX = 4;
+
+/** Minimum spacing (px) between recorded lasso points */
+const LASSO_STEP_PX = 3;
+
+/** Items whose geometry is fetched per getItemsGeometry call */
+const GEOMETRY_BATCH_SIZE = 200;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class AreaSelector {
+  enabled = true;
+
+  /** Shape drawn by Shift + drag, and by plain drags while `_toolActive` */
+  _shape = 'rectangle';
+  _toolActive = false;
+  _mode = 'auto';
+
+  /** Drag in progress: { points: THREE.Vector2[], additive, direction: 1 | -1 | 0 } */
+  _drag = null;
+
+  constructor(world, components, onSelect, { getClippingPlanes = () => [] } = {}) {
+    this.world = world;
+    this.components = components;
+    this.dom = world.renderer.three.domElement;
+    this.onSelect = onSelect;
+    this.getClippingPlanes = getClippingPlanes;
+
+    // Screen overlay with the shape being drawn
+    this._overlay = document.createElementNS(SVG_NS, 'svg');
+    this._overlay.setAttribute('class', 'area-select-overlay');
+    this._polygon = document.createElementNS(SVG_NS, 'polygon');
+    this._overlay.appendChild(this._polygon);
+    this._overlay.style.display = 'none';
+    this.dom.parentElement?.appendChild(this._overlay);
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+
+    // Capture phase, so camera-controls can be paused before it starts orbiting
+    this.dom.addEventListener('pointerdown', this._onPointerDown, { capture: true });
+
+    logger.info('[SELECT] AreaSelector initialized');
+  }
+
+  /* ────── public API ────── */
+
+  /** Active tool, or null when only Shift + drag selects */
+  get tool() { return this._toolActive ? this._shape : null; }
+
+  get mode() { return this._mode; }
+
+  /** 'rectangle' | 'lasso' — plain drags select with this shape; null restores orbiting */
+  setTool(shape) {
+    this._toolActive = AREA_SELECT_SHAPES.includes(shape);
+    if (this._toolActive) this._shape = shape;
+    this.dom.style.cursor = this._toolActive ? 'crosshair' : '';
+    logger.info('[SELECT] Area tool:', this.tool ?? 'off');
+  }
+
+  /** 'auto' | 'window' | 'crossing' */
+  setMode(mode) {
+    if (AREA_SELECT_MODES.includes(mode)) this._mode = mode;
+  }
+
+  dispose() {
+    this._endDrag();
+    this.dom.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+    this.dom.style.cursor = '';
+    this._overlay.remove();
+  }
+
+  /* ────── input ────── */
+
+  _onPointerDown(event) {
+    if (!this.enabled || event.button !== 0) return;
+    if (!event.shiftKey && !this._toolActive) return;
+    this._drag = {
+      points: [new THREE.Vector2(event.clientX, event.clientY)],
+      additive: event.ctrlKey || event.metaKey,
+      direction: 0,
+    };
+    this.world.camera.controls.enabled = false;
+    window.addEventListener('pointermove', this._onPointerMove);
+    window.addEventListener('pointerup', this._onPointerUp);
+  }
+
+  _onPointerMove(event) {
+    if (!this._drag) return;
+    this._addPoint(event);
+    this._drawOverlay();
+  }
+
+  async _onPointerUp(event) {
+    if (!this._drag) return;
+    this._addPoint(event);
+    const drag = this._drag;
+    const polygon = this._polygonPoints();
+    this._endDrag();
+    if (drag.direction === 0) return;   // a click, left to the highlighter
+
+    const fullyInside = this._isWindow(drag);
+    try {
+      const selection = await this._pick(polygon, fullyInside);
+      this.onSelect(selection, drag.additive);
+    } catch (err) {
+      logger.warn('[SELECT] Area selection failed:', err);
+    }
+  }
+
+  _addPoint(event) {
+    const drag = this._drag;
+    const point = new THREE.Vector2(event.clientX, event.clientY);
+    const [start] = drag.points;
+    // The first clear movement fixes the lasso direction
+    if (drag.direction === 0 && point.distanceTo(start) >= MIN_DRAG_PX) {
+      drag.direction = point.x >= start.x ? 1 : -1;
+    }
+    if (this._shape === 'rectangle') {
+      drag.points[1] = point;
+    } else if (point.distanceTo(drag.points[drag.points.length - 1]) >= LASSO_STEP_PX) {
+      drag.points.push(point);
+    }
+  }
+
+  /** Window (fully inside) or crossing semantics for a finished drag */
+  _isWindow(drag) {
+    if (this._mode !== 'auto') return this._mode === 'window';
+    if (this._shape === 'rectangle') return drag.points[1].x >= drag.points[0].x;
+    return drag.direction > 0;
+  }
+
+  /** The drawn shape as a closed polygon in client coordinates */
+  _polygonPoints() {
+    const { points } = this._drag;
+    if (this._shape === 'lasso') return points;
+    const [a, b = a] = points;
+    return [
+      new THREE.Vector2(a.x, a.y),
+      new THREE.Vector2(b.x, a.y),
+      new THREE.Vector2(b.x, b.y),
+      new THREE.Vector2(a.x, b.y),
+    ];
+  }
+
+  _drawOverlay() {
+    if (this._drag.direction === 0) return;
+    const container = this.dom.parentElement.getBoundingClientRect();
+    const points = this._polygonPoints()
+      .map(p => `${p.x - container.left},${p.y - container.top}`)
+      .join(' ');
+    this._polygon.setAttribute('points', points);
+    this._overlay.setAttribute('class', `area-select-overlay ${this._isWindow(this._drag) ? 'window' : 'crossing'}`);
+    this._overlay.style.display = 'block';
+  }
+
+  _endDrag() {
+    this._drag = null;
+    this._overlay.style.display = 'none';
+    this.world.camera.controls.enabled = true;
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerup', this._onPointerUp);
+  }
+
+  /* ────── picking ────── */
+
+  /**
+   * Visible elements of all models selected by the polygon, as a ModelIdMap.
+   * The fragments rectangle raycast finds candidates inside the polygon's
+   * bounds; lassos and clipped views are then refined on the geometry.
+   */
+  async _pick(polygon, fullyInside) {
+    const fragments = this.components.get(OBC.FragmentsManager);
+    const planes = this.getClippingPlanes().filter(Boolean);
+    const refine = this._shape === 'lasso' || planes.length > 0;
+
+    const topLeft = new THREE.Vector2(Math.min(...polygon.map(p => p.x)), Math.min(...polygon.map(p => p.y)));
+    const bottomRight = new THREE.Vector2(Math.max(...polygon.map(p => p.x)), Math.max(...polygon.map(p => p.y)));
+
+    const selection = {};
+    for (const [modelId, model] of fragments.list) {
+      const result = await model.rectangleRaycast({
+        camera: this.world.camera.three,
+        dom: this.dom,
+        topLeft,
+        bottomRight,
+        // Refinement needs every touching candidate, even for window selections
+        fullyIncluded: fullyInside && !refine,
+      });
+      let ids = result?.localIds ?? [];
+      if (ids.length === 0) continue;
+
+      const visible = await model.getVisible(ids);
+      ids = ids.filter((_, i) => visible[i]);
+      if (refine) ids = await this._refine(model, ids, polygon, fullyInside, planes);
+      if (ids.length > 0) selection[modelId] = new Set(ids);
+    }
+
+    const count = Object.values(selection).reduce((n, ids) => n + ids.size, 0);
+    logger.info('[SELECT] Area selection:', count, 'elements', fullyInside ? '(window)' : '(crossing)');
+    return selection;
+  }
+
+  /** Candidates whose unclipped geometry is inside (window) or touches (crossing) the polygon */
+  async _refine(model, ids, polygon, fullyInside, planes) {
+    const camera = this.world.camera.three;
+    const rect = this.dom.getBoundingClientRect();
+    const toWorld = getModelToWorldMatrix(model);
+    const matrix = new THREE.Matrix4();
+    const world = new THREE.Vector3();
+    const ndc = new THREE.Vector3();
+
+    // Client-space position of a vertex, or null when clipped or behind the camera
+    const toScreen = (positions, index) => {
+      world.fromArray(positions, index * 3).applyMatrix4(matrix);
+      if (planes.some(plane => plane.distanceToPoint(world) < 0)) return null;
+      ndc.copy(world).project(camera);
+      if (ndc.z < -1 || ndc.z > 1) return null;
+      return new THREE.Vector2(
+        rect.left + (ndc.x + 1) / 2 * rect.width,
+        rect.top + (1 - ndc.y) / 2 * rect.height,
+      );
+    };
+
+    const selected = [];
+    for (let start = 0; start < ids.length; start += GEOMETRY_BATCH_SIZE) {
+      const batch = ids.slice(start, start + GEOMETRY_BATCH_SIZE);
+      const geometry = await model.getItemsGeometry(batch);
+      batch.forEach((id, i) => {
+        let anyVisible = false;
+        let allInside = true;
+        let touches = false;
+        for (const { positions, indices, transform } of geometry[i] ?? []) {
+          if (!positions || !indices) continue;
+          matrix.multiplyMatrices(toWorld, transform);
+          for (let t = 0; t + 2 < indices.length; t += 3) {
+            const tri = [toScreen(positions, indices[t]), toScreen(positions, indices[t + 1]), toScreen(positions, indices[t + 2])];
+            for (const p of tri) {
+              if (!p) continue;
+              anyVisible = true;
+              if (pointInPolygon(p, polygon)) touches = true;
+              else allInside = false;
+            }
+            if (fullyInside ? !allInside : touches) break;
+            if (!fullyInside && tri.every(Boolean) && triangleOverlapsPolygon(tri, polygon)) {
+              touches = true;
+              break;
+            }
+          }
+          if (fullyInside ? !allInside : touches) break;
+        }
+        if (fullyInside ? anyVisible && allInside : touches) selected.push(id);
+      });
+    }
+    return selected;
+  }
+}
+
+/* ────── 2D geometry ────── */
+
+/** Even-odd point-in-polygon test */
+function pointInPolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const cross2 = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const d1 = cross2(q1, q2, p1);
+  const d2 = cross2(q1, q2, p2);
+  const d3 = cross2(p1, p2, q1);
+  const d4 = cross2(p1, p2, q2);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * Whether a screen triangle and the polygon overlap, for triangles with no
+ * vertex inside the polygon: a polygon vertex inside the triangle, or
+ * crossing edges.
+ */
+function triangleOverlapsPolygon(tri, polygon) {
+  if (pointInPolygon(polygon[0], tri)) return true;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    for (let k = 0; k < 3; k++) {
+      if (segmentsIntersect(polygon[j], polygon[i], tri[k], tri[(k + 1) % 3])) return true;
+    }
+  }
+  return false;
+}
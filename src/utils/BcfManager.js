@@ -0,0 +1,402 @@
+import * as OBC from '@thatopen/components';
+import * as THREE from 'three';
+import { createZip, readZip } from './zip';
+import { logger } from './logger';
+
+export const BCF_TYPES = ['Issue', 'Clash', 'Request', 'Remark'];
+export const BCF_STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed'];
+export const BCF_PRIORITIES = ['Low', 'Normal', 'High', 'Critical'];
+export const BCF_VERSIONS = ['2.1', '3'];
+
+const AUTHOR_KEY = 'ifc-viewer.bcfAuthor';
+
+/** BCF cameras store a direction, not a target; orbit around a point this far ahead */
+const TARGET_DISTANCE = 20;
+
+const countIds = (modelIdMap) => Object.values(modelIdMap).reduce((n, ids) => n + ids.size, 0);
+
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * BcfManager — BCF issues (topics, comments and viewpoints) on top of the
+ * OBC BCFTopics and Viewpoints components. OBC keeps the topics, writes the
+ * markup and reads .bcfzip files; this class adds what the viewer needs:
+ *
+ *  - viewpoints are applied by the viewer itself (its VisibilityStore and
+ *    ClippingManager), so getViewpointState() turns one into plain state
+ *  - clipping planes (including section box faces) are written to and read
+ *    from the .bcfv files, which OBC leaves to its own Clipper
+ *  - plain-object snapshots of the topics for React, and change listeners
+ *
+ * Usage:
+ *   const bcf = new BcfManager(components, world);
+ *   const topic = bcf.createTopic({ title: 'Duct through beam' });
+ *   await bcf.addViewpoint(topic.guid, { selection, hidden, planes });
+ *   const blob = await bcf.export();
+ *   await bcf.import(await file.arrayBuffer());
+ */
+export class BcfManager {
+  /** Clipping planes per viewpoint guid, in viewer coordinates: [{ position, normal }] (normal = kept side) */
+  _planes = new Map();
+
+  /** Object URLs of snapshot images per viewpoint guid */
+  _snapshotUrls = new Map();
+
+  _changeListeners = new Set();
+
+  /**
+   * @param {OBC.Components} components
+   * @param {OBC.SimpleWorld} world
+   */
+  constructor(components, world) {
+    this._world = world;
+    this._fragments = components.get(OBC.FragmentsManager);
+    this._topics = components.get(OBC.BCFTopics);
+    this._topics.setup({
+      author: localStorage.getItem(AUTHOR_KEY) || 'unknown@example.com',
+      version: '3',
+      types: new Set(BCF_TYPES),
+      statuses: new Set(BCF_STATUSES),
+      priorities: new Set(BCF_PRIORITIES),
+      // Resolve components through the loaded models on export; without it OBC
+      // writes the selection in place of the visibility exceptions
+      includeSelectionTag: true,
+    });
+    this._viewpoints = components.get(OBC.Viewpoints);
+    this._viewpoints.world = world;
+  }
+
+  /* ────── settings ────── */
+
+  /** Author written on new topics and comments (usually an e-mail address); remembered across sessions */
+  get author() {
+    return this._topics.config.author;
+  }
+
+  set author(value) {
+    this._topics.config.author = value;
+    localStorage.setItem(AUTHOR_KEY, value);
+  }
+
+  /** BCF version written by export(): '2.1' | '3' */
+  get version() {
+    return this._topics.config.version;
+  }
+
+  set version(value) {
+    this._topics.config.version = value;
+  }
+
+  /* ────── reading ────── */
+
+  /**
+   * Plain snapshot of every topic, newest first. Comments are oldest
+   * first; viewpoints carry an object URL of their snapshot (or null).
+   */
+  list() {
+    return [...this._topics.list.values()]
+      .map(topic => ({
+        guid: topic.guid,
+        title: topic.title,
+        type: topic.type,
+        status: topic.status,
+        priority: topic.priority ?? '',
+        assignedTo: topic.assignedTo ?? '',
+        description: topic.description ?? '',
+        creationAuthor: topic.creationAuthor,
+        creationDate: topic.creationDate,
+        comments: [...topic.comments.values()]
+          .sort((a, b) => a.date - b.date)
+          .map(c => ({ guid: c.guid, author: c.author, date: c.date, text: c.comment, viewpoint: c.viewpoint ?? null })),
+        viewpoints: [...topic.viewpoints]
+          .filter(guid => this._viewpoints.list.has(guid))
+          .map(guid => ({ guid, snapshot: this._snapshotUrl(guid) })),
+      }))
+      .sort((a, b) => b.creationDate - a.creationDate);
+  }
+
+  /** Everyone who created, was assigned or commented on a topic, plus the current author */
+  get users() {
+    const users = new Set([this.author]);
+    for (const topic of this._topics.list.values()) {
+      if (topic.creationAuthor) users.add(topic.creationAuthor);
+      if (topic.assignedTo) users.add(topic.assignedTo);
+      for (const comment of topic.comments.values()) users.add(comment.author);
+    }
+    return [...users].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Subscribe to any topic, comment or viewpoint change.
+   * @returns {() => void} unsubscribe
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  /* ────── topics & comments ────── */
+
+  /** @param {{ title: string, type?: string, status?: string, priority?: string, assignedTo?: string, description?: string }} data */
+  createTopic(data) {
+    const topic = this._topics.create({
+      type: BCF_TYPES[0],
+      status: BCF_STATUSES[0],
+      priority: 'Normal',
+      ...data,
+      creationAuthor: this.author,
+      creationDate: new Date(),
+    });
+    this._notifyChange();
+    return topic;
+  }
+
+  updateTopic(guid, data) {
+    const topic = this._getTopic(guid);
+    topic.set({ ...data, modifiedDate: new Date(), modifiedAuthor: this.author });
+    this._notifyChange();
+  }
+
+  /** Remove a topic together with its viewpoints */
+  deleteTopic(guid) {
+    const topic = this._getTopic(guid);
+    for (const viewpointGuid of topic.viewpoints) this._deleteViewpoint(viewpointGuid);
+    this._topics.list.delete(guid);
+    this._notifyChange();
+  }
+
+  addComment(topicGuid, text, viewpointGuid) {
+    this._getTopic(topicGuid).createComment(text, viewpointGuid);
+    this._notifyChange();
+  }
+
+  deleteComment(topicGuid, commentGuid) {
+    this._getTopic(topicGuid).comments.delete(commentGuid);
+    this._notifyChange();
+  }
+
+  /* ────── viewpoints ────── */
+
+  /**
+   * Attach the current view to a topic: camera and a snapshot from the
+   * canvas, plus the viewer's selection, hidden elements and clipping planes.
+   * @param {{ selection: object, hidden: object, planes: { position: number[], normal: number[] }[] }} state -
+   *   ModelIdMaps and planes in viewer coordinates
+   * @returns {Promise<string>} the viewpoint guid
+   */
+  async addViewpoint(topicGuid, { selection, hidden, planes }) {
+    const topic = this._getTopic(topicGuid);
+    const viewpoint = this._viewpoints.create();
+    await viewpoint.updateCamera(true);
+
+    for (const guid of await this._fragments.modelIdMapToGuids(selection)) viewpoint.selectionComponents.add(guid);
+
+    // Visibility is a default plus exceptions; list whichever side is shorter
+    const visible = await this._complement(hidden);
+    viewpoint.defaultVisibility = countIds(hidden) <= countIds(visible);
+    const exceptions = viewpoint.defaultVisibility ? hidden : visible;
+    for (const guid of await this._fragments.modelIdMapToGuids(exceptions)) viewpoint.exceptionComponents.add(guid);
+
+    this._planes.set(viewpoint.guid, planes);
+    topic.viewpoints.add(viewpoint.guid);
+    this._notifyChange();
+    logger.info('[BCF] Viewpoint added to', topic.title, '—', viewpoint.selectionComponents.size, 'selected,',
+      viewpoint.exceptionComponents.size, 'exceptions,', planes.length, 'planes');
+    return viewpoint.guid;
+  }
+
+  /**
+   * A viewpoint in viewer terms, or null: camera, selected and hidden
+   * elements of the loaded models, and clipping planes.
+   * @returns {Promise<{ camera: { projection: string, position: number[], target: number[] },
+   *   selection: object, hidden: object, planes: { position: number[], normal: number[] }[] } | null>}
+   */
+  async getViewpointState(guid) {
+    const viewpoint = this._viewpoints.list.get(guid);
+    if (!viewpoint) return null;
+    const position = viewpoint.position;
+    const target = position.clone().addScaledVector(viewpoint.direction.normalize(), TARGET_DISTANCE);
+
+    const selection = await viewpoint.getSelectionMap();
+    const exceptions = await viewpoint.getExceptionMap();
+    const hidden = viewpoint.defaultVisibility ? exceptions : await this._complement(exceptions);
+    // Selected components are always visible
+    for (const [modelId, ids] of Object.entries(selection)) {
+      for (const id of ids) hidden[modelId]?.delete(id);
+    }
+
+    return {
+      camera: { projection: viewpoint.projection, position: position.toArray(), target: target.toArray() },
+      selection,
+      hidden,
+      planes: this._planes.get(guid) ?? [],
+    };
+  }
+
+  /* ────── files ────── */
+
+  /**
+   * All topics as a .bcfzip in the current version.
+   * @returns {Promise<Blob>}
+   */
+  async export() {
+    const version = this.version;
+    const files = [{
+      name: 'bcf.version',
+      data: `<?xml version="1.0" encoding="UTF-8"?>\n<Version VersionId="${version}" />`,
+    }];
+    if (version === '3') files.push({ name: 'extensions.xml', data: this._serializeExtensions() });
+
+    for (const topic of this._topics.list.values()) {
+      files.push({ name: `${topic.guid}/markup.bcf`, data: topic.serialize() });
+      for (const guid of topic.viewpoints) {
+        const viewpoint = this._viewpoints.list.get(guid);
+        if (!viewpoint) continue;
+        // File names must match the ones topic.serialize() refers to
+        const xml = await viewpoint.serialize(version);
+        files.push({
+          name: `${topic.guid}/${viewpoint.title ?? viewpoint.guid}.bcfv`,
+          data: this._withClippingPlanes(xml, this._planes.get(guid) ?? []),
+        });
+        const snapshot = this._viewpoints.snapshots.get(viewpoint.snapshot);
+        if (snapshot) {
+          files.push({
+            name: `${topic.guid}/${viewpoint.snapshot}.${this._viewpoints.getSnapshotExtension(viewpoint.snapshot)}`,
+            data: snapshot,
+          });
+        }
+      }
+    }
+    logger.info('[BCF] Exported', this._topics.list.size, 'topics as BCF', version);
+    return createZip(files, 'application/octet-stream');
+  }
+
+  /**
+   * Add the topics of a .bcfzip (2.1 or 3.0); topics with the same guid are replaced.
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<number>} number of topics read
+   */
+  async import(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const { topics, viewpoints } = await this._topics.load(bytes);
+
+    // OBC only creates Clipper planes for imported viewpoints; read them for the ClippingManager instead
+    for (const { name, data } of await readZip(bytes)) {
+      if (!name.endsWith('.bcfv')) continue;
+      try {
+        const { guid, planes } = this._parseClippingPlanes(new TextDecoder().decode(data));
+        if (guid && planes.length > 0) this._planes.set(guid, planes);
+      } catch (err) {
+        logger.warn('[BCF] Could not read clipping planes of', name, err);
+      }
+    }
+    for (const viewpoint of viewpoints) viewpoint.world = this._world;
+
+    this._notifyChange();
+    logger.info('[BCF] Imported', topics.length, 'topics,', viewpoints.length, 'viewpoints');
+    return topics.length;
+  }
+
+  dispose() {
+    for (const url of this._snapshotUrls.values()) URL.revokeObjectURL(url);
+    this._snapshotUrls.clear();
+    this._changeListeners.clear();
+  }
+
+  /* ────── internals ────── */
+
+  _getTopic(guid) {
+    const topic = this._topics.list.get(guid);
+    if (!topic) throw new Error(`Unknown BCF topic ${guid}`);
+    return topic;
+  }
+
+  _deleteViewpoint(guid) {
+    const viewpoint = this._viewpoints.list.get(guid);
+    if (viewpoint) this._viewpoints.snapshots.delete(viewpoint.snapshot);
+    this._viewpoints.list.delete(guid);
+    this._planes.delete(guid);
+    const url = this._snapshotUrls.get(guid);
+    if (url) URL.revokeObjectURL(url);
+    this._snapshotUrls.delete(guid);
+  }
+
+  _snapshotUrl(guid) {
+    if (this._snapshotUrls.has(guid)) return this._snapshotUrls.get(guid);
+    const viewpoint = this._viewpoints.list.get(guid);
+    const data = viewpoint && this._viewpoints.snapshots.get(viewpoint.snapshot);
+    if (!data) return null;
+    const type = `image/${this._viewpoints.getSnapshotExtension(viewpoint.snapshot)}`;
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    this._snapshotUrls.set(guid, url);
+    return url;
+  }
+
+  /** Elements with geometry in loaded models that are not in `modelIdMap` */
+  async _complement(modelIdMap) {
+    const out = {};
+    for (const [modelId, model] of this._fragments.list) {
+      const exclude = modelIdMap[modelId] ?? new Set();
+      const ids = (await model.getItemsIdsWithGeometry()).filter(id => !exclude.has(id));
+      if (ids.length > 0) out[modelId] = new Set(ids);
+    }
+    return out;
+  }
+
+  /**
+   * BCF is Z-up and relative to the project base point; the viewer is
+   * Y-up. BCF plane directions point into the clipped half-space, the
+   * viewer's normals to the kept side.
+   */
+  _toBcf(position, normal) {
+    const p = new THREE.Vector3().fromArray(position).applyMatrix4(this._fragments.baseCoordinationMatrix.clone().invert());
+    const d = new THREE.Vector3().fromArray(normal).negate();
+    return { location: [p.x, -p.z, p.y], direction: [d.x, -d.z, d.y] };
+  }
+
+  _fromBcf(location, direction) {
+    const p = new THREE.Vector3(location[0], location[2], -location[1]).applyMatrix4(this._fragments.baseCoordinationMatrix);
+    const n = new THREE.Vector3(-direction[0], -direction[2], direction[1]);
+    return { position: p.toArray(), normal: n.toArray() };
+  }
+
+  _withClippingPlanes(xml, planes) {
+    if (planes.length === 0) return xml;
+    const vector = (tag, [x, y, z]) => `<${tag}><X>${x}</X><Y>${y}</Y><Z>${z}</Z></${tag}>`;
+    const tags = planes.map(({ position, normal }) => {
+      const { location, direction } = this._toBcf(position, normal);
+      return `<ClippingPlane>${vector('Location', location)}${vector('Direction', direction)}</ClippingPlane>`;
+    });
+    return xml.replace('</VisualizationInfo>', `<ClippingPlanes>${tags.join('')}</ClippingPlanes>\n</VisualizationInfo>`);
+  }
+
+  _parseClippingPlanes(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const info = doc.getElementsByTagName('VisualizationInfo')[0];
+    const read = (el) => ['X', 'Y', 'Z'].map(axis => Number(el?.getElementsByTagName(axis)[0]?.textContent));
+    const planes = [...doc.getElementsByTagName('ClippingPlane')]
+      .map(el => [read(el.getElementsByTagName('Location')[0]), read(el.getElementsByTagName('Direction')[0])])
+      .filter(([location, direction]) => [...location, ...direction].every(Number.isFinite))
+      .map(([location, direction]) => this._fromBcf(location, direction));
+    return { guid: info?.getAttribute('Guid') ?? null, planes };
+  }
+
+  /** BCF 3.0 extensions.xml: the allowed types, statuses, priorities and users */
+  _serializeExtensions() {
+    const { types, statuses, priorities } = this._topics.config;
+    const list = (outer, inner, values) => `<${outer}>${[...values].map(v => `<${inner}>${escapeXml(v)}</${inner}>`).join('')}</${outer}>`;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Extensions>
+  ${list('TopicTypes', 'TopicType', types)}
+  ${list('TopicStatuses', 'TopicStatus', statuses)}
+  ${list('Priorities', 'Priority', priorities)}
+  ${list('Users', 'User', this.users)}
+</Extensions>`;
+  }
+
+  _notifyChange() {
+    for (const listener of this._changeListeners) {
+      try { listener(); } catch (err) { logger.warn('[BCF] Change listener failed:', err); }
+    }
+  }
+}
@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+import { getModelToWorldMatrix } from './fragmentUtils';
+import { parseQuery, runQuery } from './elementQuery';
+import { extractScalar } from './ifcProperties';
+import { getIfcTypeName } from './ifcTypes';
+import { logger } from './logger';
+
+/** Review states of a clash, as in common coordination tools */
+export const CLASH_STATUSES = ['New', 'Active', 'Reviewed', 'Approved', 'Resolved'];
+
+export const DEFAULT_CLASH_OPTIONS = { tolerance: 0.01, clearance: 0, clusterRadius: 2 };
+
+/** Items whose geometry is fetched per getItemsGeometry call */
+const GEOMETRY_BATCH_SIZE = 200;
+
+/** Items fetched per getItemsData call when describing clashing elements */
+const DATA_BATCH_SIZE = 500;
+
+const elementKey = (modelId, localId) => `${modelId}:${localId}`;
+
+/**
+ * ClashDetector — hard and clearance clashes between two element sets,
+ * e.g. structure (IfcBeam, IfcColumn) against MEP (IfcPipeSegment, IfcDuctSegment),
+ * across any of the loaded models. A set is a ModelIdMap or a filter
+ * query (see elementQuery.js).
+ *
+ * The element geometry is read on the main thread and moved into world
+ * space; the tests and the clustering run in clashWorker.js. Results keep
+ * a review status per element pair, which survives re-running the test.
+ *
+ * Usage:
+ *   const detector = new ClashDetector(fragments);
+ *   await detector.run('IfcBeam, IfcColumn', 'IfcPipeSegment, IfcDuctSegment', { tolerance: 0.01, clearance: 0.05 },
+ *     ({ phase, done, total }) => { … });
+ *   detector.list();          // clusters with their clashes
+ *   detector.setStatus(clash.id, 'Resolved');
+ *   detector.cancel();        // abort a running test; run() rejects with an AbortError
+ */
+export class ClashDetector {
+  /** Last completed run: { options, clashes, clusters } */
+  _results = null;
+
+  /** Review status per clash id (element pair), kept across runs */
+  _statuses = new Map();
+
+  /** Worker of the running test and the reject of its promise */
+  _worker = null;
+  _rejectRun = null;
+
+  /** Incremented by run() and cancel(); stale runs stop at their next await */
+  _runId = 0;
+
+  _changeListeners = new Set();
+
+  /**
+   * @param {import('@thatopen/components').FragmentsManager} fragments
+   */
+  constructor(fragments) {
+    this._fragments = fragments;
+  }
+
+  get running() {
+    return this._worker !== null || this._rejectRun !== null;
+  }
+
+  /* ────── running ────── */
+
+  /**
+   * Test every element of `setA` against every element of `setB`.
+   * Throws on query syntax errors before anything is read.
+   * @param {Record<string, Set<number>> | string} setA - ModelIdMap or filter query
+   * @param {Record<string, Set<number>> | string} setB - ModelIdMap or filter query
+   * @param {{ tolerance?: number, clearance?: number, clusterRadius?: number }} [options] - metres:
+   *   penetration ignored as touching, required clear distance (0 = hard clashes only),
+   *   distance within which clashes are grouped
+   * @param {(progress: { phase: 'query' | 'geometry' | 'test', done: number, total: number }) => void} [onProgress]
+   * @returns {Promise<ReturnType<ClashDetector['list']>>}
+   */
+  async run(setA, setB, options = {}, onProgress) {
+    this.cancel();
+    const runId = ++this._runId;
+    const opts = { ...DEFAULT_CLASH_OPTIONS, ...options };
+    let cancelled = false;
+    this._rejectRun = () => { cancelled = true; };
+    const checkCancelled = () => {
+      if (cancelled || runId !== this._runId) throw abortError();
+    };
+
+    try {
+      // Parse both queries first, so a typo in B fails before A is read
+      const [queryA, queryB] = [setA, setB].map(set => (typeof set === 'string' ? parseQuery(set) : null));
+      const resolveSet = async (set, query) => {
+        if (!query) return set;
+        const { modelIdMap } = await runQuery(this._fragments, query, (done, total) => onProgress?.({ phase: 'query', done, total }));
+        checkCancelled();
+        return modelIdMap;
+      };
+      const mapA = await resolveSet(setA, queryA);
+      const mapB = await resolveSet(setB, queryB);
+
+      const { elements, refs, a, b } = await this._collectGeometry(mapA, mapB, onProgress, checkCancelled);
+      logger.info('[CLASH] Testing', a.length, 'against', b.length, 'elements');
+      const { clashes, clusters } = await this._runWorker({ elements, a, b, ...opts }, onProgress);
+      checkCancelled();
+
+      const info = await this._describe(clashes.flatMap(c => [refs[c.a], refs[c.b]]));
+      checkCancelled();
+      const described = clashes.map(c => {
+        const elementA = { ...refs[c.a], ...info.get(elementKey(refs[c.a].modelId, refs[c.a].localId)) };
+        const elementB = { ...refs[c.b], ...info.get(elementKey(refs[c.b].modelId, refs[c.b].localId)) };
+        return {
+          id: `${elementKey(elementA.modelId, elementA.localId)}|${elementKey(elementB.modelId, elementB.localId)}`,
+          type: c.type,
+          distance: c.distance,
+          point: c.point,
+          cluster: c.cluster,
+          a: elementA,
+          b: elementB,
+        };
+      });
+
+      this._results = { options: opts, clashes: described, clusters };
+      logger.info('[CLASH] Found', described.length, 'clashes in', clusters.length, 'clusters');
+      this._notifyChange();
+      return this.list();
+    } finally {
+      if (runId === this._runId) this._rejectRun = null;
+    }
+  }
+
+  /** Abort a running test; its run() rejects with an AbortError */
+  cancel() {
+    if (!this.running) return;
+    this._runId++;
+    this._worker?.terminate();
+    this._worker = null;
+    const reject = this._rejectRun;
+    this._rejectRun = null;
+    reject?.(abortError());
+    logger.info('[CLASH] Cancelled');
+  }
+
+  /* ────── results ────── */
+
+  /**
+   * Clusters of the last run, largest first, each with its clashes:
+   * [{ index, center, clashes: [{ id, type, distance, point, status,
+   *   a: { modelId, localId, ifcClass, name, guid }, b }] }]
+   */
+  list() {
+    if (!this._results) return [];
+    const { clashes, clusters } = this._results;
+    return clusters.map((cluster, index) => ({
+      index,
+      center: cluster.center,
+      clashes: cluster.clashes.map(i => ({ ...clashes[i], status: this._statuses.get(clashes[i].id) ?? 'New' })),
+    }));
+  }
+
+  /** Options of the last run, or null */
+  get options() {
+    return this._results?.options ?? null;
+  }
+
+  setStatus(id, status) {
+    if (!CLASH_STATUSES.includes(status)) throw new Error(`Unknown clash status "${status}"`);
+    if (status === 'New') this._statuses.delete(id);
+    else this._statuses.set(id, status);
+    this._notifyChange();
+  }
+
+  clear() {
+    this.cancel();
+    this._results = null;
+    this._notifyChange();
+  }
+
+  /** Header + data rows for CSV / XLSX export */
+  toTable() {
+    const describe = (e) => [e.modelId, e.ifcClass, e.name ?? '', e.guid ?? '', e.localId];
+    const rows = [[
+      'Cluster', 'Type', 'Status', 'Distance (m)',
+      'A model', 'A class', 'A name', 'A GlobalId', 'A id',
+      'B model', 'B class', 'B name', 'B GlobalId', 'B id',
+      'X', 'Y', 'Z',
+    ]];
+    for (const cluster of this.list()) {
+      for (const clash of cluster.clashes) {
+        rows.push([
+          cluster.index + 1,
+          clash.type,
+          clash.status,
+          Number(clash.distance.toFixed(4)),
+          ...describe(clash.a),
+          ...describe(clash.b),
+          ...clash.point.map(v => Number(v.toFixed(3))),
+        ]);
+      }
+    }
+    return rows;
+  }
+
+  /* ────── events ────── */
+
+  /** Subscribe to result and status changes; returns an unsubscribe function */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  dispose() {
+    this.cancel();
+    this._changeListeners.clear();
+    this._results = null;
+    this._statuses.clear();
+  }
+
+  /* ────── internals ────── */
+
+  /**
+   * World-space triangles of every element in either set, merged per element.
+   * Elements without geometry are left out.
+   * @returns {Promise<{ elements: { positions: Float32Array, indices: Uint32Array }[],
+   *   refs: { modelId: string, localId: number }[], a: number[], b: number[] }>}
+   */
+  async _collectGeometry(setA, setB, onProgress, checkCancelled) {
+    const wanted = new Map();
+    for (const set of [setA, setB]) {
+      for (const [modelId, ids] of Object.entries(set ?? {})) {
+        if (!wanted.has(modelId)) wanted.set(modelId, new Set());
+        for (const id of ids) wanted.get(modelId).add(id);
+      }
+    }
+    const total = [...wanted.values()].reduce((n, ids) => n + ids.size, 0);
+
+    const elements = [];
+    const refs = [];
+    const indexOf = new Map();
+    let done = 0;
+    for (const [modelId, idSet] of wanted) {
+      const model = this._fragments.list.get(modelId);
+      if (!model) {
+        logger.warn('[CLASH] Model not loaded:', modelId);
+        continue;
+      }
+      const toWorld = getModelToWorldMatrix(model);
+      const ids = [...idSet];
+      for (let start = 0; start < ids.length; start += GEOMETRY_BATCH_SIZE) {
+        const batch = ids.slice(start, start + GEOMETRY_BATCH_SIZE);
+        const geometry = await model.getItemsGeometry(batch);
+        checkCancelled();
+        batch.forEach((localId, i) => {
+          const merged = mergeMeshes(geometry[i] ?? [], toWorld);
+          if (!merged) return;
+          indexOf.set(elementKey(modelId, localId), elements.length);
+          elements.push(merged);
+          refs.push({ modelId, localId });
+        });
+        done += batch.length;
+        onProgress?.({ phase: 'geometry', done, total });
+      }
+    }
+
+    const indicesOf = (set) => Object.entries(set ?? {}).flatMap(([modelId, ids]) => (
+      [...ids].map(id => indexOf.get(elementKey(modelId, id))).filter(i => i !== undefined)
+    ));
+    return { elements, refs, a: indicesOf(setA), b: indicesOf(setB) };
+  }
+
+  /** Post a job to a fresh worker; resolves with its result */
+  _runWorker(job, onProgress) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./clashWorker.js', import.meta.url), { type: 'module' });
+      this._worker = worker;
+      this._rejectRun = reject;
+      const finish = () => {
+        worker.terminate();
+        if (this._worker === worker) this._worker = null;
+      };
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          onProgress?.({ phase: 'test', done: data.done, total: data.total });
+        } else if (data.type === 'result') {
+          finish();
+          resolve(data);
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (e) => {
+        finish();
+        reject(new Error(e.message || 'Clash worker failed'));
+      };
+      const transfer = job.elements.flatMap(e => [e.positions.buffer, e.indices.buffer]);
+      worker.postMessage(job, transfer);
+    });
+  }
+
+  /** IFC class, Name and GlobalId of elements, keyed by "modelId:localId" */
+  async _describe(refs) {
+    const byModel = new Map();
+    for (const { modelId, localId } of refs) {
+      if (!byModel.has(modelId)) byModel.set(modelId, new Set());
+      byModel.get(modelId).add(localId);
+    }
+
+    const info = new Map();
+    for (const [modelId, idSet] of byModel) {
+      const model = this._fragments.list.get(modelId);
+      const ids = [...idSet];
+      for (let start = 0; start < ids.length; start += DATA_BATCH_SIZE) {
+        const batch = ids.slice(start, start + DATA_BATCH_SIZE);
+        let items = [];
+        let guids = [];
+        try {
+          [items, guids] = await Promise.all([
+            model.getItemsData(batch, {
+              attributesDefault: false,
+              attributes: ['Name'],
+              relationsDefault: { attributes: false, relations: false },
+            }),
+            model.getGuidsByLocalIds(batch),
+          ]);
+        } catch (err) {
+          logger.warn('[CLASH] Could not read element names of', modelId, err);
+        }
+        batch.forEach((localId, i) => {
+          info.set(elementKey(modelId, localId), {
+            ifcClass: getIfcTypeName(extractScalar(items[i]?._category)),
+            name: extractScalar(items[i]?.Name),
+            guid: guids[i] ?? null,
+          });
+        });
+      }
+    }
+    return info;
+  }
+
+  _notifyChange() {
+    for (const listener of this._changeListeners) {
+      try {
+        listener();
+      } catch (err) {
+        logger.warn('[CLASH] Change listener failed:', err);
+      }
+    }
+  }
+}
+
+function abortError() {
+  const err = new Error('Clash detection cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/** One indexed triangle soup from an element's meshes, transformed by `toWorld`; null without triangles */
+function mergeMeshes(meshes, toWorld) {
+  let vertexCount = 0;
+  let indexCount = 0;
+  for (const { positions, indices } of meshes) {
+    if (!positions || !indices) continue;
+    vertexCount += positions.length / 3;
+    indexCount += indices.length;
+  }
+  if (indexCount === 0) return null;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const indices = new Uint32Array(indexCount);
+  const matrix = new THREE.Matrix4();
+  const v = new THREE.Vector3();
+  let vertexOffset = 0;
+  let indexOffset = 0;
+  for (const mesh of meshes) {
+    if (!mesh.positions || !mesh.indices) continue;
+    matrix.multiplyMatrices(toWorld, mesh.transform);
+    for (let k = 0; k < mesh.positions.length; k += 3) {
+      v.fromArray(mesh.positions, k).applyMatrix4(matrix).toArray(positions, vertexOffset * 3 + k);
+    }
+    for (let k = 0; k < mesh.indices.length; k++) {
+      indices[indexOffset + k] = mesh.indices[k] + vertexOffset;
+    }
+    vertexOffset += mesh.positions.length / 3;
+    indexOffset += mesh.indices.length;
+  }
+  return { positions, indices };
+}
@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 import { logger } from './logger';
+import { SectionCaps } from './SectionCaps';
+import { SectionOutlines } from './SectionOutlines';
 
 /**
  * ClippingManager — creates interactive section planes with a full
@@ -10,15 +12,70 @@ import { logger } from './logger';
  *   const mgr = new ClippingManager(world, components);
  *   mgr.createPlaneAtCenter();   // places a plane at the model centre
  *   mgr.setMode('rotate');       // switch gizmo mode
+ *   mgr.createSectionBox(box);   // six linked planes around a Box3
+ *   mgr.setCapsMode('material'); // colour section fills by material
+ *   mgr.createHorizontalPlane(y);  // plan cut at a world height
+ *   mgr.setPlaneEnabled(id, false); // per-plane editing by id
+ *   mgr.load(mgr.serialize());   // save / restore the whole section set
  *   mgr.removeAll();             // clean up
  */
+
+/** Version tag written by serialize() */
+const SECTION_STATE_VERSION = 1;
+
+/** Face order of the section box: [axis, side] (side -1 = min face, +1 = max face) */
+const BOX_FACES = [
+  ['x', -1], ['x', 1],
+  ['y', -1], ['y', 1],
+  ['z', -1], ['z', 1],
+];
+
+/** Smallest allowed box extent on any axis, in world units */
+const MIN_BOX_SIZE = 0.05;
+
+/**
+ * Find a section box among plain { position, normal } planes, as written
+ * for a section box to BCF: per axis one plane facing +axis at the min face
+ * and one facing -axis at the max face. Returns the box and the planes that
+ * are not part of it, or a null box when the six faces aren't all there.
+ * @param {{ position: number[], normal: number[] }[]} planes
+ * @returns {{ box: THREE.Box3 | null, planes: { position: number[], normal: number[] }[] }}
+ */
+export function findSectionBox(planes) {
+  // BOX_FACES order; each slot holds the index of the one plane that fits it
+  const slots = BOX_FACES.map(([axis, side]) => {
+    const a = 'xyz'.indexOf(axis);
+    const fits = planes
+      .map((p, i) => (Math.abs(p.normal[a] + side) < 1e-3 ? i : -1))
+      .filter(i => i !== -1);
+    return fits.length === 1 ? fits[0] : -1;
+  });
+  if (slots.includes(-1)) return { box: null, planes };
+
+  const box = new THREE.Box3();
+  BOX_FACES.forEach(([axis, side], f) => {
+    const value = planes[slots[f]].position['xyz'.indexOf(axis)];
+    if (side < 0) box.min[axis] = value;
+    else box.max[axis] = value;
+  });
+  if (box.isEmpty()) return { box: null, planes };
+  return { box, planes: planes.filter((_, i) => !slots.includes(i)) };
+}
+
 export class ClippingManager {
-  /** @type {THREE.Plane[]} */
+  /** Active planes (enabled free planes + section box), rebuilt by _refreshPlanes
+   * @type {THREE.Plane[]} */
   _clippingPlanes = [];
 
-  /** @type {{ helper: THREE.Mesh, plane: THREE.Plane, controls: TransformControls }[]} */
+  /** @type {{ id: string, enabled: boolean, helper: THREE.Mesh, plane: THREE.Plane, translateCtrl: TransformControls, rotateCtrl: TransformControls }[]} */
   _entries = [];
 
+  /** Counter for plane ids ("plane-1", "plane-2", …) */
+  _nextPlaneId = 1;
+
+  /** Listeners notified when planes are added, removed or edited */
+  _changeListeners = new Set();
+
   /** @type {boolean} */
   _enabled = false;
 
@@ -28,6 +85,15 @@ export class ClippingManager {
   /** @type {string} */
   _mode = 'translate';
 
+  /**
+   * Section box state — six inward-facing planes that share one Box3.
+   * @type {{ box: THREE.Box3, planes: THREE.Plane[], handles: THREE.Mesh[], outline: THREE.LineSegments } | null}
+   */
+  _sectionBox = null;
+
+  /** Active face-handle drag: { handle, axis, side, dragPlane, startAxisValue, startFaceValue } */
+  _boxDrag = null;
+
   constructor(world, components) {
     this.world = world;
     this.components = components;
@@ -46,6 +112,18 @@ export class ClippingManager {
     // have the current clipping planes applied.
     this._startClippingObserver();
 
+    // Pointer handlers for the section box face handles. Registered in the
+    // capture phase so a handle drag wins over the orbit controls.
+    this._onBoxPointerDown = this._onBoxPointerDown.bind(this);
+    this._onBoxPointerMove = this._onBoxPointerMove.bind(this);
+    this._onBoxPointerUp = this._onBoxPointerUp.bind(this);
+    this._raycaster = new THREE.Raycaster();
+
+    // Solid fills where the planes cut closed geometry
+    this.caps = new SectionCaps(components, this.scene);
+    // Crisp intersection lines on top of the fills
+    this.outlines = new SectionOutlines(components, this.scene);
+
     logger.info('[CLIP] ClippingManager initialized');
   }
 
@@ -56,21 +134,62 @@ export class ClippingManager {
 
   get visible() { return this._visible; }
 
+  /** Planes currently clipping the scene (enabled free planes + section box) */
+  get activePlanes() { return [...this._clippingPlanes]; }
+
   toggleVisibility(visible) {
     this._visible = visible;
     for (const entry of this._entries) {
-      entry.helper.visible = visible;
+      this._updateEntryGizmos(entry);
+    }
+    if (this._sectionBox) {
+      this._sectionBox.outline.visible = visible;
+      for (const handle of this._sectionBox.handles) handle.visible = visible;
+    }
+  }
 
-      const tHelper = entry.translateCtrl.getHelper();
-      const rHelper = entry.rotateCtrl.getHelper();
+  /** Section fill mode: 'ifcClass' | 'material' | 'off' */
+  get capsMode() { return this.caps.enabled ? this.caps.colorMode : 'off'; }
+  setCapsMode(mode) {
+    if (mode === 'off') {
+      this.caps.enabled = false;
+    } else {
+      this.caps.colorMode = mode;
+      this.caps.enabled = true;
+    }
+    logger.info('[CLIP] Section fill mode:', mode);
+  }
 
-      tHelper.visible = visible;
-      rHelper.visible = visible;
+  setCapsHatch(hatch) {
+    this.caps.hatch = hatch;
+  }
 
-      // If hidden, disable controls so they don't catch raycasts/clicks
-      entry.translateCtrl.enabled = visible;
-      entry.rotateCtrl.enabled = visible;
+  get outlinesEnabled() { return this.outlines.enabled; }
+  setOutlinesEnabled(enabled) {
+    this.outlines.enabled = enabled;
+  }
+
+  /**
+   * Every plane a section drawing can be made from: the free planes (plan
+   * cuts included) and the six faces of the section box.
+   * @returns {{ id: string, label: string, enabled: boolean }[]}
+   */
+  listSections() {
+    const sections = this._entries.map(({ id, enabled }, i) => ({ id, label: `Plane ${i + 1}`, enabled }));
+    if (this._sectionBox) {
+      BOX_FACES.forEach(([axis, side], i) => {
+        sections.push({ id: `box-${i}`, label: `Box ${side > 0 ? '+' : '−'}${axis.toUpperCase()}`, enabled: true });
+      });
     }
+    return sections;
+  }
+
+  /** The plane of a section from listSections(), or null when it is gone or switched off */
+  getSectionPlane(id) {
+    const face = /^box-(\d)$/.exec(id ?? '');
+    if (face) return this._sectionBox?.planes[Number(face[1])] ?? null;
+    const entry = this._entries.find(e => e.id === id);
+    return entry?.enabled ? entry.plane : null;
   }
 
   get mode() { return this._mode; }
@@ -87,10 +206,28 @@ export class ClippingManager {
    * Compute a bounding box center from the scene's children. 
    */
   _getSceneCenter() {
+    const box = this._getSceneBox();
+    if (!box) {
+      logger.warn('[CLIP] No geometry bounds found, using origin');
+      return { center: new THREE.Vector3(0, 0, 0), size: 30 };
+    }
+    const center = new THREE.Vector3();
+    const size = new THREE.Vector3();
+    box.getCenter(center);
+    box.getSize(size);
+    logger.info('[CLIP] Scene center:', center, 'size:', size);
+    return { center, size: Math.max(size.x, size.y, size.z) };
+  }
+
+  /**
+   * Compute the world bounding box of all model geometry in the scene
+   * (clipping helpers excluded). Returns null when nothing is loaded.
+   */
+  _getSceneBox() {
     const box = new THREE.Box3();
     let found = false;
     this.scene.traverse((obj) => {
-      if (obj.isMesh && obj.geometry) {
+      if (obj.isMesh && obj.geometry && !obj.userData.__clippingHelper) {
         try {
           // Some fragment geometries don't support computeBoundingBox
           // Use the object's world bounding box if geometry BB fails
@@ -124,16 +261,7 @@ export class ClippingManager {
       }
     }
 
-    if (!found) {
-      logger.warn('[CLIP] No geometry bounds found, using origin');
-      return { center: new THREE.Vector3(0, 0, 0), size: 30 };
-    }
-    const center = new THREE.Vector3();
-    const size = new THREE.Vector3();
-    box.getCenter(center);
-    box.getSize(size);
-    logger.info('[CLIP] Scene center:', center, 'size:', size);
-    return { center, size: Math.max(size.x, size.y, size.z) };
+    return found ? box : null;
   }
 
   /**
@@ -151,7 +279,6 @@ export class ClippingManager {
     // ── 1. THREE.Plane (used for actual clipping) ──
     const plane = new THREE.Plane();
     plane.setFromNormalAndCoplanarPoint(norm.clone().normalize(), pos);
-    this._clippingPlanes.push(plane);
 
     // ── 2. Visual helper mesh ──
     const helperGeo = new THREE.PlaneGeometry(sz, sz);
@@ -214,25 +341,30 @@ export class ClippingManager {
     translateCtrl.addEventListener('dragging-changed', (event) => {
       if (this.orbitControls) this.orbitControls.enabled = !event.value;
       rotateCtrl.enabled = !event.value;
+      if (!event.value) this._notifyChange();
     });
     rotateCtrl.addEventListener('dragging-changed', (event) => {
       if (this.orbitControls) this.orbitControls.enabled = !event.value;
       translateCtrl.enabled = !event.value;
+      if (!event.value) this._notifyChange();
     });
 
     // Sync the THREE.Plane every time either gizmo moves / rotates
     const onTransform = () => {
       this._syncPlane(helper, plane);
       this._applyClippingToScene();
+      this._onPlanesChanged();
     };
     translateCtrl.addEventListener('change', onTransform);
     rotateCtrl.addEventListener('change', onTransform);
 
-    // ── 4. Apply clipping planes to all scene materials ──
-    this._applyClippingToScene();
-
-    const entry = { helper, plane, translateCtrl, rotateCtrl };
+    const entry = { id: `plane-${this._nextPlaneId++}`, enabled: true, helper, plane, translateCtrl, rotateCtrl };
     this._entries.push(entry);
+    this._updateEntryGizmos(entry);
+
+    // ── 4. Apply clipping planes to all scene materials ──
+    this._refreshPlanes();
+    this._notifyChange();
     logger.info('[CLIP] Clipping plane created, total:', this._entries.length);
     return entry;
   }
@@ -245,9 +377,25 @@ export class ClippingManager {
     return this.createPlane(center, new THREE.Vector3(0, -1, 0));
   }
 
+  /**
+   * Create a horizontal plane at world height `y` that keeps everything
+   * below it — a plan cut.
+   */
+  createHorizontalPlane(y) {
+    const { center } = this._getSceneCenter();
+    return this.createPlane(new THREE.Vector3(center.x, y, center.z), new THREE.Vector3(0, -1, 0));
+  }
+
   removeLastPlane() {
     if (this._entries.length === 0) return;
-    const entry = this._entries.pop();
+    this.removePlane(this._entries[this._entries.length - 1].id);
+  }
+
+  /** Remove one free-floating plane by id. */
+  removePlane(id) {
+    const idx = this._entries.findIndex(e => e.id === id);
+    if (idx === -1) return;
+    const [entry] = this._entries.splice(idx, 1);
 
     entry.translateCtrl.detach();
     entry.translateCtrl.dispose();
@@ -261,17 +409,220 @@ export class ClippingManager {
     entry.helper.geometry.dispose();
     entry.helper.material.dispose();
 
-    const idx = this._clippingPlanes.indexOf(entry.plane);
-    if (idx !== -1) this._clippingPlanes.splice(idx, 1);
+    this._refreshPlanes();
+    this._notifyChange();
+    logger.info('[CLIP] Plane', id, 'removed, remaining:', this._entries.length);
+  }
 
-    this._applyClippingToScene();
-    logger.info('[CLIP] Last plane removed, remaining:', this._entries.length);
+  /** Reverse which side of a plane is kept. */
+  flipPlane(id) {
+    const entry = this._entries.find(e => e.id === id);
+    if (!entry) return;
+    // Half-turn around the helper's local X axis flips its local Z (the normal)
+    entry.helper.rotateX(Math.PI);
+    this._syncPlane(entry.helper, entry.plane);
+    this._refreshPlanes();
+    this._notifyChange();
+  }
+
+  /** Temporarily switch a plane off without losing its placement. */
+  setPlaneEnabled(id, enabled) {
+    const entry = this._entries.find(e => e.id === id);
+    if (!entry || entry.enabled === enabled) return;
+    entry.enabled = enabled;
+    this._updateEntryGizmos(entry);
+    this._refreshPlanes();
+    this._notifyChange();
+  }
+
+  /**
+   * Summary of all free-floating planes, for lists in the UI.
+   * @returns {{ id: string, enabled: boolean, normal: number[], position: number[] }[]}
+   */
+  listPlanes() {
+    return this._entries.map(({ id, enabled, helper, plane }) => ({
+      id,
+      enabled,
+      normal: plane.normal.toArray(),
+      position: helper.position.toArray(),
+    }));
+  }
+
+  /**
+   * Plain-JSON snapshot of every plane and the section box.
+   */
+  serialize() {
+    return {
+      version: SECTION_STATE_VERSION,
+      planes: this._entries.map(({ enabled, helper, plane }) => ({
+        normal: plane.normal.toArray(),
+        position: helper.position.toArray(),
+        enabled,
+      })),
+      sectionBox: this._sectionBox
+        ? { min: this._sectionBox.box.min.toArray(), max: this._sectionBox.box.max.toArray() }
+        : null,
+    };
+  }
+
+  /**
+   * Replace the current planes with a snapshot from serialize().
+   */
+  load(state) {
+    if (!state || state.version !== SECTION_STATE_VERSION) {
+      throw new Error('Unsupported section set format');
+    }
+    this.removeAll();
+    for (const p of state.planes ?? []) {
+      const entry = this.createPlane(new THREE.Vector3().fromArray(p.position), new THREE.Vector3().fromArray(p.normal));
+      if (p.enabled === false) this.setPlaneEnabled(entry.id, false);
+    }
+    if (state.sectionBox) {
+      // Stored boxes are already padded — restore them exactly
+      this.createSectionBox(new THREE.Box3(
+        new THREE.Vector3().fromArray(state.sectionBox.min),
+        new THREE.Vector3().fromArray(state.sectionBox.max),
+      ), { exact: true });
+    }
+    logger.info('[CLIP] Section set loaded:', this._entries.length, 'planes');
+  }
+
+  /**
+   * Subscribe to plane list changes (add, remove, flip, enable, load).
+   * @returns {() => void} unsubscribe
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
   }
 
   removeAll() {
     while (this._entries.length > 0) {
       this.removeLastPlane();
     }
+    this.removeSectionBox();
+  }
+
+  /* ────── section box ────── */
+
+  get hasSectionBox() { return this._sectionBox !== null; }
+
+  /**
+   * Create a section box: six linked clipping planes around `box`
+   * (defaults to the bounds of all loaded geometry), each with a
+   * draggable face handle. Replaces any existing section box.
+   * @param {THREE.Box3} [box]
+   * @param {{ exact?: boolean }} [options] - exact: use the box as-is, without padding
+   */
+  createSectionBox(box, { exact = false } = {}) {
+    this.removeSectionBox();
+
+    const initial = box ?? this._getSceneBox() ?? new THREE.Box3(
+      new THREE.Vector3(-15, -15, -15), new THREE.Vector3(15, 15, 15),
+    );
+    const bounds = exact ? initial.clone() : this._padBox(initial);
+    logger.info('[CLIP] Creating section box', bounds.min.toArray(), bounds.max.toArray());
+
+    // ── 1. Six inward-facing planes (fragments outside any plane are clipped) ──
+    const planes = BOX_FACES.map(() => new THREE.Plane());
+
+    // ── 2. Wireframe outline ──
+    const outlineGeo = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+    const outlineMat = new THREE.LineBasicMaterial({
+      color: 0xf59e0b,
+      depthTest: false,
+      transparent: true,
+      opacity: 0.9,
+      clippingPlanes: [],
+    });
+    const outline = new THREE.LineSegments(outlineGeo, outlineMat);
+    outline.renderOrder = 999;
+    outline.frustumCulled = false;
+    outline.userData.__clippingHelper = true;
+    this.scene.add(outline);
+
+    // ── 3. One square handle per face, facing outwards ──
+    const handles = BOX_FACES.map(([axis, side], faceIndex) => {
+      const handleMat = new THREE.MeshBasicMaterial({
+        color: 0xf59e0b,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.85,
+        depthTest: false,
+        clippingPlanes: [],
+      });
+      const handle = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), handleMat);
+      const outward = new THREE.Vector3();
+      outward[axis] = side;
+      handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), outward);
+      handle.renderOrder = 1000;
+      handle.frustumCulled = false;
+      handle.userData.__clippingHelper = true;
+      handle.userData.boxFace = faceIndex;
+      this.scene.add(handle);
+      return handle;
+    });
+
+    this._sectionBox = { box: bounds, planes, handles, outline };
+    this._updateSectionBox();
+    this.toggleVisibility(this._visible);
+
+    const dom = this.renderer.domElement;
+    dom.addEventListener('pointerdown', this._onBoxPointerDown, { capture: true });
+    dom.addEventListener('pointermove', this._onBoxPointerMove, { capture: true });
+    dom.addEventListener('pointerup', this._onBoxPointerUp, { capture: true });
+
+    this._refreshPlanes();
+    this._notifyChange();
+    return this._sectionBox;
+  }
+
+  /**
+   * Move all six faces of the section box onto `box` (e.g. the bounds of
+   * the current selection). Creates the box if it does not exist yet.
+   * @param {THREE.Box3} box
+   */
+  fitSectionBox(box) {
+    if (!box || box.isEmpty()) return;
+    if (!this._sectionBox) {
+      this.createSectionBox(box);
+      return;
+    }
+    this._sectionBox.box.copy(this._padBox(box));
+    this._updateSectionBox();
+    this._applyClippingToScene();
+    this._onPlanesChanged();
+    logger.info('[CLIP] Section box fitted to', box.min.toArray(), box.max.toArray());
+  }
+
+  /** Reset the section box to the bounds of all loaded geometry. */
+  resetSectionBox() {
+    if (!this._sectionBox) return;
+    const sceneBox = this._getSceneBox();
+    if (sceneBox) this.fitSectionBox(sceneBox);
+  }
+
+  removeSectionBox() {
+    if (!this._sectionBox) return;
+    const { handles, outline } = this._sectionBox;
+
+    const dom = this.renderer.domElement;
+    dom.removeEventListener('pointerdown', this._onBoxPointerDown, { capture: true });
+    dom.removeEventListener('pointermove', this._onBoxPointerMove, { capture: true });
+    dom.removeEventListener('pointerup', this._onBoxPointerUp, { capture: true });
+    if (this._boxDrag && this.orbitControls) this.orbitControls.enabled = true;
+    this._boxDrag = null;
+
+    for (const obj of [outline, ...handles]) {
+      this.scene.remove(obj);
+      obj.geometry.dispose();
+      obj.material.dispose();
+    }
+    this._sectionBox = null;
+
+    this._refreshPlanes();
+    this._notifyChange();
+    logger.info('[CLIP] Section box removed');
   }
 
   /**
@@ -300,6 +651,110 @@ export class ClippingManager {
 
   /* ────── internal ────── */
 
+  /** Clone a box and grow it slightly so faces don't sit exactly on geometry */
+  _padBox(box) {
+    const padded = box.clone();
+    const size = padded.getSize(new THREE.Vector3());
+    padded.expandByScalar(Math.max(size.x, size.y, size.z) * 0.01 || MIN_BOX_SIZE);
+    return padded;
+  }
+
+  /** Recompute the six planes, the outline and the handles from the shared Box3 */
+  _updateSectionBox() {
+    const { box, planes, handles, outline } = this._sectionBox;
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+
+    BOX_FACES.forEach(([axis, side], i) => {
+      // Inward normal: min face keeps +axis, max face keeps -axis
+      const normal = new THREE.Vector3();
+      normal[axis] = -side;
+      const point = center.clone();
+      point[axis] = side < 0 ? box.min[axis] : box.max[axis];
+      planes[i].setFromNormalAndCoplanarPoint(normal, point);
+      handles[i].position.copy(point);
+    });
+
+    outline.position.copy(center);
+    outline.scale.set(
+      Math.max(size.x, MIN_BOX_SIZE),
+      Math.max(size.y, MIN_BOX_SIZE),
+      Math.max(size.z, MIN_BOX_SIZE),
+    );
+
+    const handleSize = Math.max(Math.min(size.x, size.y, size.z) * 0.15, this._getPlaneSizeAt(center) * 0.15);
+    for (const handle of handles) handle.scale.setScalar(handleSize);
+  }
+
+  /** Pointer ray from a DOM event, in world space */
+  _setRayFromEvent(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this._raycaster.setFromCamera(ndc, this.world.camera.three);
+    return this._raycaster.ray;
+  }
+
+  _onBoxPointerDown(event) {
+    if (!this._sectionBox || !this._visible || event.button !== 0) return;
+    this._setRayFromEvent(event);
+    const hit = this._raycaster.intersectObjects(this._sectionBox.handles, false)[0];
+    if (!hit) return;
+
+    const handle = hit.object;
+    const [axis, side] = BOX_FACES[handle.userData.boxFace];
+    const axisDir = new THREE.Vector3();
+    axisDir[axis] = 1;
+
+    // Drag on the plane that contains the face axis and faces the camera most
+    const viewDir = this.world.camera.three.getWorldDirection(new THREE.Vector3());
+    const dragNormal = axisDir.clone().cross(viewDir).cross(axisDir).normalize();
+    if (dragNormal.lengthSq() < 1e-6) return; // looking straight down the axis
+    const dragPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(dragNormal, handle.position);
+
+    const box = this._sectionBox.box;
+    this._boxDrag = {
+      axis,
+      side,
+      dragPlane,
+      startAxisValue: hit.point[axis],
+      startFaceValue: side < 0 ? box.min[axis] : box.max[axis],
+    };
+
+    if (this.orbitControls) this.orbitControls.enabled = false;
+    this.renderer.domElement.setPointerCapture?.(event.pointerId);
+    event.stopImmediatePropagation();
+    event.preventDefault();
+  }
+
+  _onBoxPointerMove(event) {
+    if (!this._boxDrag) return;
+    const { axis, side, dragPlane, startAxisValue, startFaceValue } = this._boxDrag;
+    const ray = this._setRayFromEvent(event);
+    const point = ray.intersectPlane(dragPlane, new THREE.Vector3());
+    if (!point) return;
+
+    const box = this._sectionBox.box;
+    const value = startFaceValue + (point[axis] - startAxisValue);
+    if (side < 0) box.min[axis] = Math.min(value, box.max[axis] - MIN_BOX_SIZE);
+    else box.max[axis] = Math.max(value, box.min[axis] + MIN_BOX_SIZE);
+
+    this._updateSectionBox();
+    this._applyClippingToScene();
+    this._onPlanesChanged();
+    event.stopImmediatePropagation();
+  }
+
+  _onBoxPointerUp(event) {
+    if (!this._boxDrag) return;
+    this._boxDrag = null;
+    if (this.orbitControls) this.orbitControls.enabled = true;
+    this.renderer.domElement.releasePointerCapture?.(event.pointerId);
+    event.stopImmediatePropagation();
+  }
+
   /** Hide specific named parts of a TransformControls gizmo helper */
   _hideGizmoParts(gizmoHelper, namesToHide) {
     gizmoHelper.traverse((child) => {
@@ -318,6 +773,42 @@ export class ClippingManager {
     });
   }
 
+  /** Rebuild the active plane list from enabled entries and the section box, then re-clip */
+  _refreshPlanes() {
+    this._clippingPlanes = [
+      ...this._entries.filter(e => e.enabled).map(e => e.plane),
+      ...(this._sectionBox?.planes ?? []),
+    ];
+    this._applyClippingToScene();
+    this._onPlanesChanged();
+  }
+
+  _notifyChange() {
+    for (const listener of this._changeListeners) {
+      try { listener(); } catch (err) { logger.warn('[CLIP] Change listener failed:', err); }
+    }
+  }
+
+  /** Show gizmos only for enabled planes while helpers are visible; dim disabled planes */
+  _updateEntryGizmos(entry) {
+    const active = this._visible && entry.enabled;
+    entry.helper.visible = this._visible;
+    entry.helper.material.opacity = entry.enabled ? 0.25 : 0.08;
+
+    entry.translateCtrl.getHelper().visible = active;
+    entry.rotateCtrl.getHelper().visible = active;
+
+    // If hidden, disable controls so they don't catch raycasts/clicks
+    entry.translateCtrl.enabled = active;
+    entry.rotateCtrl.enabled = active;
+  }
+
+  /** Rebuild the section caps and outlines after any plane was added, moved or removed */
+  _onPlanesChanged() {
+    this.caps.update(this._clippingPlanes);
+    this.outlines.update(this._clippingPlanes);
+  }
+
   /** Keep the THREE.Plane in sync with the mesh helper's transform */
   _syncPlane(helper, plane) {
     const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(helper.quaternion).normalize();
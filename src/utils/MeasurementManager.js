@@ -0,0 +1,478 @@
+import * as THREE from 'three';
+import * as OBC from '@thatopen/components';
+import * as FRAGS from '@thatopen/fragments';
+import { logger } from './logger';
+import { getProjectUnits, formatQuantity } from './ifcUnits';
+import { toCSV } from './download';
+
+/**
+ * MeasurementManager — interactive distance, perpendicular distance,
+ * polygon area and angle measurement.
+ *
+ * Picks go through the world's OBC Raycaster with fragments snapping
+ * (vertices, edges, faces); face hits near the face centre snap to it.
+ * Finished measurements stay in the scene as labelled annotations until
+ * deleted, and are formatted in the IfcProject's units.
+ *
+ * Usage:
+ *   const mgr = new MeasurementManager(world, components);
+ *   mgr.setMode('distance');   // 'distance' | 'perpendicular' | 'area' | 'angle' | null
+ *   mgr.list();                // [{ id, type, name, text, … }]
+ *   mgr.toCSV();
+ */
+
+/** Per-tool settings: picks needed (null = polygon closed by the user) and unit type */
+const TOOLS = {
+  distance: { label: 'Distance', picks: 2, unitType: 'LENGTHUNIT' },
+  perpendicular: { label: 'Perpendicular', picks: 2, unitType: 'LENGTHUNIT' },
+  area: { label: 'Area', picks: null, unitType: 'AREAUNIT' },
+  angle: { label: 'Angle', picks: 3, unitType: 'PLANEANGLEUNIT' },
+};
+
+const SNAP_COLORS = {
+  vertex: 0xef4444,
+  edge: 0xf59e0b,
+  faceMidpoint: 0x22c55e,
+  face: 0x3b82f6,
+};
+
+const ANNOTATION_COLOR = 0x4f46e5;
+
+/** Screen distance (px) within which a face hit snaps to the face centre, or a click closes a polygon */
+const SNAP_RADIUS_PX = 12;
+
+/** Pointer travel (px) above which a press counts as an orbit drag, not a pick */
+const CLICK_TOLERANCE_PX = 4;
+
+/** On-screen label height in pixels */
+const LABEL_HEIGHT_PX = 22;
+
+export class MeasurementManager {
+  /** @type {keyof TOOLS | null} */
+  _mode = null;
+
+  /** Finished measurements
+   * @type {{ id: string, type: string, name: string, value: number, text: string, unit: string, points: THREE.Vector3[], group: THREE.Group }[]} */
+  _measurements = [];
+
+  _nextId = 1;
+
+  /** Picks of the measurement in progress: [{ point, normal, snap, model }] */
+  _picks = [];
+
+  /** Snapped hit under the cursor — drives the snap marker and rubber-band line */
+  _hover = null;
+  _hovering = false;
+
+  _pointerDown = null;
+
+  _changeListeners = new Set();
+
+  constructor(world, components) {
+    this.world = world;
+    this.components = components;
+    this.scene = world.scene.three;
+    this.dom = world.renderer.three.domElement;
+    this.raycaster = components.get(OBC.Raycasters).get(world);
+
+    this.group = new THREE.Group();
+    this.group.name = 'Measurements';
+    this.group.userData.__clippingHelper = true;
+    this.scene.add(this.group);
+
+    // Snap marker under the cursor and rubber-band line for the current measurement
+    this._marker = this._createPoints([new THREE.Vector3()], SNAP_COLORS.face, 12);
+    this._marker.visible = false;
+    this._preview = this._createLine([new THREE.Vector3(), new THREE.Vector3()], ANNOTATION_COLOR, false);
+    this._preview.visible = false;
+    this._previewPoints = this._createPoints([], ANNOTATION_COLOR, 8);
+    this.group.add(this._marker, this._preview, this._previewPoints);
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onClick = this._onClick.bind(this);
+    this._onDoubleClick = this._onDoubleClick.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    logger.info('[MEASURE] MeasurementManager initialized');
+  }
+
+  /* ────── public API ────── */
+
+  get mode() { return this._mode; }
+
+  /**
+   * Start a measurement tool, or stop measuring with null.
+   * Switching tools discards the measurement in progress.
+   */
+  setMode(mode) {
+    const next = mode && TOOLS[mode] ? mode : null;
+    this._cancelCurrent();
+    if (next && !this._mode) this._addListeners();
+    if (!next && this._mode) this._removeListeners();
+    this._mode = next;
+    this._marker.visible = false;
+    logger.info('[MEASURE] Mode:', next ?? 'off');
+  }
+
+  /** @returns {{ id: string, type: string, name: string, value: number, unit: string, text: string, points: number[][] }[]} */
+  list() {
+    return this._measurements.map(({ id, type, name, value, unit, text, points }) => ({
+      id, type, name, value, unit, text,
+      points: points.map(p => p.toArray()),
+    }));
+  }
+
+  delete(id) {
+    const idx = this._measurements.findIndex(m => m.id === id);
+    if (idx === -1) return;
+    const [m] = this._measurements.splice(idx, 1);
+    this._disposeObject(m.group);
+    this._notifyChange();
+  }
+
+  clear() {
+    for (const m of this._measurements) this._disposeObject(m.group);
+    this._measurements = [];
+    this._cancelCurrent();
+    this._notifyChange();
+  }
+
+  /** All measurements as CSV: name, type, value, unit and the picked points in metres */
+  toCSV() {
+    const rows = [['Name', 'Type', 'Value', 'Unit', 'Points (x y z, m)']];
+    for (const m of this._measurements) {
+      rows.push([
+        m.name,
+        TOOLS[m.type].label,
+        Number(m.value.toFixed(6)),
+        m.unit,
+        m.points.map(p => p.toArray().map(c => c.toFixed(3)).join(' ')).join('; '),
+      ]);
+    }
+    return toCSV(rows);
+  }
+
+  /**
+   * Subscribe to measurement list changes.
+   * @returns {() => void} unsubscribe
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  dispose() {
+    this.setMode(null);
+    this.clear();
+    this._disposeObject(this.group);
+    this._changeListeners.clear();
+  }
+
+  /* ────── input ────── */
+
+  _addListeners() {
+    this.dom.addEventListener('pointerdown', this._onPointerDown);
+    this.dom.addEventListener('pointermove', this._onPointerMove);
+    this.dom.addEventListener('click', this._onClick);
+    this.dom.addEventListener('dblclick', this._onDoubleClick);
+    window.addEventListener('keydown', this._onKeyDown);
+  }
+
+  _removeListeners() {
+    this.dom.removeEventListener('pointerdown', this._onPointerDown);
+    this.dom.removeEventListener('pointermove', this._onPointerMove);
+    this.dom.removeEventListener('click', this._onClick);
+    this.dom.removeEventListener('dblclick', this._onDoubleClick);
+    window.removeEventListener('keydown', this._onKeyDown);
+  }
+
+  _onPointerDown(event) {
+    if (event.button !== 0) return;
+    this._pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  async _onPointerMove() {
+    // One snapping raycast at a time; moves during a cast are dropped
+    if (this._hovering) return;
+    this._hovering = true;
+    try {
+      this._hover = await this._pick();
+      this._updateHoverVisuals();
+    } finally {
+      this._hovering = false;
+    }
+  }
+
+  async _onClick(event) {
+    const down = this._pointerDown;
+    this._pointerDown = null;
+    if (!down || Math.hypot(event.clientX - down.x, event.clientY - down.y) > CLICK_TOLERANCE_PX) return;
+    // The second click of a double-click closes an area polygon instead of adding a point
+    if (this._mode === 'area' && event.detail > 1) return;
+
+    const hit = await this._pick();
+    if (!hit) return;
+
+    if (this._mode === 'perpendicular' && !hit.normal) {
+      logger.warn('[MEASURE] Perpendicular distance needs a face under the cursor');
+      return;
+    }
+
+    // Clicking the first point again closes an area polygon
+    if (this._mode === 'area' && this._picks.length >= 3 &&
+      this._toScreen(hit.point).distanceTo(this._toScreen(this._picks[0].point)) < SNAP_RADIUS_PX) {
+      await this._finish();
+      return;
+    }
+
+    this._picks.push(hit);
+    this._updatePreviewPoints();
+    if (this._picks.length === TOOLS[this._mode].picks) await this._finish();
+  }
+
+  async _onDoubleClick() {
+    if (this._mode === 'area' && this._picks.length >= 3) await this._finish();
+  }
+
+  async _onKeyDown(event) {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+    if (event.key === 'Escape') {
+      this._cancelCurrent();
+    } else if (event.key === 'Enter' && this._mode === 'area' && this._picks.length >= 3) {
+      await this._finish();
+    }
+  }
+
+  /* ────── picking ────── */
+
+  /**
+   * Snapped hit under the pointer, or null.
+   * @returns {Promise<{ point: THREE.Vector3, normal: THREE.Vector3 | null, snap: string, model: object } | null>}
+   */
+  async _pick() {
+    let result;
+    try {
+      result = await this.raycaster.castRay({
+        snappingClasses: [FRAGS.SnappingClass.POINT, FRAGS.SnappingClass.LINE, FRAGS.SnappingClass.FACE],
+      });
+    } catch (err) {
+      logger.warn('[MEASURE] Raycast failed:', err);
+      return null;
+    }
+    if (!result?.point) return null;
+
+    const point = result.point.clone();
+    const normal = result.normal ? result.normal.clone().normalize() : null;
+    const model = result.fragments ?? null;
+
+    if (result.snappingClass === FRAGS.SnappingClass.POINT) {
+      return { point, normal, snap: 'vertex', model };
+    }
+    if (result.snappingClass === FRAGS.SnappingClass.LINE) {
+      return { point, normal, snap: 'edge', model };
+    }
+
+    const center = this._getFaceCenter(result);
+    if (center && this._toScreen(center).distanceTo(this._toScreen(point)) < SNAP_RADIUS_PX) {
+      return { point: center, normal, snap: 'faceMidpoint', model };
+    }
+    return { point, normal, snap: 'face', model };
+  }
+
+  /** Centroid of the hit face; facePoints come back in model space */
+  _getFaceCenter(result) {
+    const pts = result.facePoints;
+    if (!pts || pts.length < 9) return null;
+    const center = new THREE.Vector3();
+    const v = new THREE.Vector3();
+    for (let i = 0; i < pts.length; i += 3) center.add(v.fromArray(pts, i));
+    center.divideScalar(pts.length / 3);
+    const matrix = result.fragments?.object?.matrixWorld;
+    return matrix ? center.applyMatrix4(matrix) : center;
+  }
+
+  /** World point → canvas pixel position */
+  _toScreen(point) {
+    const ndc = point.clone().project(this.world.camera.three);
+    const rect = this.dom.getBoundingClientRect();
+    return new THREE.Vector2((ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height);
+  }
+
+  /* ────── measuring ────── */
+
+  async _finish() {
+    const type = this._mode;
+    const picks = this._picks;
+    this._picks = [];
+    this._updatePreviewPoints();
+
+    const { value, points, labelAt } = this._compute(type, picks);
+    const units = picks[0].model ? await getProjectUnits(picks[0].model) : null;
+    const formatted = formatQuantity(value, TOOLS[type].unitType, units);
+
+    const id = `measurement-${this._nextId++}`;
+    const name = `${TOOLS[type].label} ${this._measurements.filter(m => m.type === type).length + 1}`;
+    const group = this._createAnnotation(type, points, labelAt, formatted.text);
+    this._measurements.push({ id, type, name, value: formatted.value, unit: formatted.symbol, text: formatted.text, points, group });
+    this._notifyChange();
+    logger.info('[MEASURE]', name, '=', formatted.text);
+  }
+
+  /**
+   * Measured SI value plus the points to draw.
+   * @returns {{ value: number, points: THREE.Vector3[], labelAt: THREE.Vector3 }}
+   */
+  _compute(type, picks) {
+    const p = picks.map(pick => pick.point);
+
+    if (type === 'perpendicular') {
+      // Distance from the second pick to the plane of the first face
+      const n = picks[0].normal;
+      const d = p[1].clone().sub(p[0]).dot(n);
+      const foot = p[1].clone().addScaledVector(n, -d);
+      return { value: Math.abs(d), points: [foot, p[1]], labelAt: foot.clone().lerp(p[1], 0.5) };
+    }
+
+    if (type === 'angle') {
+      const a = p[0].clone().sub(p[1]);
+      const b = p[2].clone().sub(p[1]);
+      return { value: a.angleTo(b), points: p, labelAt: p[1].clone() };
+    }
+
+    if (type === 'area') {
+      // Newell's method: half the length of the summed cross products
+      const sum = new THREE.Vector3();
+      for (let i = 0; i < p.length; i++) {
+        sum.add(new THREE.Vector3().crossVectors(p[i], p[(i + 1) % p.length]));
+      }
+      const centroid = p.reduce((acc, v) => acc.add(v), new THREE.Vector3()).divideScalar(p.length);
+      return { value: sum.length() / 2, points: p, labelAt: centroid };
+    }
+
+    return { value: p[0].distanceTo(p[1]), points: p, labelAt: p[0].clone().lerp(p[1], 0.5) };
+  }
+
+  _cancelCurrent() {
+    this._picks = [];
+    this._hover = null;
+    this._updatePreviewPoints();
+    this._preview.visible = false;
+  }
+
+  _notifyChange() {
+    for (const listener of this._changeListeners) {
+      try { listener(); } catch (err) { logger.warn('[MEASURE] Change listener failed:', err); }
+    }
+  }
+
+  /* ────── visuals ────── */
+
+  _updateHoverVisuals() {
+    const hover = this._hover;
+    this._marker.visible = Boolean(hover);
+    if (!hover) {
+      this._preview.visible = false;
+      return;
+    }
+    this._setPositions(this._marker, [hover.point]);
+    this._marker.material.color.setHex(SNAP_COLORS[hover.snap]);
+
+    const last = this._picks[this._picks.length - 1];
+    this._preview.visible = Boolean(last);
+    if (last) this._setPositions(this._preview, [last.point, hover.point]);
+  }
+
+  _updatePreviewPoints() {
+    this._setPositions(this._previewPoints, this._picks.map(p => p.point));
+  }
+
+  _createAnnotation(type, points, labelAt, text) {
+    const group = new THREE.Group();
+    group.userData.__clippingHelper = true;
+
+    const linePoints = type === 'area' ? [...points, points[0]] : points;
+    group.add(this._createLine(linePoints, ANNOTATION_COLOR, true));
+    group.add(this._createPoints(points, ANNOTATION_COLOR, 8));
+    group.add(this._createLabel(text, labelAt));
+
+    this.group.add(group);
+    return group;
+  }
+
+  _createLine(points, color, strip) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    const line = strip ? new THREE.Line(geometry, material) : new THREE.LineSegments(geometry, material);
+    line.renderOrder = 1000;
+    line.frustumCulled = false;
+    line.userData.__clippingHelper = true;
+    return line;
+  }
+
+  _createPoints(points, color, size) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.PointsMaterial({ color, size, sizeAttenuation: false, depthTest: false, transparent: true });
+    const obj = new THREE.Points(geometry, material);
+    obj.renderOrder = 1001;
+    obj.frustumCulled = false;
+    obj.userData.__clippingHelper = true;
+    return obj;
+  }
+
+  _setPositions(obj, points) {
+    obj.geometry.dispose();
+    obj.geometry = new THREE.BufferGeometry().setFromPoints(points);
+  }
+
+  /** Text sprite that keeps a constant pixel height in both projections */
+  _createLabel(text, position) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = '600 36px Inter, system-ui, sans-serif';
+    ctx.font = font;
+    const padding = 14;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + padding * 2;
+    canvas.height = 56;
+    ctx.font = font;
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, canvas.width, canvas.height, 12);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, padding, canvas.height / 2 + 1);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+    sprite.position.copy(position);
+    sprite.renderOrder = 1002;
+    sprite.userData.__clippingHelper = true;
+
+    const aspect = canvas.width / canvas.height;
+    sprite.onBeforeRender = (renderer, scene, camera) => {
+      const height = this._worldPerPixel(camera, sprite.position, renderer) * LABEL_HEIGHT_PX;
+      sprite.scale.set(height * aspect, height, 1);
+    };
+    return sprite;
+  }
+
+  _worldPerPixel(camera, position, renderer) {
+    const viewHeight = renderer.domElement.clientHeight || 1;
+    if (camera.isOrthographicCamera) {
+      return (camera.top - camera.bottom) / camera.zoom / viewHeight;
+    }
+    const distance = camera.position.distanceTo(position);
+    return 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / viewHeight;
+  }
+
+  _disposeObject(root) {
+    root.removeFromParent();
+    root.traverse((obj) => {
+      obj.geometry?.dispose();
+      obj.material?.map?.dispose();
+      obj.material?.dispose();
+    });
+  }
+}
@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import * as OBC from '@thatopen/components';
+import { logger } from './logger';
+import { getItemMaterialName } from './ifcProperties';
+import { getModelToWorldMatrix, groupItemsByClass } from './fragmentUtils';
+import { colorFromKey } from './colorUtils';
+
+/** Section is taken this far inside the kept side so its own plane never clips it (same as OBCF ClipEdges) */
+const CAP_OFFSET = 0.01;
+
+/** Distance between hatch lines, in world units (metres) */
+const HATCH_SPACING = 0.12;
+
+/** Cap colour used when the colour mode has no key for an item */
+const DEFAULT_CAP_COLOR = new THREE.Color(0x64748b);
+
+const capVertexShader = /* glsl */ `
+  #include <clipping_planes_pars_vertex>
+  varying vec3 vWorldPosition;
+  void main() {
+    #include <begin_vertex>
+    #include <project_vertex>
+    #include <clipping_planes_vertex>
+    vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+  }
+`;
+
+const capFragmentShader = /* glsl */ `
+  #include <clipping_planes_pars_fragment>
+  uniform vec3 uColor;
+  uniform vec3 uHatchDir;
+  uniform float uSpacing;
+  uniform float uHatch;
+  varying vec3 vWorldPosition;
+  void main() {
+    #include <clipping_planes_fragment>
+    float stripe = fract(dot(vWorldPosition, uHatchDir) / uSpacing);
+    float line = uHatch * step(stripe, 0.18);
+    gl_FragColor = vec4(mix(uColor, uColor * 0.35, line), 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * SectionCaps — renders solid, optionally hatched fills where clipping
+ * planes cut closed geometry, so sections read as solids instead of
+ * hollow shells.
+ *
+ * The fills come from the fragments worker (model.getSection), grouped
+ * by IFC class or by material so each group gets its own colour.
+ * Updates are coalesced: while a rebuild is running, further calls only
+ * mark the caps dirty, which keeps them following a gizmo drag without
+ * queueing up worker requests.
+ *
+ * Usage:
+ *   const caps = new SectionCaps(components, scene);
+ *   caps.update(planes);          // after any plane change
+ *   caps.colorMode = 'material';  // 'ifcClass' | 'material'
+ */
+export class SectionCaps {
+  /** @type {'ifcClass' | 'material'} */
+  _colorMode = 'ifcClass';
+
+  /** @type {boolean} */
+  _hatch = true;
+
+  /** @type {boolean} */
+  _enabled = true;
+
+  /** @type {THREE.Plane[]} */
+  _planes = [];
+
+  /** modelId → [{ key, localIds }] for the current colour mode */
+  _groupCache = new Map();
+
+  _updating = false;
+  _dirty = false;
+
+  constructor(components, scene) {
+    this.components = components;
+    this.group = new THREE.Group();
+    this.group.name = 'SectionCaps';
+    this.group.userData.__clippingHelper = true;
+    scene.add(this.group);
+  }
+
+  /* ────── public API ────── */
+
+  get enabled() { return this._enabled; }
+  set enabled(val) {
+    this._enabled = val;
+    this.group.visible = val;
+    if (val) this.update(this._planes);
+  }
+
+  get colorMode() { return this._colorMode; }
+  set colorMode(mode) {
+    if (mode === this._colorMode) return;
+    this._colorMode = mode;
+    this._groupCache.clear();
+    this.update(this._planes);
+  }
+
+  get hatch() { return this._hatch; }
+  set hatch(val) {
+    this._hatch = val;
+    this.group.traverse((obj) => {
+      if (obj.isMesh) obj.material.uniforms.uHatch.value = val ? 1 : 0;
+    });
+  }
+
+  /**
+   * Rebuild the caps for the given planes. Safe to call on every
+   * gizmo 'change' event.
+   * @param {THREE.Plane[]} planes
+   */
+  update(planes) {
+    this._planes = planes;
+    if (!this._enabled) return;
+    if (this._updating) {
+      this._dirty = true;
+      return;
+    }
+    this._run();
+  }
+
+  /** Forget cached item groups (call after models are added or removed). */
+  invalidate() {
+    this._groupCache.clear();
+    this.update(this._planes);
+  }
+
+  dispose() {
+    this._clearGroup(this.group);
+    this.group.removeFromParent();
+    this._groupCache.clear();
+  }
+
+  /* ────── internal ────── */
+
+  async _run() {
+    this._updating = true;
+    try {
+      do {
+        this._dirty = false;
+        await this._rebuild([...this._planes]);
+      } while (this._dirty && this._enabled);
+    } catch (err) {
+      logger.warn('[CAPS] Failed to build section caps:', err);
+    } finally {
+      this._updating = false;
+    }
+  }
+
+  async _rebuild(planes) {
+    const fragments = this.components.get(OBC.FragmentsManager);
+    const next = new THREE.Group();
+
+    if (planes.length > 0) {
+      for (const [modelId, model] of fragments.list) {
+        const groups = await this._getGroups(modelId, model);
+        const toWorld = getModelToWorldMatrix(model);
+        const toModel = toWorld.clone().invert();
+
+        for (const plane of planes) {
+          const localPlane = plane.clone().applyMatrix4(toModel);
+          localPlane.constant -= CAP_OFFSET;
+          const hatchDir = this._getHatchDirection(plane.normal);
+
+          for (const { key, localIds } of groups) {
+            const { buffer, fillsIndices } = await model.getSection(localPlane, localIds);
+            if (!fillsIndices || fillsIndices.length === 0) continue;
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(buffer, 3));
+            geometry.setIndex(fillsIndices);
+
+            const mesh = new THREE.Mesh(geometry, this._createMaterial(key, hatchDir, planes));
+            mesh.userData.__clippingHelper = true;
+            mesh.userData.capKey = key;
+            mesh.frustumCulled = false;
+            mesh.applyMatrix4(toWorld);
+            next.add(mesh);
+          }
+        }
+      }
+    }
+
+    // Swap in one go so the caps never flicker while dragging
+    this._clearGroup(this.group);
+    for (const child of [...next.children]) this.group.add(child);
+  }
+
+  /**
+   * Split the model's geometry items into colour groups.
+   * @returns {Promise<{ key: string | null, localIds: number[] }[]>}
+   */
+  async _getGroups(modelId, model) {
+    const cached = this._groupCache.get(modelId);
+    if (cached) return cached;
+
+    let groups = [];
+    try {
+      if (this._colorMode === 'material') {
+        groups = await this._groupByMaterial(model);
+      } else {
+        const byClass = await groupItemsByClass(model);
+        groups = [...byClass].map(([key, localIds]) => ({ key, localIds }));
+      }
+    } catch (err) {
+      logger.warn('[CAPS] Grouping failed, using a single cap colour:', err);
+      groups = [{ key: null, localIds: undefined }];
+    }
+
+    this._groupCache.set(modelId, groups);
+    return groups;
+  }
+
+  async _groupByMaterial(model) {
+    const ids = await model.getItemsIdsWithGeometry();
+    const items = await model.getItemsData(ids, {
+      attributesDefault: false,
+      attributes: ['Name'],
+      relationsDefault: { attributes: false, relations: false },
+      relations: {
+        HasAssociations: { attributes: true, relations: true },
+      },
+    });
+
+    const byMaterial = new Map();
+    items.forEach((item, i) => {
+      const key = getItemMaterialName(item);
+      if (!byMaterial.has(key)) byMaterial.set(key, []);
+      byMaterial.get(key).push(ids[i]);
+    });
+    return [...byMaterial].map(([key, localIds]) => ({ key, localIds }));
+  }
+
+  /** 45° hatch direction lying in the plane */
+  _getHatchDirection(normal) {
+    const helper = Math.abs(normal.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    const tangent = new THREE.Vector3().crossVectors(normal, helper).normalize();
+    const bitangent = new THREE.Vector3().crossVectors(normal, tangent).normalize();
+    return tangent.add(bitangent).normalize();
+  }
+
+  _createMaterial(key, hatchDir, planes) {
+    return new THREE.ShaderMaterial({
+      vertexShader: capVertexShader,
+      fragmentShader: capFragmentShader,
+      uniforms: {
+        uColor: { value: key ? colorFromKey(key) : DEFAULT_CAP_COLOR.clone() },
+        uHatchDir: { value: hatchDir },
+        uSpacing: { value: HATCH_SPACING },
+        uHatch: { value: this._hatch ? 1 : 0 },
+      },
+      side: THREE.DoubleSide,
+      clipping: true,
+      clippingPlanes: planes,
+      // Win the depth test against faces lying on the section plane
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+    });
+  }
+
+  _clearGroup(group) {
+    for (const child of [...group.children]) {
+      group.remove(child);
+      child.geometry?.dispose();
+      child.material?.dispose();
+    }
+  }
+}
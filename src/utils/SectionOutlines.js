@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import * as OBC from '@thatopen/components';
+import { logger } from './logger';
+import { getModelToWorldMatrix, groupItemsByClass } from './fragmentUtils';
+
+/**
+ * Outlines are taken half as far inside the kept side as the caps
+ * (see SectionCaps), so they draw on top of the fills.
+ */
+const OUTLINE_OFFSET = 0.005;
+
+const OUTLINE_COLOR = 0x0f172a;
+
+/**
+ * Intersection polylines of all loaded fragments with one plane,
+ * grouped into one layer per IFC class.
+ * @param {OBC.Components} components
+ * @param {THREE.Plane} plane - world-space plane
+ * @param {Map<string, Map<string, number[]>>} [groupCache] - modelId → items by IFC class,
+ *   reused across calls while the loaded models don't change
+ * @returns {Promise<{ plane: THREE.Plane, layers: Map<string, Float32Array> }>}
+ *   each layer is a flat list of world-space segment endpoints (x1,y1,z1,x2,y2,z2,…)
+ */
+export async function extractSectionOutlines(components, plane, groupCache) {
+  const fragments = components.get(OBC.FragmentsManager);
+  const layers = new Map();
+
+  for (const [modelId, model] of fragments.list) {
+    let byClass = groupCache?.get(modelId);
+    if (!byClass) {
+      byClass = await groupItemsByClass(model);
+      groupCache?.set(modelId, byClass);
+    }
+    const toWorld = getModelToWorldMatrix(model);
+    const localPlane = plane.clone().applyMatrix4(toWorld.clone().invert());
+    localPlane.constant -= OUTLINE_OFFSET;
+
+    for (const [ifcClass, localIds] of byClass) {
+      const { buffer, index } = await model.getSection(localPlane, localIds);
+      if (!index) continue;
+
+      // `index` is the number of line vertices at the start of `buffer`
+      const points = new Float32Array(buffer.subarray(0, index * 3));
+      const v = new THREE.Vector3();
+      for (let i = 0; i < points.length; i += 3) {
+        v.fromArray(points, i).applyMatrix4(toWorld).toArray(points, i);
+      }
+
+      const previous = layers.get(ifcClass);
+      if (previous) {
+        const merged = new Float32Array(previous.length + points.length);
+        merged.set(previous);
+        merged.set(points, previous.length);
+        layers.set(ifcClass, merged);
+      } else {
+        layers.set(ifcClass, points);
+      }
+    }
+  }
+
+  return { plane: plane.clone(), layers };
+}
+
+/**
+ * SectionOutlines — draws crisp section lines for every active
+ * clipping plane. Updates are coalesced the same way as SectionCaps.
+ *
+ * Usage:
+ *   const outlines = new SectionOutlines(components, scene);
+ *   outlines.update(planes);
+ */
+export class SectionOutlines {
+  /** @type {boolean} */
+  _enabled = true;
+
+  /** @type {THREE.Plane[]} */
+  _planes = [];
+
+  /** modelId → items by IFC class, as for SectionCaps */
+  _groupCache = new Map();
+
+  _updating = false;
+  _dirty = false;
+
+  constructor(components, scene) {
+    this.components = components;
+    this.group = new THREE.Group();
+    this.group.name = 'SectionOutlines';
+    this.group.userData.__clippingHelper = true;
+    scene.add(this.group);
+  }
+
+  get enabled() { return this._enabled; }
+  set enabled(val) {
+    this._enabled = val;
+    this.group.visible = val;
+    if (val) this.update(this._planes);
+  }
+
+  /** @param {THREE.Plane[]} planes */
+  update(planes) {
+    this._planes = planes;
+    if (!this._enabled) return;
+    if (this._updating) {
+      this._dirty = true;
+      return;
+    }
+    this._run();
+  }
+
+  /** Forget cached item groups (call after models are added or removed). */
+  invalidate() {
+    this._groupCache.clear();
+    this.update(this._planes);
+  }
+
+  dispose() {
+    this._clear();
+    this.group.removeFromParent();
+    this._groupCache.clear();
+  }
+
+  async _run() {
+    this._updating = true;
+    try {
+      do {
+        this._dirty = false;
+        await this._rebuild([...this._planes]);
+      } while (this._dirty && this._enabled);
+    } catch (err) {
+      logger.warn('[OUTLINES] Failed to build section outlines:', err);
+    } finally {
+      this._updating = false;
+    }
+  }
+
+  async _rebuild(planes) {
+    const lines = [];
+    for (const plane of planes) {
+      const { layers } = await extractSectionOutlines(this.components, plane, this._groupCache);
+      for (const points of layers.values()) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+        const material = new THREE.LineBasicMaterial({
+          color: OUTLINE_COLOR,
+          clippingPlanes: planes,
+        });
+        const line = new THREE.LineSegments(geometry, material);
+        line.userData.__clippingHelper = true;
+        line.frustumCulled = false;
+        line.renderOrder = 998;
+        lines.push(line);
+      }
+    }
+
+    this._clear();
+    for (const line of lines) this.group.add(line);
+  }
+
+  _clear() {
+    for (const child of [...this.group.children]) {
+      this.group.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  }
+}
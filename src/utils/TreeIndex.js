@@ -0,0 +1,265 @@
+import { SPATIAL_TYPES } from './ifcTypes';
+
+/**
+ * TreeIndex — the spatial trees of all loaded models flattened into one
+ * pre-order list, so the tree panel can render only the rows on screen.
+ * Every entry's subtree is the index range [index, end): collapsing,
+ * visibility roll-ups and search are array scans, never recursive walks.
+ *
+ * Element names are not known up front; the panel asks for the missing
+ * names of the rows it shows (takeMissingNames) and stores what the viewer
+ * returns (setNames), which also updates the search index.
+ *
+ * Usage:
+ *   const index = new TreeIndex(models);     // [{ modelId, name, tree }]
+ *   const rows = index.visibleRows(i => expanded.has(i));
+ *   const matches = index.search('door');
+ *   const isHidden = index.hiddenRollup(hiddenKeys);
+ */
+export class TreeIndex {
+  /**
+   * @type {{ kind: 'model' | 'node', modelId: string, expressID: number | null, type: string | null,
+   *   name: string | null, depth: number, parent: number, end: number, element: boolean, nameRequested: boolean,
+   *   group: boolean, count: number | null, expanded: boolean | null }[]}
+   */
+  entries = [];
+
+  /** Lower-cased "name type" per entry; names are filled in as they load */
+  _searchText = [];
+
+  /** modelId → (expressID → entry indices); an item can appear in several groups */
+  _byId = new Map();
+
+  /** Names requested but not stored yet */
+  _pendingNames = 0;
+
+  /** Bumped whenever names are stored, invalidating the cached search */
+  _namesRevision = 0;
+
+  /** @type {{ query: string, revision: number, rows: number[] } | null} */
+  _searchCache = null;
+
+  /**
+   * @param {{ modelId: string, name: string, tree: object | object[] | null }[]} models - from
+   *   getSpatialStructure (one root per model) or getGroupedStructure (a list of group nodes)
+   */
+  constructor(models) {
+    for (const { modelId, name, tree } of models) {
+      const modelIndex = this._push({ kind: 'model', modelId, expressID: null, type: null, name, depth: -1, parent: -1 });
+      this._byId.set(modelId, new Map());
+      for (const node of Array.isArray(tree) ? tree : tree ? [tree] : []) {
+        this._addNode(node, modelId, 0, modelIndex);
+      }
+      this.entries[modelIndex].end = this.entries.length;
+    }
+  }
+
+  /** Number of tree nodes, not counting model headers */
+  get nodeCount() {
+    return this.entries.length - this._byId.size;
+  }
+
+  /** Whether an entry starts out expanded: spatial nodes and type folders, unless the node says otherwise */
+  isExpandedByDefault(index) {
+    const entry = this.entries[index];
+    if (entry.expanded != null) return entry.expanded;
+    return entry.kind === 'model' || SPATIAL_TYPES.has(entry.type) || entry.expressID == null;
+  }
+
+  hasChildren(index) {
+    return this.entries[index].end > index + 1;
+  }
+
+  /**
+   * Entry index of an item, or -1. An item listed more than once (grouped
+   * trees) resolves to its first row whose ancestors are all expanded, or
+   * to its first row when none is shown.
+   * @param {(index: number) => boolean} [isExpanded]
+   */
+  indexOf(modelId, expressID, isExpanded) {
+    const indices = this.indicesOf(modelId, expressID);
+    if (indices.length === 0) return -1;
+    if (isExpanded) {
+      const shown = indices.find(i => this.ancestorsOf(i).every(a => this.entries[a].kind === 'model' || isExpanded(a)));
+      if (shown !== undefined) return shown;
+    }
+    return indices[0];
+  }
+
+  /** Entry indices of every row of an item, in tree order */
+  indicesOf(modelId, expressID) {
+    return this._byId.get(modelId)?.get(expressID) ?? [];
+  }
+
+  /** Entry indices of the ancestors of an entry, nearest first (model header last) */
+  ancestorsOf(index) {
+    const ancestors = [];
+    for (let i = this.entries[index].parent; i !== -1; i = this.entries[i].parent) ancestors.push(i);
+    return ancestors;
+  }
+
+  /* ────── rows ────── */
+
+  /**
+   * Indices of the rows shown when nothing is searched: every entry whose
+   * ancestors are all expanded. Collapsed subtrees are skipped in one jump.
+   * @param {(index: number) => boolean} isExpanded
+   */
+  visibleRows(isExpanded) {
+    const rows = [];
+    let i = 0;
+    while (i < this.entries.length) {
+      rows.push(i);
+      i = this.entries[i].kind === 'model' || isExpanded(i) ? i + 1 : this.entries[i].end;
+    }
+    return rows;
+  }
+
+  /**
+   * Indices of entries whose name or IFC class contains `query`, together
+   * with their ancestors and model headers, in tree order. The result is
+   * cached (same array) until the query changes or more names arrive.
+   */
+  search(query) {
+    const cache = this._searchCache;
+    if (cache && cache.query === query && cache.revision === this._namesRevision) return cache.rows;
+    const q = query.toLowerCase();
+    const keep = new Uint8Array(this.entries.length);
+    for (let i = 0; i < this.entries.length; i++) {
+      if (this.entries[i].kind === 'model' || !this._searchText[i].includes(q)) continue;
+      for (let j = i; j !== -1 && !keep[j]; j = this.entries[j].parent) keep[j] = 1;
+    }
+    const rows = [];
+    for (let i = 0; i < keep.length; i++) {
+      if (keep[i]) rows.push(i);
+    }
+    this._searchCache = { query, revision: this._namesRevision, rows };
+    return rows;
+  }
+
+  /** expressIDs of an entry and all its descendants */
+  subtreeIDs(index) {
+    const ids = [];
+    for (let i = index; i < this.entries[index].end; i++) {
+      if (this.entries[i].expressID != null) ids.push(this.entries[i].expressID);
+    }
+    return ids;
+  }
+
+  /**
+   * Hidden state of every entry for a set of `${modelId}:${localId}` keys,
+   * in one pass. A node counts as hidden when all elements (non-spatial
+   * items) in its subtree are hidden, or — when it contains none — when it
+   * is hidden itself.
+   * @returns {(index: number) => boolean}
+   */
+  hiddenRollup(hiddenKeys) {
+    const n = this.entries.length;
+    // Prefix counts of elements and of hidden elements, so any subtree is end - start
+    const elements = new Uint32Array(n + 1);
+    const hiddenElements = new Uint32Array(n + 1);
+    const hiddenSelf = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      const entry = this.entries[i];
+      const hidden = entry.expressID != null && hiddenKeys.has(`${entry.modelId}:${entry.expressID}`);
+      hiddenSelf[i] = hidden ? 1 : 0;
+      elements[i + 1] = elements[i] + (entry.element ? 1 : 0);
+      hiddenElements[i + 1] = hiddenElements[i] + (entry.element && hidden ? 1 : 0);
+    }
+    return (index) => {
+      const end = this.entries[index].end;
+      const count = elements[end] - elements[index];
+      if (count === 0) return hiddenSelf[index] === 1;
+      return hiddenElements[end] - hiddenElements[index] === count;
+    };
+  }
+
+  /* ────── lazy names ────── */
+
+  /** Whether requested names are still being fetched */
+  get loadingNames() {
+    return this._pendingNames > 0;
+  }
+
+  /**
+   * expressIDs per model of the given entries whose names have not been
+   * requested yet; marks them, and the other rows of the same items, as requested.
+   * @param {Iterable<number>} indices
+   * @returns {Map<string, number[]>}
+   */
+  takeMissingNames(indices) {
+    const missing = new Map();
+    for (const i of indices) {
+      const entry = this.entries[i];
+      if (entry.kind !== 'node' || entry.expressID == null || entry.name != null || entry.nameRequested) continue;
+      for (const j of this.indicesOf(entry.modelId, entry.expressID)) {
+        this.entries[j].nameRequested = true;
+        this._pendingNames++;
+      }
+      if (!missing.has(entry.modelId)) missing.set(entry.modelId, []);
+      missing.get(entry.modelId).push(entry.expressID);
+    }
+    return missing;
+  }
+
+  /** Entries of every node whose name is still unknown */
+  unnamedEntries() {
+    const indices = [];
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.kind === 'node' && entry.expressID != null && entry.name == null && !entry.nameRequested) indices.push(i);
+    }
+    return indices;
+  }
+
+  /**
+   * Store fetched names; requested items without a name show their IFC class.
+   * @param {number[]} expressIDs - the requested items
+   * @param {Map<number, string>} names
+   */
+  setNames(modelId, expressIDs, names) {
+    const byId = this._byId.get(modelId);
+    if (!byId) return;
+    for (const id of expressIDs) {
+      for (const index of byId.get(id) ?? []) {
+        const entry = this.entries[index];
+        if (entry.nameRequested && entry.name == null) this._pendingNames--;
+        entry.name = names.get(id) ?? entry.type;
+        this._searchText[index] = `${entry.name} ${entry.type}`.toLowerCase();
+      }
+    }
+    this._namesRevision++;
+  }
+
+  /* ────── internals ────── */
+
+  _push(entry) {
+    const index = this.entries.length;
+    this.entries.push({ end: index + 1, element: false, nameRequested: false, group: false, count: null, expanded: null, ...entry });
+    this._searchText.push(`${entry.name ?? ''} ${entry.type ?? ''}`.toLowerCase());
+    return index;
+  }
+
+  _addNode(node, modelId, depth, parent) {
+    const index = this._push({
+      kind: 'node',
+      modelId,
+      expressID: node.expressID ?? null,
+      type: node.type,
+      name: node.name ?? null,
+      depth,
+      parent,
+      element: node.element ?? (node.expressID != null && !SPATIAL_TYPES.has(node.type)),
+      group: Boolean(node.group),
+      count: node.count ?? null,
+      expanded: node.expanded ?? null,
+    });
+    if (node.expressID != null) {
+      const byId = this._byId.get(modelId);
+      if (byId.has(node.expressID)) byId.get(node.expressID).push(index);
+      else byId.set(node.expressID, [index]);
+    }
+    for (const child of node.children ?? []) this._addNode(child, modelId, depth + 1, index);
+    this.entries[index].end = this.entries.length;
+  }
+}
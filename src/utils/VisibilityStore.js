@@ -0,0 +1,190 @@
+import { logger } from './logger';
+
+/**
+ * VisibilityStore — the one record of which elements are hidden, keyed by
+ * model id + local id so two models that share express IDs never clash.
+ * Every visibility change in the viewer (tree eye icons, hide selection,
+ * isolate, filters, plan views, show all) goes through it and is applied
+ * with model.setVisible, so the tree, viewport and toolbar always agree.
+ *
+ * Usage:
+ *   const store = new VisibilityStore(fragments);
+ *   await store.hide({ [modelId]: new Set([12, 34]) });
+ *   store.isHidden(modelId, 12);          // true
+ *   const off = store.onChange(keys => …); // keys: Set of "modelId:localId"
+ *   const before = store.getHiddenMap();
+ *   await store.isolate(selection);
+ *   await store.restore(before);          // exactly the previous state
+ */
+export class VisibilityStore {
+  /** Hidden local ids per model @type {Map<string, Set<number>>} */
+  _hidden = new Map();
+
+  /** `${modelId}:${localId}` of every hidden item, replaced (not mutated) on each change */
+  _keys = new Set();
+
+  /** Listeners notified with the new key set after every change */
+  _changeListeners = new Set();
+
+  /**
+   * @param {import('@thatopen/components').FragmentsManager} fragments
+   */
+  constructor(fragments) {
+    this._fragments = fragments;
+  }
+
+  /* ────── reading ────── */
+
+  /** Set of `${modelId}:${localId}` keys of hidden items; a new Set after every change */
+  get hiddenKeys() {
+    return this._keys;
+  }
+
+  get hiddenCount() {
+    return this._keys.size;
+  }
+
+  /** Number of hidden items of one model */
+  hiddenCountIn(modelId) {
+    return this._hidden.get(modelId)?.size ?? 0;
+  }
+
+  isHidden(modelId, localId) {
+    return this._hidden.get(modelId)?.has(localId) ?? false;
+  }
+
+  /** Copy of the hidden items as a ModelIdMap, e.g. to restore later */
+  getHiddenMap() {
+    const map = {};
+    for (const [modelId, ids] of this._hidden) {
+      if (ids.size > 0) map[modelId] = new Set(ids);
+    }
+    return map;
+  }
+
+  /**
+   * Subscribe to visibility changes.
+   * @param {(hiddenKeys: Set<string>) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  /* ────── changing ────── */
+
+  /** Show or hide the items of a ModelIdMap; other items keep their state */
+  async setVisible(modelIdMap, visible) {
+    const changed = await this._apply(modelIdMap, visible);
+    if (!changed) return;
+    await this._fragments.core.update(true);
+    this._notifyChange();
+  }
+
+  hide(modelIdMap) {
+    return this.setVisible(modelIdMap, false);
+  }
+
+  show(modelIdMap) {
+    return this.setVisible(modelIdMap, true);
+  }
+
+  /** Hide everything except the items of a ModelIdMap, across all models */
+  async isolate(modelIdMap) {
+    for (const [modelId, model] of this._fragments.list) {
+      const keep = modelIdMap[modelId] ?? new Set();
+      const hidden = (await model.getItemsIdsWithGeometry()).filter(id => !keep.has(id));
+      await model.setVisible(undefined, false);
+      if (keep.size > 0) await model.setVisible([...keep], true);
+      this._hidden.set(modelId, new Set(hidden));
+    }
+    await this._fragments.core.update(true);
+    this._notifyChange();
+    logger.info('[VISIBILITY] Isolated; hidden:', this.hiddenCount);
+  }
+
+  /** Hide everything except the items of a ModelIdMap, leaving hidden items of the map hidden */
+  async hideOthers(modelIdMap) {
+    const others = {};
+    for (const [modelId, model] of this._fragments.list) {
+      const keep = modelIdMap[modelId] ?? new Set();
+      const ids = (await model.getItemsIdsWithGeometry()).filter(id => !keep.has(id) && !this.isHidden(modelId, id));
+      if (ids.length > 0) others[modelId] = new Set(ids);
+    }
+    await this.hide(others);
+  }
+
+  async showAll() {
+    await this._showAllModels();
+    await this._fragments.core.update(true);
+    this._notifyChange();
+  }
+
+  /** Make exactly the items of `hiddenMap` hidden (from getHiddenMap) and everything else visible */
+  async restore(hiddenMap) {
+    await this._showAllModels();
+    await this._apply(hiddenMap, false);
+    await this._fragments.core.update(true);
+    this._notifyChange();
+  }
+
+  /** Forget the state of one model (it is being unloaded) */
+  removeModel(modelId) {
+    if (!this._hidden.delete(modelId)) return;
+    this._notifyChange();
+  }
+
+  /** Forget all state (all models are being unloaded) */
+  clear() {
+    this._hidden.clear();
+    this._notifyChange();
+  }
+
+  /* ────── internals ────── */
+
+  /** Record and apply a change without updating or notifying; returns whether any model changed */
+  async _apply(modelIdMap, visible) {
+    let changed = false;
+    for (const [modelId, ids] of Object.entries(modelIdMap)) {
+      const model = this._fragments.list.get(modelId);
+      const localIds = [...ids].filter(id => id != null);
+      if (!model || localIds.length === 0) continue;
+      try {
+        await model.setVisible(localIds, visible);
+      } catch (err) {
+        logger.warn('[VISIBILITY] setVisible failed for model', modelId, err);
+        continue;
+      }
+      let hidden = this._hidden.get(modelId);
+      if (!hidden) {
+        hidden = new Set();
+        this._hidden.set(modelId, hidden);
+      }
+      for (const id of localIds) {
+        if (visible) hidden.delete(id);
+        else hidden.add(id);
+      }
+      changed = true;
+    }
+    return changed;
+  }
+
+  async _showAllModels() {
+    for (const [, model] of this._fragments.list) {
+      await model.setVisible(undefined, true);
+    }
+    this._hidden.clear();
+  }
+
+  _notifyChange() {
+    const keys = new Set();
+    for (const [modelId, ids] of this._hidden) {
+      for (const id of ids) keys.add(`${modelId}:${id}`);
+    }
+    this._keys = keys;
+    for (const listener of this._changeListeners) {
+      try { listener(keys); } catch (err) { logger.warn('[VISIBILITY] Change listener failed:', err); }
+    }
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Clash detection worker — the geometric part of ClashDetector, off the
+ * main thread so the viewport stays responsive on large models.
+ *
+ * In:  { elements: [{ positions: Float32Array, indices: Uint32Array }],   world space
+ *        a: number[], b: number[],                                         indices into elements
+ *        tolerance, clearance, clusterRadius }                             metres
+ * Out: { type: 'progress', done, total }                                   pairs tested
+ *      { type: 'result', clashes, clusters }
+ *      { type: 'error', message }
+ *
+ * Clashes are { a, b, type: 'hard' | 'clearance', distance, point, cluster }:
+ * `a` / `b` are element indices from set A / B, `distance` is the gap of a
+ * clearance clash or minus the penetration depth of a hard clash.
+ */
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+
+/** Pairs tested between progress messages */
+const PROGRESS_STEP = 200;
+
+/** Ray direction of the inside test; skewed so it rarely runs along an edge */
+const INSIDE_RAY_DIRECTION = new THREE.Vector3(0.5772, 0.5781, 0.5767).normalize();
+
+const IDENTITY = new THREE.Matrix4();
+
+self.onmessage = (e) => {
+  try {
+    self.postMessage({ type: 'result', ...detect(e.data) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
+
+function detect({ elements, a, b, tolerance = 0, clearance = 0, clusterRadius = 0 }) {
+  const geometries = elements.map(({ positions, indices }) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingBox();
+    return geometry;
+  });
+
+  // BVHs are built on first use: most elements never get past the broad phase
+  const bvhOf = (i) => {
+    const geometry = geometries[i];
+    geometry.boundsTree ??= new MeshBVH(geometry);
+    return geometry.boundsTree;
+  };
+
+  const pairs = candidatePairs(geometries.map(g => g.boundingBox), a, b, Math.max(clearance, 0));
+  const clashes = [];
+  for (let p = 0; p < pairs.length; p++) {
+    const [ia, ib] = pairs[p];
+    const clash = testPair(ia, ib, geometries, bvhOf, tolerance, clearance);
+    if (clash) clashes.push(clash);
+    if ((p + 1) % PROGRESS_STEP === 0) self.postMessage({ type: 'progress', done: p + 1, total: pairs.length });
+  }
+  self.postMessage({ type: 'progress', done: pairs.length, total: pairs.length });
+
+  return { clashes, clusters: clusterClashes(clashes, clusterRadius) };
+}
+
+/* ────── broad phase ────── */
+
+/**
+ * Pairs [a, b] whose bounding boxes, grown by `margin`, overlap: a sweep
+ * along X keeping the boxes of each set that still reach the sweep line.
+ * An element in both sets is never paired with itself, and each unordered
+ * pair is reported once.
+ */
+function candidatePairs(boxes, a, b, margin) {
+  const inA = new Set(a);
+  const inB = new Set(b);
+  const order = [...new Set([...a, ...b])].sort((i, j) => boxes[i].min.x - boxes[j].min.x);
+  const activeA = [];
+  const activeB = [];
+  const seen = new Set();
+  const pairs = [];
+
+  const prune = (active, x) => {
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (boxes[active[k]].max.x + margin < x) {
+        active[k] = active[active.length - 1];
+        active.pop();
+      }
+    }
+  };
+  const overlapsYZ = (p, q) => (
+    p.min.y - margin <= q.max.y && q.min.y - margin <= p.max.y
+    && p.min.z - margin <= q.max.z && q.min.z - margin <= p.max.z
+  );
+  const add = (ia, ib) => {
+    if (ia === ib) return;
+    const key = ia < ib ? `${ia}:${ib}` : `${ib}:${ia}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    pairs.push([ia, ib]);
+  };
+
+  for (const i of order) {
+    const box = boxes[i];
+    prune(activeA, box.min.x);
+    prune(activeB, box.min.x);
+    if (inA.has(i)) for (const j of activeB) if (overlapsYZ(box, boxes[j])) add(i, j);
+    if (inB.has(i)) for (const j of activeA) if (overlapsYZ(box, boxes[j])) add(j, i);
+    if (inA.has(i)) activeA.push(i);
+    if (inB.has(i)) activeB.push(i);
+  }
+  return pairs;
+}
+
+/* ────── narrow phase ────── */
+
+/**
+ * Hard clash when the meshes intersect (or one is inside the other) deeper
+ * than `tolerance`, otherwise a clearance clash when they are closer than
+ * `clearance`. The penetration depth is approximated by the thinnest side
+ * of the overlap of the two bounding boxes, which is exact for the common
+ * case of axis-aligned members and keeps elements that merely touch
+ * (a beam resting on a column) out of the hard clashes.
+ */
+function testPair(ia, ib, geometries, bvhOf, tolerance, clearance) {
+  const boxA = geometries[ia].boundingBox;
+  const boxB = geometries[ib].boundingBox;
+  const bvhA = bvhOf(ia);
+  const geometryB = geometries[ib];
+  bvhOf(ib);
+
+  const overlap = boxA.clone().intersect(boxB);
+  const size = overlap.isEmpty() ? null : overlap.getSize(new THREE.Vector3());
+  const depth = size ? Math.min(size.x, size.y, size.z) : 0;
+
+  if (size && depth > tolerance) {
+    if (bvhA.intersectsGeometry(geometryB, IDENTITY)) {
+      const hit = bvhA.closestPointToGeometry(geometryB, IDENTITY, {}, {}, 1e-6);
+      const point = hit ? hit.point : overlap.getCenter(new THREE.Vector3());
+      return { a: ia, b: ib, type: 'hard', distance: -depth, point: point.toArray() };
+    }
+    if (isInside(geometries[ib], bvhA) || isInside(geometries[ia], bvhOf(ib))) {
+      return { a: ia, b: ib, type: 'hard', distance: -depth, point: overlap.getCenter(new THREE.Vector3()).toArray() };
+    }
+  }
+
+  if (clearance > 0) {
+    const target = {};
+    const hit = bvhA.closestPointToGeometry(geometryB, IDENTITY, {}, target, 0, clearance);
+    if (hit && hit.distance < clearance) {
+      const point = hit.point.clone().add(target.point).multiplyScalar(0.5);
+      return { a: ia, b: ib, type: 'clearance', distance: hit.distance, point: point.toArray() };
+    }
+  }
+  return null;
+}
+
+/** Whether a mesh lies inside the closed mesh of `bvh`: odd number of crossings from one of its vertices */
+function isInside(geometry, bvh) {
+  if (!bvh.geometry.boundingBox.containsBox(geometry.boundingBox)) return false;
+  const origin = new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, 0);
+  const hits = bvh.raycast(new THREE.Ray(origin, INSIDE_RAY_DIRECTION), THREE.DoubleSide);
+  return hits.length % 2 === 1;
+}
+
+/* ────── clustering ────── */
+
+/**
+ * Group clashes whose points are within `radius` of each other (chained,
+ * so a pipe crossing a row of beams becomes one cluster). Sets
+ * `clash.cluster` and returns the clusters, largest first:
+ * [{ clashes: number[], center: [x, y, z] }].
+ */
+function clusterClashes(clashes, radius) {
+  const parent = clashes.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+
+  if (radius > 0) {
+    const cellOf = (p) => p.map(v => Math.floor(v / radius));
+    const cells = new Map();
+    clashes.forEach((clash, i) => {
+      const key = cellOf(clash.point).join(',');
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    clashes.forEach((clash, i) => {
+      const [cx, cy, cz] = cellOf(clash.point);
+      p.fromArray(clash.point);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            for (const j of cells.get(`${cx + dx},${cy + dy},${cz + dz}`) ?? []) {
+              if (j <= i || p.distanceTo(q.fromArray(clashes[j].point)) > radius) continue;
+              parent[find(j)] = find(i);
+            }
+          }
+        }
+      }
+    });
+  }
+
+  const byRoot = new Map();
+  clashes.forEach((_, i) => {
+    const root = find(i);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(i);
+  });
+
+  const clusters = [...byRoot.values()]
+    .sort((x, y) => y.length - x.length)
+    .map(members => {
+      const center = [0, 0, 0];
+      for (const i of members) clashes[i].point.forEach((v, k) => { center[k] += v / members.length; });
+      return { clashes: members, center };
+    });
+  clusters.forEach((cluster, c) => {
+    for (const i of cluster.clashes) clashes[i].cluster = c;
+  });
+  return clusters;
+}
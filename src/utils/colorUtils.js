@@ -0,0 +1,17 @@
+import * as THREE from 'three';
+
+/**
+ * Stable, well-spread colour for an arbitrary key (IFC class, material
+ * name, …). The same key always maps to the same colour across sessions.
+ * @param {string} key
+ * @returns {THREE.Color}
+ */
+export function colorFromKey(key) {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  // Golden-ratio hue stepping keeps neighbouring hashes visually apart
+  const hue = ((hash >>> 0) * 0.618033988749895) % 1;
+  return new THREE.Color().setHSL(hue, 0.55, 0.55);
+}
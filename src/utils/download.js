@@ -0,0 +1,27 @@
+/**
+ * Save text or binary data as a file through a temporary object URL.
+ * @param {string} fileName
+ * @param {BlobPart | Blob} data
+ * @param {string} [mimeType]
+ */
+export const downloadFile = (fileName, data, mimeType = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/** File-system safe version of an arbitrary label */
+export const toFileName = (label) => label.replace(/[^a-z0-9_\-.]+/gi, '_').replace(/^_+|_+$/g, '') || 'export';
+
+/** Rows of cells → CSV text (every cell quoted, CRLF line ends) */
+export const toCSV = (rows) => {
+  const quote = (s) => `"${String(s ?? '').replace(/"/g, '""')}"`;
+  return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+};
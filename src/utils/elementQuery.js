@@ -0,0 +1,340 @@
+/**
+ * Element filter queries.
+ *
+ *   IfcWall where Pset_WallCommon.IsExternal = true and FireRating contains 'EI'
+ *   IfcSlab, IfcBeam where Qto_SlabBaseQuantities.NetVolume between 2 and 10
+ *   IfcDoor* where not Pset_DoorCommon.FireRating exists
+ *   Storey = 'Level 1' or (Material contains concrete and LoadBearing = true)
+ *
+ * A query is an optional list of IFC classes (`,` or `or` separated, a
+ * trailing `*` matches every class whose name starts with it, so IfcDoor*
+ * also matches IfcDoorStandardCase — a name prefix, not the schema's
+ * subclasses), followed by `where` and a condition. A bare condition
+ * searches every element.
+ *
+ * Fields are `Pset.Property`, a bare `Property` (any set, or a direct
+ * attribute such as Name or Tag), or Class / Storey / Material. Names with
+ * spaces go in backticks: `Identity Data`.Mark. Operators:
+ *   = != > >= < <=   contains  startswith  endswith  between … and …  exists
+ * combined with and / or / not and parentheses. Text comparisons ignore case;
+ * numbers are compared in the model's own units.
+ */
+import { collectElementRecords, getRecordValues } from './elementRecords';
+import { logger } from './logger';
+
+const KEYWORDS = new Set(['where', 'and', 'or', 'not', 'contains', 'startswith', 'endswith', 'between', 'exists', 'true', 'false']);
+const COMPARISON_OPS = new Set(['=', '==', '!=', '<>', '>', '>=', '<', '<=']);
+const TEXT_OPS = new Set(['contains', 'startswith', 'endswith']);
+
+/* ────── tokenizer ────── */
+
+/**
+ * @returns {{ type: 'ident' | 'string' | 'number' | 'op' | 'keyword' | 'punct' | 'end', value: any, path?: string[], pos: number }[]}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  const fail = (message) => { throw new Error(`${message} at position ${i + 1}`); };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const pos = i;
+
+    if (ch === '"' || ch === "'") {
+      const end = text.indexOf(ch, i + 1);
+      if (end === -1) fail('Unterminated string');
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), pos });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?(e[+-]?\d+)?/i.exec(text.slice(i));
+    if (number && (ch !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type !== 'ident')) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      i += number[0].length;
+      continue;
+    }
+
+    const op = /^(>=|<=|!=|<>|==|=|>|<)/.exec(text.slice(i));
+    if (op) {
+      tokens.push({ type: 'op', value: op[0], pos });
+      i += op[0].length;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: 'punct', value: ch, pos });
+      i++;
+      continue;
+    }
+
+    // Identifier path: segments separated by dots, plain or `back-quoted`
+    if (/[A-Za-z_`]/.test(ch)) {
+      const path = [];
+      for (;;) {
+        if (text[i] === '`') {
+          const end = text.indexOf('`', i + 1);
+          if (end === -1) fail('Unterminated `name`');
+          path.push(text.slice(i + 1, end));
+          i = end + 1;
+        } else {
+          const word = /^[A-Za-z_][\w-]*\*?/.exec(text.slice(i));
+          if (!word) fail('Expected a name');
+          path.push(word[0]);
+          i += word[0].length;
+        }
+        if (text[i] !== '.') break;
+        i++;
+      }
+      const lower = path.length === 1 && !text.slice(pos, i).startsWith('`') ? path[0].toLowerCase() : null;
+      if (lower && KEYWORDS.has(lower)) {
+        tokens.push({ type: 'keyword', value: lower, pos });
+      } else {
+        tokens.push({ type: 'ident', value: path.join('.'), path, pos });
+      }
+      continue;
+    }
+
+    fail(`Unexpected "${ch}"`);
+  }
+  tokens.push({ type: 'end', value: null, pos: text.length });
+  return tokens;
+}
+
+/* ────── parser ────── */
+
+/**
+ * Parse a query string.
+ * @returns {{ classes: { name: string, prefix: boolean }[] | null, condition: object | null }}
+ * @throws {Error} with the position of the first syntax error
+ */
+export function parseQuery(text) {
+  const tokens = tokenize(text ?? '');
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (kw) => peek().type === 'keyword' && peek().value === kw;
+  const fail = (message, token = peek()) => {
+    throw new Error(`${message} at position ${token.pos + 1}`);
+  };
+  const describe = (token) => (token.type === 'end' ? 'end of query' : `"${token.value}"`);
+
+  // ── Class list: IfcWall, IfcSlab or IfcBeam* ──
+  const isClassToken = (token) => token.type === 'ident' && token.path.length === 1 && /^ifc/i.test(token.value);
+  const startsClassList = () => {
+    if (!isClassToken(peek())) return false;
+    const after = tokens[index + 1];
+    return after.type === 'end' || (after.type === 'punct' && after.value === ',')
+      || (after.type === 'keyword' && (after.value === 'where' || after.value === 'or'));
+  };
+
+  let classes = null;
+  if (startsClassList()) {
+    classes = [];
+    for (;;) {
+      const token = next();
+      if (!isClassToken(token)) fail('Expected an IFC class name', token);
+      classes.push({ name: token.value.replace(/\*$/, ''), prefix: token.value.endsWith('*') });
+      const sep = peek();
+      if ((sep.type === 'punct' && sep.value === ',') || (sep.type === 'keyword' && sep.value === 'or')) {
+        next();
+        continue;
+      }
+      break;
+    }
+  }
+
+  // ── Condition ──
+  let condition = null;
+  if (isKeyword('where')) {
+    next();
+    condition = parseOr();
+  } else if (classes === null && peek().type !== 'end') {
+    condition = parseOr();
+  }
+  if (peek().type !== 'end') fail(`Unexpected ${describe(peek())}`);
+  if (!classes && !condition) throw new Error('The query is empty');
+  return { classes, condition };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword('or')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword('and')) {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    if (peek().type === 'punct' && peek().value === '(') {
+      next();
+      const inner = parseOr();
+      if (!(peek().type === 'punct' && peek().value === ')')) fail(`Expected ")" but found ${describe(peek())}`);
+      next();
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  function parseValue() {
+    const token = next();
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'keyword' && (token.value === 'true' || token.value === 'false')) return token.value === 'true';
+    if (token.type === 'ident') return token.value;   // unquoted single word
+    return fail(`Expected a value but found ${describe(token)}`, token);
+  }
+
+  function parseNumber() {
+    const token = next();
+    if (token.type !== 'number') fail(`Expected a number but found ${describe(token)}`, token);
+    return token.value;
+  }
+
+  function parseComparison() {
+    const field = next();
+    if (field.type !== 'ident') fail(`Expected a property name but found ${describe(field)}`, field);
+    const token = peek();
+
+    if (token.type === 'op') {
+      next();
+      const op = token.value === '==' ? '=' : token.value === '<>' ? '!=' : token.value;
+      return { type: 'compare', path: field.path, op, value: parseValue() };
+    }
+    if (token.type === 'keyword' && TEXT_OPS.has(token.value)) {
+      next();
+      return { type: 'compare', path: field.path, op: token.value, value: String(parseValue()) };
+    }
+    if (token.type === 'keyword' && token.value === 'between') {
+      next();
+      const min = parseNumber();
+      if (!isKeyword('and')) fail(`Expected "and" but found ${describe(peek())}`);
+      next();
+      const max = parseNumber();
+      return { type: 'between', path: field.path, min: Math.min(min, max), max: Math.max(min, max) };
+    }
+    if (token.type === 'keyword' && token.value === 'exists') {
+      next();
+      return { type: 'exists', path: field.path };
+    }
+    return fail(`Expected an operator after "${field.value}" but found ${describe(token)}`, token);
+  }
+}
+
+/* ────── evaluation ────── */
+
+const toNumber = (v) => (typeof v === 'number' ? v : typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN);
+
+function toBoolean(v) {
+  if (typeof v === 'boolean') return v;
+  const text = String(v).toLowerCase();
+  if (['true', 't', 'yes'].includes(text)) return true;
+  if (['false', 'f', 'no'].includes(text)) return false;
+  return null;
+}
+
+function compareValue(actual, op, expected) {
+  if (TEXT_OPS.has(op)) {
+    const a = String(actual).toLowerCase();
+    const e = expected.toLowerCase();
+    return op === 'contains' ? a.includes(e) : op === 'startswith' ? a.startsWith(e) : a.endsWith(e);
+  }
+
+  if (op === '=' || op === '!=') {
+    let equal;
+    if (typeof expected === 'boolean' || typeof actual === 'boolean') {
+      equal = toBoolean(actual) === toBoolean(expected);
+    } else if (!isNaN(toNumber(actual)) && !isNaN(toNumber(expected))) {
+      const a = toNumber(actual);
+      const e = toNumber(expected);
+      equal = Math.abs(a - e) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(e));
+    } else {
+      equal = String(actual).toLowerCase() === String(expected).toLowerCase();
+    }
+    return op === '=' ? equal : !equal;
+  }
+
+  const a = toNumber(actual);
+  const e = toNumber(expected);
+  if (isNaN(a) || isNaN(e)) return false;
+  switch (op) {
+    case '>': return a > e;
+    case '>=': return a >= e;
+    case '<': return a < e;
+    case '<=': return a <= e;
+    default: return false;
+  }
+}
+
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'and': return evaluate(node.left, record) && evaluate(node.right, record);
+    case 'or': return evaluate(node.left, record) || evaluate(node.right, record);
+    case 'not': return !evaluate(node.operand, record);
+    case 'exists': return getRecordValues(record, node.path).length > 0;
+    case 'between': return getRecordValues(record, node.path).some(v => {
+      const n = toNumber(v);
+      return !isNaN(n) && n >= node.min && n <= node.max;
+    });
+    case 'compare': {
+      const values = getRecordValues(record, node.path);
+      // "!=" holds when no value equals the expected one (including when the property is missing)
+      if (node.op === '!=') return values.every(v => compareValue(v, '!=', node.value));
+      return values.some(v => compareValue(v, node.op, node.value));
+    }
+    default: return false;
+  }
+}
+
+/** Whether an IFC class passes the query's class list */
+export function matchesQueryClass(query, ifcClass) {
+  if (!query.classes) return true;
+  const name = ifcClass.toLowerCase();
+  return query.classes.some(c => {
+    const wanted = c.name.toLowerCase();
+    return c.prefix ? name.startsWith(wanted) : name === wanted;
+  });
+}
+
+export function matchesQuery(query, record) {
+  if (!matchesQueryClass(query, record.ifcClass)) return false;
+  return query.condition ? evaluate(query.condition, record) : true;
+}
+
+/**
+ * Run a query over all loaded models.
+ * @param {import('@thatopen/components').FragmentsManager} fragments
+ * @param {string | ReturnType<typeof parseQuery>} query
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{ modelIdMap: Record<string, Set<number>>, count: number }>}
+ */
+export async function runQuery(fragments, query, onProgress) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const records = await collectElementRecords(fragments, {
+    classFilter: (ifcClass) => matchesQueryClass(parsed, ifcClass),
+    onProgress,
+  });
+
+  const modelIdMap = {};
+  let count = 0;
+  for (const record of records) {
+    if (!matchesQuery(parsed, record)) continue;
+    (modelIdMap[record.modelId] ??= new Set()).add(record.localId);
+    count++;
+  }
+  logger.info('[QUERY] Matched', count, 'of', records.length, 'elements');
+  return { modelIdMap, count };
+}
@@ -0,0 +1,216 @@
+/**
+ * Flat, queryable records of model elements: IFC class, storey, material,
+ * direct attributes and the values of every property and quantity set,
+ * including sets inherited from the element's type.
+ *
+ * Values keep the model's own units (as shown in the property panel);
+ * booleans become true / false and numeric measures become numbers.
+ */
+import { extractScalar, getItemMaterialName, asArray, valueList, relatedObjects } from './ifcProperties';
+import { groupItemsByClass } from './fragmentUtils';
+import { getStoreyNames } from './spatialUtils';
+import { logger } from './logger';
+
+/** Items fetched per getItemsData call */
+const BATCH_SIZE = 500;
+
+/** Attribute keys that are relations or internal bookkeeping, not values */
+const SKIP_ATTRIBUTES = new Set(['IsDefinedBy', 'HasAssociations', 'IsTypedBy', 'localId', 'expressID', 'handle', 'type']);
+
+/** IfcPhysicalSimpleQuantity value attributes */
+const QUANTITY_KEYS = ['LengthValue', 'AreaValue', 'VolumeValue', 'CountValue', 'WeightValue', 'TimeValue'];
+
+/**
+ * A property value as boolean, number or string (enumeration dots stripped),
+ * or null when empty or unknown.
+ */
+export function normalizeValue(v) {
+  const inner = v && typeof v === 'object' && 'value' in v ? v.value : v;
+  if (typeof inner === 'boolean' || typeof inner === 'number') return inner;
+  const raw = extractScalar(v);
+  if (raw === null) return null;
+  const text = raw.replace(/^\.(.*)\.$/, '$1');
+  const type = typeof v?.type === 'string' ? v.type.toUpperCase() : '';
+  if (type === 'IFCBOOLEAN' || type === 'IFCLOGICAL' || /^(true|false)$/i.test(text)) {
+    if (/^(T|true)$/i.test(text)) return true;
+    if (/^(F|false)$/i.test(text)) return false;
+    if (text === 'U') return null;
+  }
+  if (/(MEASURE|INTEGER|REAL|COUNT)$/.test(type) && text.trim() !== '' && !isNaN(Number(text))) {
+    return Number(text);
+  }
+  return text;
+}
+
+/** Value(s) of one IfcProperty or IfcPhysicalQuantity, or null */
+function propertyValue(p) {
+  if (p.NominalValue !== undefined) return normalizeValue(p.NominalValue);
+  if (p.EnumerationValues != null) return valueList(p.EnumerationValues).map(normalizeValue).filter(v => v !== null);
+  if (p.ListValues != null) return valueList(p.ListValues).map(normalizeValue).filter(v => v !== null);
+  const quantityKey = QUANTITY_KEYS.find(k => p[k] != null);
+  if (quantityKey) {
+    const value = normalizeValue(p[quantityKey]);
+    return typeof value === 'string' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+  return null;
+}
+
+/** Add the properties / quantities of one set definition to `psets` */
+function addPropertySet(psets, def) {
+  if (!def || typeof def !== 'object') return;
+  const name = extractScalar(def.Name);
+  if (!name) return;
+  const members = [...asArray(def.HasProperties), ...asArray(def.Quantities)];
+  if (members.length === 0) return;
+  const set = psets[name] ?? (psets[name] = {});
+  for (const p of members) {
+    const propName = p && typeof p === 'object' ? extractScalar(p.Name) : null;
+    if (!propName) continue;
+    const value = propertyValue(p);
+    if (value !== null && !(Array.isArray(value) && value.length === 0)) set[propName] = value;
+  }
+}
+
+/** Property and quantity sets of an item: type sets first, so occurrence values win */
+function collectPropertySets(item) {
+  const psets = {};
+  for (const type of relatedObjects(item, 'IsTypedBy', 'RelatingType')) {
+    for (const def of asArray(type?.HasPropertySets)) addPropertySet(psets, def);
+  }
+  for (const def of relatedObjects(item, 'IsDefinedBy', 'RelatingPropertyDefinition')) addPropertySet(psets, def);
+  return psets;
+}
+
+function collectAttributes(item) {
+  const attributes = {};
+  for (const [key, value] of Object.entries(item ?? {})) {
+    if (SKIP_ATTRIBUTES.has(key)) continue;
+    const normalized = normalizeValue(value);
+    if (normalized !== null) attributes[key] = normalized;
+  }
+  return attributes;
+}
+
+/**
+ * One record per element with geometry, across all loaded models.
+ * @param {import('@thatopen/components').FragmentsManager} fragments
+ * @param {object} [options]
+ * @param {(ifcClass: string) => boolean} [options.classFilter] - only fetch these IFC classes
+ * @param {string[]} [options.modelIds] - only these models (default: all)
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{ modelId: string, localId: number, ifcClass: string, storey: string | null,
+ *   material: string | null, attributes: Record<string, any>, psets: Record<string, Record<string, any>> }[]>}
+ */
+export async function collectElementRecords(fragments, { classFilter = null, modelIds = null, onProgress } = {}) {
+  const models = [...fragments.list].filter(([modelId]) => !modelIds || modelIds.includes(modelId));
+  const classesByModel = [];
+  let total = 0;
+  for (const [, model] of models) {
+    const withGeometry = new Set(await model.getItemsIdsWithGeometry());
+    const byClass = new Map();
+    for (const [ifcClass, ids] of await groupItemsByClass(model)) {
+      if (classFilter && !classFilter(ifcClass)) continue;
+      const elements = ids.filter(id => withGeometry.has(id));
+      if (elements.length > 0) byClass.set(ifcClass, elements);
+      total += elements.length;
+    }
+    classesByModel.push(byClass);
+  }
+
+  const records = [];
+  let done = 0;
+  for (let m = 0; m < models.length; m++) {
+    const [modelId, model] = models[m];
+    if (classesByModel[m].size === 0) continue;
+    const storeyNames = await getStoreyNames(model);
+
+    for (const [ifcClass, ids] of classesByModel[m]) {
+      for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+        const batch = ids.slice(start, start + BATCH_SIZE);
+        let items = [];
+        try {
+          items = await model.getItemsData(batch, {
+            attributesDefault: true,
+            relationsDefault: { attributes: false, relations: false },
+            relations: {
+              IsDefinedBy: { attributes: true, relations: true },
+              IsTypedBy: { attributes: true, relations: true },
+              HasAssociations: { attributes: true, relations: true },
+            },
+          });
+        } catch (err) {
+          logger.warn('[QUERY] Could not read properties of', ifcClass, err);
+        }
+
+        batch.forEach((localId, i) => {
+          records.push({
+            modelId,
+            localId,
+            ifcClass,
+            storey: storeyNames.get(localId) ?? null,
+            material: getItemMaterialName(items[i]),
+            attributes: collectAttributes(items[i]),
+            psets: collectPropertySets(items[i]),
+          });
+        });
+        done += batch.length;
+        onProgress?.(done, total);
+      }
+    }
+  }
+
+  logger.info('[QUERY] Collected', records.length, 'element records from', models.length, 'models');
+  return records;
+}
+
+/** Pseudo-fields available on every record besides attributes and properties */
+const RECORD_FIELDS = {
+  class: r => r.ifcClass,
+  ifcclass: r => r.ifcClass,
+  storey: r => r.storey,
+  material: r => r.material,
+};
+
+/**
+ * Values of a field path on a record, flattened to a list.
+ *   "Pset_WallCommon.FireRating" — one property of one set (set name case-insensitive)
+ *   "FireRating"                 — an attribute, or that property in any set
+ *   "Class" / "Storey" / "Material"
+ * @param {string[]} path - path segments, e.g. ['Pset_WallCommon', 'FireRating']
+ */
+export function getRecordValues(record, path) {
+  const lower = path.map(p => p.toLowerCase());
+  const values = [];
+  const push = (v) => {
+    if (v == null) return;
+    if (Array.isArray(v)) values.push(...v);
+    else values.push(v);
+  };
+
+  if (path.length === 1) {
+    const [name] = lower;
+    if (name in RECORD_FIELDS) {
+      push(RECORD_FIELDS[name](record));
+      return values;
+    }
+    for (const [key, value] of Object.entries(record.attributes)) {
+      if (key.toLowerCase() === name) push(value);
+    }
+    for (const set of Object.values(record.psets)) {
+      for (const [key, value] of Object.entries(set)) {
+        if (key.toLowerCase() === name) push(value);
+      }
+    }
+    return values;
+  }
+
+  const setName = lower.slice(0, -1).join('.');
+  const propName = lower[lower.length - 1];
+  for (const [name, set] of Object.entries(record.psets)) {
+    if (name.toLowerCase() !== setName) continue;
+    for (const [key, value] of Object.entries(set)) {
+      if (key.toLowerCase() === propName) push(value);
+    }
+  }
+  return values;
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getIfcTypeName } from './ifcTypes';
 
 /**
  * Disposes all models in the fragments manager
@@ -13,6 +14,19 @@ export const disposeAllFragments = (fragmentsManager) => {
   }
 };
 
+/**
+ * Disposes one model and removes it from the fragments manager
+ * (FragmentsModels.disposeModel frees the model but leaves it listed)
+ * @param {import('@thatopen/components').FragmentsManager} fragmentsManager
+ * @param {string} modelId
+ */
+export const disposeFragmentsModel = async (fragmentsManager, modelId) => {
+  const model = fragmentsManager.list.get(modelId);
+  if (!model) return;
+  await model.dispose();
+  fragmentsManager.list.delete(modelId);
+};
+
 /**
  * Clears the scene of helper objects (Box3Helper, AxesHelper)
  * @param {THREE.Scene} scene 
@@ -56,4 +70,33 @@ export const ensureSceneLighting = (scene) => {
     directionalLight.shadow.bias = -0.001;
     scene.add(directionalLight);
   }
-};
\ No newline at end of file
+};
+/**
+ * Matrix that takes a model's local (fragments) coordinates into world
+ * space: the model object's world matrix, which includes the offset
+ * fragments gives each model with `autoCoordinate` on. Geometry from
+ * getItemsGeometry / getSection and boxes from getMergedBox use this frame.
+ * @param {import('@thatopen/fragments').FragmentsModel} model
+ * @returns {THREE.Matrix4}
+ */
+export const getModelToWorldMatrix = (model) => {
+  model.object.updateMatrixWorld(true);
+  return model.object.matrixWorld.clone();
+};
+
+/**
+ * Groups all items of a model by IFC class.
+ * @param {import('@thatopen/fragments').FragmentsModel} model
+ * @returns {Promise<Map<string, number[]>>} e.g. { 'IfcWall' → [12, 15] }
+ */
+export const groupItemsByClass = async (model) => {
+  const byCategory = await model.getItemsOfCategories([/.*/]);
+  const groups = new Map();
+  for (const [category, ids] of Object.entries(byCategory)) {
+    if (ids.length === 0) continue;
+    const typeName = getIfcTypeName(category);
+    if (!groups.has(typeName)) groups.set(typeName, []);
+    groups.get(typeName).push(...ids);
+  }
+  return groups;
+};
@@ -0,0 +1,123 @@
+/**
+ * Cache of converted models.
+ * The fragments binary of every converted IFC is kept in IndexedDB, keyed
+ * by the SHA-256 of the IFC file, so reopening the same file skips the
+ * web-ifc conversion. The least recently used entries are evicted beyond
+ * MAX_ENTRIES. Cache failures (private browsing, quota) are logged and
+ * treated as a miss: loading never depends on the cache.
+ */
+import { logger } from './logger';
+
+const DB_NAME = 'ifc-viewer';
+const DB_VERSION = 1;
+
+/** hash → fragments binary, and hash → { hash, name, size, usedAt } for the LRU bookkeeping */
+const BUFFERS = 'fragmentBuffers';
+const ENTRIES = 'fragmentEntries';
+
+/** Converted models kept at most; large models run to tens of MB each */
+const MAX_ENTRIES = 12;
+
+/** Fragments file extension, also accepted by the file pickers */
+export const FRAGMENTS_EXTENSION = '.frag';
+
+/** Whether a file name is a fragments file rather than an IFC */
+export const isFragmentsFile = (name) => name.toLowerCase().endsWith(FRAGMENTS_EXTENSION);
+
+/**
+ * Model id of a fragments file: "house.ifc.frag" loads as "house.ifc", the
+ * id of the IFC it was saved from, so saved viewpoints and sets still apply.
+ */
+export const fragmentsModelId = (name) => name.slice(0, -FRAGMENTS_EXTENSION.length) || name;
+
+/** Shared connection, opened on first use */
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(BUFFERS);
+      request.result.createObjectStore(ENTRIES, { keyPath: 'hash' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(err => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+/**
+ * Run `fn(buffers, entries)` in one transaction over both stores; resolves
+ * once it commits, with the result of the request `fn` returns, if any.
+ */
+async function transaction(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([BUFFERS, ENTRIES], mode);
+    const request = fn(tx.objectStore(BUFFERS), tx.objectStore(ENTRIES));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Hex SHA-256 of a file's bytes, or null where WebCrypto is unavailable (plain-http hosts) */
+export async function hashBuffer(buffer) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Cached fragments binary for an IFC hash, or null */
+export async function getCachedFragments(hash) {
+  try {
+    const buffer = await transaction('readonly', buffers => buffers.get(hash));
+    if (!buffer) return null;
+    // Touch for the LRU order; not worth waiting for
+    transaction('readwrite', (_, entries) => {
+      const request = entries.get(hash);
+      request.onsuccess = () => request.result && entries.put({ ...request.result, usedAt: Date.now() });
+    }).catch(err => logger.warn('[CACHE] Could not update', hash, err));
+    return buffer;
+  } catch (err) {
+    logger.warn('[CACHE] Lookup failed:', err);
+    return null;
+  }
+}
+
+/** Store the fragments binary converted from the IFC with `hash` */
+export async function putCachedFragments(hash, name, buffer) {
+  try {
+    const all = await transaction('readonly', (_, entries) => entries.getAll());
+    const stale = all
+      .filter(e => e.hash !== hash)
+      .sort((a, b) => b.usedAt - a.usedAt)
+      .slice(MAX_ENTRIES - 1);
+    await transaction('readwrite', (buffers, entries) => {
+      for (const { hash: old } of stale) {
+        buffers.delete(old);
+        entries.delete(old);
+      }
+      buffers.put(buffer, hash);
+      entries.put({ hash, name, size: buffer.byteLength, usedAt: Date.now() });
+    });
+    logger.info('[CACHE] Stored', name, `(${(buffer.byteLength / 1e6).toFixed(1)} MB)`, stale.length ? `, evicted ${stale.length}` : '');
+  } catch (err) {
+    logger.warn('[CACHE] Could not store', name, err);
+  }
+}
+
+/** Forget one cached model, e.g. when its binary no longer loads */
+export async function deleteCachedFragments(hash) {
+  try {
+    await transaction('readwrite', (buffers, entries) => {
+      buffers.delete(hash);
+      entries.delete(hash);
+    });
+  } catch (err) {
+    logger.warn('[CACHE] Could not delete', hash, err);
+  }
+}
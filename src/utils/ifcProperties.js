@@ -0,0 +1,109 @@
+/**
+ * Helpers for reading values out of OBC v3 item data
+ * (model.getItemsData results with STEP-encoded attributes).
+ */
+
+/** Extract a displayable scalar from an OBC v3 property: { value, type } wrapper or plain scalar. */
+export function extractScalar(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'object' && 'value' in v) {
+    const inner = v.value;
+    return inner === null || inner === undefined ? null : String(inner);
+  }
+  if (typeof v === 'object') return null;
+  return String(v);
+}
+
+/** An attribute as an array: [] for null / undefined, a single value wrapped */
+export const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+/** STEP-wrapped { value, type } entries of a list attribute */
+export function valueList(v) {
+  if (v == null) return [];
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'object' && Array.isArray(v.value)) {
+    return v.value.map(item => (item && typeof item === 'object' ? item : { value: item, type: v.type }));
+  }
+  return [v];
+}
+
+/**
+ * Objects an item reaches through an inverse relation of getItemsData.
+ * getItemsData lists the related object itself (the type under IsTypedBy,
+ * the set under IsDefinedBy, the group under HasAssignments); an IfcRel*
+ * wrapper is still unwrapped through `relatingKey` if one turns up.
+ * @example relatedObjects(item, 'IsDefinedBy', 'RelatingPropertyDefinition')
+ */
+export function relatedObjects(item, relation, relatingKey) {
+  return asArray(item?.[relation]).flatMap(rel => asArray(rel?.[relatingKey] ?? rel));
+}
+
+/**
+ * Helper to recursively extract a material name from complex material structures.
+ */
+export function extractMaterialName(mat) {
+  if (!mat) return null;
+
+  // Handle arrays explicitly
+  if (Array.isArray(mat)) {
+    const names = mat
+      .map(m => extractMaterialName(m))
+      .filter(n => n && !n.toUpperCase().startsWith('IFC'));
+    return names.length > 0 ? Array.from(new Set(names)).join(', ') : null;
+  }
+
+  if (typeof mat !== 'object') return null;
+
+  // 1. Direct Name check
+  const directName = extractScalar(mat.Name);
+  // We skip names that are just the IFC class name or generic (unhelpful)
+  const isGeneric = !directName || directName.toUpperCase().startsWith('IFC') || directName.toUpperCase() === 'MATERIAL';
+  if (directName && !isGeneric) return directName;
+
+  // 2. Drill down into common IFC material structures
+
+  // IfcMaterialLayerSetUsage -> ForLayerSet
+  if (mat.ForLayerSet) return extractMaterialName(mat.ForLayerSet);
+
+  // IfcMaterialLayerSet -> MaterialLayers[]
+  if (mat.MaterialLayers) return extractMaterialName(mat.MaterialLayers);
+
+  // IfcMaterialLayer -> Material
+  if (mat.Material) {
+    const n = extractMaterialName(mat.Material);
+    if (n) return n;
+  }
+
+  // IfcMaterialList -> Materials[]
+  if (mat.Materials) return extractMaterialName(mat.Materials);
+
+  // IfcMaterialProfileSetUsage -> ForProfileSet
+  if (mat.ForProfileSet) return extractMaterialName(mat.ForProfileSet);
+
+  // IfcMaterialProfileSet -> MaterialProfiles[]
+  if (mat.MaterialProfiles) return extractMaterialName(mat.MaterialProfiles);
+
+  // IfcMaterialProfile -> Material
+  // (already handled by mat.Material check above)
+
+  // 3. Last resort: check if any of the attributes is a string that doesn't look like a type
+  if (directName) return directName;
+
+  return null;
+}
+
+/**
+ * Material name of an item fetched with the HasAssociations relation,
+ * or null when it has no material association.
+ */
+export function getItemMaterialName(item) {
+  const assocs = item?.HasAssociations;
+  if (!assocs) return null;
+  const list = Array.isArray(assocs) ? assocs : [assocs];
+  for (const assoc of list) {
+    if (!assoc || typeof assoc !== 'object') continue;
+    const name = extractMaterialName(assoc.RelatingMaterial ?? assoc);
+    if (name) return name;
+  }
+  return null;
+}
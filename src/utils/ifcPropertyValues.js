@@ -0,0 +1,208 @@
+/**
+ * Display rows for every IfcProperty subtype:
+ * single, enumerated, list, bounded, table, reference and complex
+ * properties. Units come from the property's own Unit, or from the
+ * project's IfcUnitAssignment based on the value's measure type.
+ */
+import { extractScalar, extractMaterialName, asArray, valueList } from './ifcProperties';
+import { parseIfcUnit } from './ifcUnits';
+
+/** IFC measure type → unit type looked up in the project's IfcUnitAssignment */
+const MEASURE_UNIT_TYPES = {
+  IFCLENGTHMEASURE: 'LENGTHUNIT',
+  IFCPOSITIVELENGTHMEASURE: 'LENGTHUNIT',
+  IFCNONNEGATIVELENGTHMEASURE: 'LENGTHUNIT',
+  IFCAREAMEASURE: 'AREAUNIT',
+  IFCVOLUMEMEASURE: 'VOLUMEUNIT',
+  IFCPLANEANGLEMEASURE: 'PLANEANGLEUNIT',
+  IFCPOSITIVEPLANEANGLEMEASURE: 'PLANEANGLEUNIT',
+  IFCMASSMEASURE: 'MASSUNIT',
+  IFCTIMEMEASURE: 'TIMEUNIT',
+  IFCTHERMODYNAMICTEMPERATUREMEASURE: 'THERMODYNAMICTEMPERATUREUNIT',
+  IFCELECTRICCURRENTMEASURE: 'ELECTRICCURRENTUNIT',
+  IFCELECTRICVOLTAGEMEASURE: 'ELECTRICVOLTAGEUNIT',
+  IFCELECTRICRESISTANCEMEASURE: 'ELECTRICRESISTANCEUNIT',
+  IFCPOWERMEASURE: 'POWERUNIT',
+  IFCENERGYMEASURE: 'ENERGYUNIT',
+  IFCFORCEMEASURE: 'FORCEUNIT',
+  IFCPRESSUREMEASURE: 'PRESSUREUNIT',
+  IFCFREQUENCYMEASURE: 'FREQUENCYUNIT',
+  IFCLUMINOUSFLUXMEASURE: 'LUMINOUSFLUXUNIT',
+  IFCLUMINOUSINTENSITYMEASURE: 'LUMINOUSINTENSITYUNIT',
+  IFCILLUMINANCEMEASURE: 'ILLUMINANCEUNIT',
+  IFCVOLUMETRICFLOWRATEMEASURE: 'VOLUMETRICFLOWRATEUNIT',
+  IFCMASSFLOWRATEMEASURE: 'MASSFLOWRATEUNIT',
+  IFCLINEARVELOCITYMEASURE: 'LINEARVELOCITYUNIT',
+  IFCTHERMALTRANSMITTANCEMEASURE: 'THERMALTRANSMITTANCEUNIT',
+  IFCHEATFLUXDENSITYMEASURE: 'HEATFLUXDENSITYUNIT',
+  IFCMASSDENSITYMEASURE: 'MASSDENSITYUNIT',
+  IFCSOUNDPRESSURELEVELMEASURE: 'SOUNDPRESSURELEVELUNIT',
+  IFCMONETARYMEASURE: 'MONETARYUNIT',
+};
+
+/** Measure types whose unit is implied by the type itself */
+const MEASURE_SYMBOLS = {
+  IFCPOSITIVERATIOMEASURE: '',
+  IFCRATIOMEASURE: '',
+  IFCNORMALISEDRATIOMEASURE: '',
+};
+
+const measureType = (v) => (v && typeof v === 'object' && typeof v.type === 'string' ? v.type.toUpperCase() : null);
+
+/** Unit symbol for a value: explicit IfcUnit first, then the project unit of its measure type */
+function unitFor(value, explicitUnit, projectUnits) {
+  const own = parseIfcUnit(explicitUnit);
+  if (own) return own.symbol;
+  const type = measureType(value);
+  if (!type) return '';
+  if (type in MEASURE_SYMBOLS) return MEASURE_SYMBOLS[type];
+  const unitType = MEASURE_UNIT_TYPES[type];
+  return unitType ? projectUnits?.[unitType]?.symbol ?? '' : '';
+}
+
+/** One value as text, booleans as Yes / No, enumeration dots stripped */
+function formatValue(v) {
+  const raw = extractScalar(v);
+  if (raw === null) return null;
+  const type = measureType(v);
+  if (type === 'IFCBOOLEAN' || type === 'IFCLOGICAL' || raw === 'true' || raw === 'false') {
+    if (raw === 'true' || raw === 'T' || raw === '.T.') return 'Yes';
+    if (raw === 'false' || raw === 'F' || raw === '.F.') return 'No';
+    if (raw === 'U' || raw === '.U.') return 'Unknown';
+  }
+  return raw.replace(/^\.(.*)\.$/, '$1');
+}
+
+function withUnit(text, unit) {
+  if (text === null || text === '') return text;
+  if (!unit) return text;
+  return unit === '°' ? `${text}${unit}` : `${text} ${unit}`;
+}
+
+/** Display name for the target of an IfcPropertyReferenceValue */
+function describeReference(ref) {
+  if (!ref || typeof ref !== 'object') return null;
+  const material = extractMaterialName(ref);
+  if (material) return material;
+  for (const key of ['Name', 'Identification', 'Location', 'ItemReference', 'Description']) {
+    const text = extractScalar(ref[key]);
+    if (text) return text;
+  }
+  // IfcPerson / IfcOrganization style
+  const person = [extractScalar(ref.GivenName), extractScalar(ref.FamilyName)].filter(Boolean).join(' ');
+  return person || null;
+}
+
+/**
+ * Display row for one IfcProperty.
+ * @returns {{ key: string, label: string, value?: string, children?: object[],
+ *   table?: { headers: string[], rows: string[][] } } | null}
+ */
+export function describeProperty(p, projectUnits) {
+  if (!p || typeof p !== 'object') return null;
+  const name = extractScalar(p.Name);
+  if (!name) return null;
+  const row = { key: name, label: name };
+
+  // IfcComplexProperty → nested properties
+  if (p.HasProperties) {
+    row.children = asArray(p.HasProperties).map(child => describeProperty(child, projectUnits)).filter(Boolean);
+    const usage = extractScalar(p.UsageName);
+    if (usage && usage !== name) row.value = usage;
+    return row.children.length || row.value ? row : null;
+  }
+
+  // IfcPropertyEnumeratedValue — unit lives on the referenced IfcPropertyEnumeration
+  if (p.EnumerationValues != null) {
+    const values = valueList(p.EnumerationValues).map(formatValue).filter(v => v !== null);
+    const enumUnit = asArray(p.EnumerationReference)[0]?.Unit;
+    const unit = unitFor(valueList(p.EnumerationValues)[0], enumUnit, projectUnits);
+    row.value = withUnit(values.join(', '), unit);
+    return values.length ? row : null;
+  }
+
+  // IfcPropertyListValue
+  if (p.ListValues != null) {
+    const list = valueList(p.ListValues);
+    const values = list.map(formatValue).filter(v => v !== null);
+    row.value = withUnit(values.join(', '), unitFor(list[0], p.Unit, projectUnits));
+    return values.length ? row : null;
+  }
+
+  // IfcPropertyBoundedValue
+  if (p.UpperBoundValue != null || p.LowerBoundValue != null || p.SetPointValue != null) {
+    const sample = p.LowerBoundValue ?? p.UpperBoundValue ?? p.SetPointValue;
+    const unit = unitFor(sample, p.Unit, projectUnits);
+    const lower = formatValue(p.LowerBoundValue);
+    const upper = formatValue(p.UpperBoundValue);
+    const setPoint = formatValue(p.SetPointValue);
+    let text = lower !== null && upper !== null ? `${lower} – ${upper}`
+      : lower !== null ? `≥ ${lower}`
+        : upper !== null ? `≤ ${upper}` : '';
+    text = withUnit(text, unit);
+    if (setPoint !== null) text = text ? `${text} (set point ${withUnit(setPoint, unit)})` : withUnit(setPoint, unit);
+    row.value = text;
+    return text ? row : null;
+  }
+
+  // IfcPropertyTableValue → two-column table
+  if (p.DefiningValues != null || p.DefinedValues != null) {
+    const defining = valueList(p.DefiningValues);
+    const defined = valueList(p.DefinedValues);
+    const definingUnit = unitFor(defining[0], p.DefiningUnit, projectUnits);
+    const definedUnit = unitFor(defined[0], p.DefinedUnit, projectUnits);
+    row.table = {
+      headers: [definingUnit ? `Defining (${definingUnit})` : 'Defining', definedUnit ? `Defined (${definedUnit})` : 'Defined'],
+      rows: defining.map((v, i) => [formatValue(v) ?? '', formatValue(defined[i]) ?? '']),
+    };
+    const expression = extractScalar(p.Expression);
+    if (expression) row.value = expression;
+    return row.table.rows.length || row.value ? row : null;
+  }
+
+  // IfcPropertyReferenceValue
+  if ('PropertyReference' in p) {
+    const target = describeReference(asArray(p.PropertyReference)[0]);
+    const usage = extractScalar(p.UsageName);
+    row.value = [target, usage && usage !== target ? `(${usage})` : null].filter(Boolean).join(' ');
+    return row.value ? row : null;
+  }
+
+  // IfcPropertySingleValue (or anything with a plain Value)
+  const nominal = p.NominalValue ?? p.Value;
+  const text = formatValue(nominal);
+  if (text === null) return null;
+  row.value = withUnit(text, unitFor(nominal, p.Unit, projectUnits));
+  return row;
+}
+
+/** IfcPhysicalSimpleQuantity value attribute → unit type */
+const QUANTITY_UNIT_TYPES = {
+  LengthValue: 'LENGTHUNIT',
+  AreaValue: 'AREAUNIT',
+  VolumeValue: 'VOLUMEUNIT',
+  CountValue: null,
+  WeightValue: 'MASSUNIT',
+  TimeValue: 'TIMEUNIT',
+};
+
+/** Display row for one IfcPhysicalQuantity (IfcElementQuantity member) */
+export function describeQuantity(q, projectUnits) {
+  if (!q || typeof q !== 'object') return null;
+  const name = extractScalar(q.Name);
+  if (!name) return null;
+
+  // IfcPhysicalComplexQuantity
+  if (q.HasQuantities) {
+    const children = asArray(q.HasQuantities).map(child => describeQuantity(child, projectUnits)).filter(Boolean);
+    return children.length ? { key: name, label: name, children } : null;
+  }
+
+  const valueKey = Object.keys(QUANTITY_UNIT_TYPES).find(k => q[k] != null);
+  if (!valueKey) return null;
+  const text = formatValue(q[valueKey]);
+  if (text === null) return null;
+  const unitType = QUANTITY_UNIT_TYPES[valueKey];
+  const unit = parseIfcUnit(q.Unit)?.symbol ?? (unitType ? projectUnits?.[unitType]?.symbol ?? '' : '');
+  return { key: name, label: name, value: withUnit(text, unit) };
+}
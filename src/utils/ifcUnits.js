@@ -0,0 +1,202 @@
+/**
+ * IFC unit utilities.
+ * Reads the IfcProject's IfcUnitAssignment (UnitsInContext) and turns each
+ * unit into a scale factor to SI plus a short display symbol.
+ */
+import { extractScalar } from './ifcProperties';
+import { logger } from './logger';
+
+const SI_PREFIX_SCALE = {
+  EXA: 1e18, PETA: 1e15, TERA: 1e12, GIGA: 1e9, MEGA: 1e6, KILO: 1e3, HECTO: 1e2, DECA: 1e1,
+  DECI: 1e-1, CENTI: 1e-2, MILLI: 1e-3, MICRO: 1e-6, NANO: 1e-9, PICO: 1e-12, FEMTO: 1e-15, ATTO: 1e-18,
+};
+
+const SI_PREFIX_SYMBOL = {
+  EXA: 'E', PETA: 'P', TERA: 'T', GIGA: 'G', MEGA: 'M', KILO: 'k', HECTO: 'h', DECA: 'da',
+  DECI: 'd', CENTI: 'c', MILLI: 'm', MICRO: 'µ', NANO: 'n', PICO: 'p', FEMTO: 'f', ATTO: 'a',
+};
+
+/** SI unit name → [symbol, power the prefix is raised to] */
+const SI_UNITS = {
+  METRE: ['m', 1],
+  SQUARE_METRE: ['m²', 2],
+  CUBIC_METRE: ['m³', 3],
+  GRAM: ['g', 1],
+  SECOND: ['s', 1],
+  RADIAN: ['rad', 1],
+  STERADIAN: ['sr', 1],
+  KELVIN: ['K', 1],
+  DEGREE_CELSIUS: ['°C', 1],
+  AMPERE: ['A', 1],
+  VOLT: ['V', 1],
+  WATT: ['W', 1],
+  NEWTON: ['N', 1],
+  PASCAL: ['Pa', 1],
+  JOULE: ['J', 1],
+  HERTZ: ['Hz', 1],
+  LUMEN: ['lm', 1],
+  LUX: ['lx', 1],
+  OHM: ['Ω', 1],
+  CANDELA: ['cd', 1],
+  MOLE: ['mol', 1],
+  COULOMB: ['C', 1],
+  FARAD: ['F', 1],
+  HENRY: ['H', 1],
+  SIEMENS: ['S', 1],
+  TESLA: ['T', 1],
+  WEBER: ['Wb', 1],
+  BECQUEREL: ['Bq', 1],
+  GRAY: ['Gy', 1],
+  SIEVERT: ['Sv', 1],
+};
+
+/** Common IfcConversionBasedUnit names → display symbol */
+const CONVERSION_SYMBOLS = {
+  FOOT: 'ft', INCH: 'in', YARD: 'yd', MILE: 'mi',
+  'SQUARE FOOT': 'ft²', 'SQUARE INCH': 'in²', 'SQUARE YARD': 'yd²', ACRE: 'ac',
+  'CUBIC FOOT': 'ft³', 'CUBIC INCH': 'in³', 'CUBIC YARD': 'yd³', GALLON: 'gal',
+  DEGREE: '°', POUND: 'lb',
+};
+
+/** Metric fallbacks when a project declares nothing for a unit type */
+const DEFAULT_UNITS = {
+  LENGTHUNIT: { scale: 1, symbol: 'm' },
+  AREAUNIT: { scale: 1, symbol: 'm²' },
+  VOLUMEUNIT: { scale: 1, symbol: 'm³' },
+  PLANEANGLEUNIT: { scale: 1, symbol: 'rad' },
+};
+
+/** Strip STEP enum dots: ".MILLI." → "MILLI" */
+const enumValue = (v) => extractScalar(v)?.replace(/\./g, '').toUpperCase() ?? null;
+
+const SUPERSCRIPT = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+const superscript = (n) => String(n).split('').map(c => SUPERSCRIPT[c] ?? c).join('');
+
+/**
+ * IfcDerivedUnit: product of named units raised to exponents,
+ * e.g. m³ · s⁻¹ → "m³/s".
+ */
+function parseDerivedUnit(unit) {
+  const numerator = [];
+  const denominator = [];
+  let scale = 1;
+  const elements = Array.isArray(unit.Elements) ? unit.Elements : [unit.Elements];
+  for (const element of elements) {
+    const base = parseIfcUnit(element?.Unit);
+    const exponent = Number(extractScalar(element?.Exponent));
+    if (!base || !exponent) continue;
+    scale *= Math.pow(base.scale, exponent);
+    const power = Math.abs(exponent);
+    const part = `${base.symbol}${power === 1 ? '' : superscript(power)}`;
+    (exponent > 0 ? numerator : denominator).push(part);
+  }
+  const symbol = `${numerator.join('·') || '1'}${denominator.length ? `/${denominator.join('·')}` : ''}`;
+  const type = enumValue(unit.UnitType);
+  return { type: type === 'USERDEFINED' ? extractScalar(unit.UserDefinedType) ?? type : type, scale, symbol };
+}
+
+/**
+ * Parse one IfcSIUnit / IfcConversionBasedUnit / IfcDerivedUnit /
+ * IfcMonetaryUnit item into `{ type, scale, symbol }`, or null when it
+ * is not a unit.
+ */
+export function parseIfcUnit(unit) {
+  if (!unit || typeof unit !== 'object') return null;
+
+  // IfcMonetaryUnit has a currency code instead of a UnitType
+  if (unit.Currency != null && unit.UnitType == null) {
+    return { type: 'MONETARYUNIT', scale: 1, symbol: extractScalar(unit.Currency) ?? '' };
+  }
+  if (unit.Elements) return parseDerivedUnit(unit);
+
+  const type = enumValue(unit.UnitType);
+  if (!type) return null;
+  const name = enumValue(unit.Name);
+
+  // IfcSIUnit
+  if (name && SI_UNITS[name]) {
+    const [baseSymbol, power] = SI_UNITS[name];
+    const prefix = enumValue(unit.Prefix);
+    const scale = prefix ? Math.pow(SI_PREFIX_SCALE[prefix] ?? 1, power) : 1;
+    return { type, scale, symbol: `${prefix ? SI_PREFIX_SYMBOL[prefix] ?? '' : ''}${baseSymbol}` };
+  }
+
+  // IfcConversionBasedUnit → ConversionFactor (IfcMeasureWithUnit)
+  const factor = unit.ConversionFactor;
+  if (factor) {
+    const value = Number(extractScalar(factor.ValueComponent));
+    const base = parseIfcUnit(factor.UnitComponent);
+    const scale = (isNaN(value) ? 1 : value) * (base?.scale ?? 1);
+    const rawName = extractScalar(unit.Name) ?? '';
+    return { type, scale, symbol: CONVERSION_SYMBOLS[rawName.toUpperCase()] ?? rawName.toLowerCase() };
+  }
+  return null;
+}
+
+/** Per-model cache: FragmentsModel → Promise<units> */
+const _unitsCache = new WeakMap();
+
+/**
+ * Units declared by the model's IfcProject, keyed by IFC unit type.
+ * Every entry is `{ scale, symbol }` where `scale` converts a project
+ * value to SI (e.g. millimetres → 0.001).
+ * @param {import('@thatopen/fragments').FragmentsModel} model
+ * @returns {Promise<Record<string, { scale: number, symbol: string }>>}
+ */
+export function getProjectUnits(model) {
+  if (!_unitsCache.has(model)) {
+    _unitsCache.set(model, readProjectUnits(model));
+  }
+  return _unitsCache.get(model);
+}
+
+async function readProjectUnits(model) {
+  const units = { ...DEFAULT_UNITS };
+  try {
+    const byCategory = await model.getItemsOfCategories([/^IFCPROJECT$/]);
+    const projectId = Object.values(byCategory).flat()[0];
+    if (projectId == null) return units;
+
+    const [project] = await model.getItemsData([projectId], {
+      attributesDefault: true,
+      relationsDefault: { attributes: true, relations: true },
+      relations: { UnitsInContext: { attributes: true, relations: true } },
+    });
+    const assignment = Array.isArray(project?.UnitsInContext) ? project.UnitsInContext[0] : project?.UnitsInContext;
+    const list = assignment?.Units ?? [];
+    for (const raw of Array.isArray(list) ? list : [list]) {
+      const unit = parseIfcUnit(raw);
+      if (unit) units[unit.type] = { scale: unit.scale, symbol: unit.symbol };
+    }
+  } catch (err) {
+    logger.warn('[UNITS] Could not read project units, using metric defaults:', err);
+  }
+  return units;
+}
+
+/**
+ * Display symbol for a unit type, e.g. unitSymbol(units, 'LENGTHUNIT') → "mm".
+ */
+export function unitSymbol(units, type) {
+  return units?.[type]?.symbol ?? DEFAULT_UNITS[type]?.symbol ?? '';
+}
+
+/** Decimal places that keep roughly millimetre precision in each unit type */
+function displayDecimals(type, scale) {
+  const magnitude = Math.round(Math.log10(scale));
+  if (type === 'AREAUNIT') return Math.min(4, Math.max(0, 2 + Math.round(magnitude / 2)));
+  if (type === 'PLANEANGLEUNIT') return scale === 1 ? 3 : 1;
+  return Math.min(4, Math.max(0, 3 + magnitude));
+}
+
+/**
+ * Convert an SI value (metres, m², radians, …) to the project unit of
+ * `type` and format it with its symbol, e.g. 2.5 m → "2500 mm".
+ * @returns {{ value: number, symbol: string, text: string }}
+ */
+export function formatQuantity(siValue, type, units) {
+  const unit = units?.[type] ?? DEFAULT_UNITS[type] ?? { scale: 1, symbol: '' };
+  const value = siValue / unit.scale;
+  const text = `${value.toFixed(displayDecimals(type, unit.scale))}${unit.symbol === '°' ? '' : ' '}${unit.symbol}`;
+  return { value, symbol: unit.symbol, text };
+}
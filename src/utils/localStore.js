@@ -0,0 +1,46 @@
+/**
+ * Named entries kept as one JSON object under a localStorage key, shared by
+ * the section sets, saved filters and viewpoints.
+ *
+ * Usage:
+ *   const store = createKeyedStore('ifc-viewer.savedFilters', { tag: '[QUERY]', label: 'filters' });
+ *   store.save('External walls', 'IfcWall where IsExternal = true');
+ *   store.readAll();   // { 'External walls': 'IfcWall where …' }
+ */
+import { logger } from './logger';
+
+/**
+ * @param {string} storageKey - localStorage key holding all entries
+ * @param {{ tag: string, label: string }} options - log tag and plural name of
+ *   the entries, used when the stored JSON is unreadable
+ */
+export function createKeyedStore(storageKey, { tag, label }) {
+  /** @returns {Record<string, any>} name → entry */
+  const readAll = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (err) {
+      logger.warn(`${tag} Stored ${label} are unreadable, starting fresh:`, err);
+      return {};
+    }
+  };
+
+  const writeAll = (entries) => {
+    localStorage.setItem(storageKey, JSON.stringify(entries));
+  };
+
+  return {
+    readAll,
+
+    get: (name) => readAll()[name] ?? null,
+
+    /** Save (or overwrite) an entry under `name`; throws when localStorage is full */
+    save: (name, value) => writeAll({ ...readAll(), [name]: value }),
+
+    remove: (name) => {
+      const entries = readAll();
+      delete entries[name];
+      writeAll(entries);
+    },
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Model version comparison.
+ * Matches the elements of two revisions of a model by GlobalId (`_guid`)
+ * and classifies each as added, deleted, geometry-changed or
+ * property-changed. Properties are compared field by field on the element
+ * records (see elementRecords.js); geometry by a world-space signature of
+ * triangle count, surface area and bounding box, so a revision exported
+ * with a different coordination matrix still lines up.
+ */
+import * as THREE from 'three';
+import { collectElementRecords } from './elementRecords';
+import { getModelToWorldMatrix } from './fragmentUtils';
+import { logger } from './logger';
+
+export const DIFF_STATUSES = ['added', 'deleted', 'geometry', 'properties'];
+
+export const DIFF_LABELS = {
+  added: 'Added',
+  deleted: 'Deleted',
+  geometry: 'Geometry changed',
+  properties: 'Properties changed',
+};
+
+export const DIFF_COLORS = {
+  added: '#22c55e',
+  deleted: '#ef4444',
+  geometry: '#f59e0b',
+  properties: '#3b82f6',
+};
+
+/** Items whose geometry is fetched per getItemsGeometry call */
+const GEOMETRY_BATCH_SIZE = 200;
+
+/** Bounding box corners may move this far (m) before the geometry counts as changed */
+const POSITION_TOLERANCE = 0.001;
+
+/** Relative surface area change that counts as a geometry change */
+const AREA_TOLERANCE = 1e-3;
+
+/** Attributes that differ between exports without the element changing, or are compared elsewhere */
+const IGNORED_ATTRIBUTES = new Set(['_guid', '_localId', '_category', 'OwnerHistory']);
+
+/**
+ * Compare two loaded models.
+ * @param {import('@thatopen/components').FragmentsManager} fragments
+ * @param {string} baseId - the older revision
+ * @param {string} revisionId - the newer revision
+ * @param {(progress: { phase: 'properties' | 'geometry', done: number, total: number }) => void} [onProgress]
+ * @returns {Promise<{ baseId: string, revisionId: string, unchanged: number, elements: {
+ *   status: 'added' | 'deleted' | 'geometry' | 'properties', guid: string, ifcClass: string, name: string | null,
+ *   baseLocalId: number | null, revisionLocalId: number | null,
+ *   changes: { field: string, before: any, after: any }[] }[] }>}
+ *   `changes` lists the property differences, also for geometry-changed elements
+ */
+export async function compareModels(fragments, baseId, revisionId, onProgress) {
+  if (baseId === revisionId) throw new Error('Pick two different models to compare');
+  const records = await collectElementRecords(fragments, {
+    modelIds: [baseId, revisionId],
+    onProgress: (done, total) => onProgress?.({ phase: 'properties', done, total }),
+  });
+  const base = indexByGuid(records.filter(r => r.modelId === baseId));
+  const revision = indexByGuid(records.filter(r => r.modelId === revisionId));
+
+  const elements = [];
+  const matched = [];
+  for (const [guid, before] of base) {
+    const after = revision.get(guid);
+    if (after) matched.push([guid, before, after]);
+    else elements.push(entry('deleted', guid, before, null, []));
+  }
+  for (const [guid, after] of revision) {
+    if (!base.has(guid)) elements.push(entry('added', guid, null, after, []));
+  }
+
+  const total = matched.length * 2;
+  const progress = (offset) => (done) => onProgress?.({ phase: 'geometry', done: offset + done, total });
+  const baseShapes = await geometrySignatures(fragments, baseId, matched.map(([, before]) => before.localId), progress(0));
+  const revisionShapes = await geometrySignatures(fragments, revisionId, matched.map(([, , after]) => after.localId), progress(matched.length));
+
+  let unchanged = 0;
+  for (const [guid, before, after] of matched) {
+    const changes = diffRecords(before, after);
+    const geometryChanged = !sameShape(baseShapes.get(before.localId), revisionShapes.get(after.localId));
+    if (geometryChanged) elements.push(entry('geometry', guid, before, after, changes));
+    else if (changes.length > 0) elements.push(entry('properties', guid, before, after, changes));
+    else unchanged++;
+  }
+
+  elements.sort((a, b) => (
+    DIFF_STATUSES.indexOf(a.status) - DIFF_STATUSES.indexOf(b.status)
+    || a.ifcClass.localeCompare(b.ifcClass)
+    || (a.name ?? '').localeCompare(b.name ?? '')
+  ));
+  logger.info('[DIFF]', baseId, '→', revisionId, ':', elements.length, 'changed,', unchanged, 'unchanged');
+  return { baseId, revisionId, unchanged, elements };
+}
+
+/** Number of elements per status */
+export function countDiff(diff) {
+  const counts = Object.fromEntries(DIFF_STATUSES.map(s => [s, 0]));
+  for (const e of diff?.elements ?? []) counts[e.status]++;
+  return counts;
+}
+
+/**
+ * ModelIdMap of the elements with one of `statuses`: deleted elements
+ * live in the base model, everything else in the revision.
+ */
+export function diffModelIdMap(diff, statuses = DIFF_STATUSES) {
+  const map = {};
+  for (const e of diff.elements) {
+    if (!statuses.includes(e.status)) continue;
+    const [modelId, localId] = e.status === 'deleted' ? [diff.baseId, e.baseLocalId] : [diff.revisionId, e.revisionLocalId];
+    (map[modelId] ??= new Set()).add(localId);
+  }
+  return map;
+}
+
+/** Colour groups for IfcViewer.applyColorGroups, one per status */
+export function diffColorGroups(diff, statuses = DIFF_STATUSES) {
+  return statuses
+    .map(status => ({ color: DIFF_COLORS[status], modelIdMap: diffModelIdMap(diff, [status]) }))
+    .filter(group => Object.keys(group.modelIdMap).length > 0);
+}
+
+/* ────── matching ────── */
+
+/** Records by GlobalId; elements without one can't be matched and are skipped */
+function indexByGuid(records) {
+  const byGuid = new Map();
+  let missing = 0;
+  for (const record of records) {
+    const guid = record.attributes._guid;
+    if (typeof guid === 'string' && guid) byGuid.set(guid, record);
+    else missing++;
+  }
+  if (missing > 0) logger.warn('[DIFF]', missing, 'elements without a GlobalId were skipped');
+  return byGuid;
+}
+
+function entry(status, guid, before, after, changes) {
+  const record = after ?? before;
+  return {
+    status,
+    guid,
+    ifcClass: record.ifcClass,
+    name: record.attributes.Name ?? null,
+    baseLocalId: before?.localId ?? null,
+    revisionLocalId: after?.localId ?? null,
+    changes,
+  };
+}
+
+/* ────── properties ────── */
+
+/** Record → { field: value } with Class / Storey / Material, attributes and `Pset.Property` */
+function flattenRecord(record) {
+  const fields = {
+    Class: record.ifcClass,
+    Storey: record.storey,
+    Material: record.material,
+  };
+  for (const [key, value] of Object.entries(record.attributes)) {
+    if (!IGNORED_ATTRIBUTES.has(key)) fields[key] = value;
+  }
+  for (const [pset, props] of Object.entries(record.psets)) {
+    for (const [prop, value] of Object.entries(props)) fields[`${pset}.${prop}`] = value;
+  }
+  return fields;
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+/** Fields that were added, removed or changed, sorted by name; missing values are null */
+function diffRecords(before, after) {
+  const a = flattenRecord(before);
+  const b = flattenRecord(after);
+  const changes = [];
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const valueA = a[field] ?? null;
+    const valueB = b[field] ?? null;
+    if (!sameValue(valueA, valueB)) changes.push({ field, before: valueA, after: valueB });
+  }
+  return changes.sort((x, y) => x.field.localeCompare(y.field));
+}
+
+/* ────── geometry ────── */
+
+/**
+ * Shape signature per element: { triangles, area, box: THREE.Box3 } in world space.
+ * @returns {Promise<Map<number, { triangles: number, area: number, box: THREE.Box3 }>>}
+ */
+async function geometrySignatures(fragments, modelId, ids, onProgress) {
+  const model = fragments.list.get(modelId);
+  const toWorld = getModelToWorldMatrix(model);
+  const matrix = new THREE.Matrix4();
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const signatures = new Map();
+
+  for (let start = 0; start < ids.length; start += GEOMETRY_BATCH_SIZE) {
+    const batch = ids.slice(start, start + GEOMETRY_BATCH_SIZE);
+    const geometry = await model.getItemsGeometry(batch);
+    batch.forEach((localId, i) => {
+      const signature = { triangles: 0, area: 0, box: new THREE.Box3() };
+      for (const { positions, indices, transform } of geometry[i] ?? []) {
+        if (!positions || !indices) continue;
+        matrix.multiplyMatrices(toWorld, transform);
+        for (let t = 0; t + 2 < indices.length; t += 3) {
+          a.fromArray(positions, indices[t] * 3).applyMatrix4(matrix);
+          b.fromArray(positions, indices[t + 1] * 3).applyMatrix4(matrix);
+          c.fromArray(positions, indices[t + 2] * 3).applyMatrix4(matrix);
+          signature.box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+          signature.area += b.sub(a).cross(c.sub(a)).length() / 2;
+          signature.triangles++;
+        }
+      }
+      signatures.set(localId, signature);
+    });
+    onProgress?.(Math.min(start + GEOMETRY_BATCH_SIZE, ids.length));
+  }
+  return signatures;
+}
+
+function sameShape(a, b) {
+  if (!a || !b) return a === b;
+  if (a.triangles !== b.triangles) return false;
+  if (a.triangles === 0) return true;
+  if (Math.abs(a.area - b.area) > AREA_TOLERANCE * Math.max(a.area, b.area)) return false;
+  return a.box.min.distanceTo(b.box.min) <= POSITION_TOLERANCE && a.box.max.distanceTo(b.box.max) <= POSITION_TOLERANCE;
+}
@@ -0,0 +1,237 @@
+/**
+ * Quantity takeoff.
+ * Reads IfcElementQuantity (Qto_*) sets of every element with geometry,
+ * falls back to values computed from the tessellated geometry, and
+ * aggregates the result by IFC class, storey or material.
+ * All quantities are kept in SI (m, m², m³) so several models can be summed.
+ */
+import * as THREE from 'three';
+import { extractScalar, getItemMaterialName, asArray, relatedObjects } from './ifcProperties';
+import { getProjectUnits, parseIfcUnit } from './ifcUnits';
+import { groupItemsByClass } from './fragmentUtils';
+import { getStoreyNames } from './spatialUtils';
+import { logger } from './logger';
+
+/** Items fetched per getItemsData / getItemsGeometry call */
+const BATCH_SIZE = 500;
+
+/** IfcPhysicalSimpleQuantity value attribute → [quantity kind, IFC unit type] */
+const QUANTITY_VALUES = {
+  LengthValue: ['length', 'LENGTHUNIT'],
+  AreaValue: ['area', 'AREAUNIT'],
+  VolumeValue: ['volume', 'VOLUMEUNIT'],
+};
+
+/** Preferred quantity names per kind, most specific first */
+const PREFERRED_NAMES = {
+  length: ['Length'],
+  area: [
+    'NetSideArea', 'NetArea', 'NetFootprintArea', 'NetSurfaceArea',
+    'GrossSideArea', 'GrossArea', 'GrossFootprintArea', 'GrossSurfaceArea',
+    'OuterSurfaceArea', 'CrossSectionArea',
+  ],
+  volume: ['NetVolume', 'GrossVolume'],
+};
+
+export const TAKEOFF_GROUPINGS = {
+  ifcClass: 'IFC class',
+  storey: 'Storey',
+  material: 'Material',
+};
+
+const NO_STOREY = '(no storey)';
+const NO_MATERIAL = '(no material)';
+
+/** All IfcPhysicalSimpleQuantity objects of an item's IfcElementQuantity sets */
+function getElementQuantities(item) {
+  const quantities = [];
+  for (const def of relatedObjects(item, 'IsDefinedBy', 'RelatingPropertyDefinition')) {
+    for (const q of asArray(def?.Quantities)) {
+      if (q && typeof q === 'object') quantities.push(q);
+    }
+  }
+  return quantities;
+}
+
+/**
+ * Pick one length, area and volume from an item's quantity sets.
+ * @returns {{ length: number | null, area: number | null, volume: number | null }} SI values
+ */
+export function pickQuantities(item, units) {
+  const found = { length: [], area: [], volume: [] };
+  for (const q of getElementQuantities(item)) {
+    for (const [attr, [kind, unitType]] of Object.entries(QUANTITY_VALUES)) {
+      const raw = Number(extractScalar(q[attr]));
+      if (q[attr] == null || isNaN(raw)) continue;
+      // A quantity's own Unit overrides the project default
+      const scale = parseIfcUnit(q.Unit)?.scale ?? units[unitType]?.scale ?? 1;
+      found[kind].push({ name: extractScalar(q.Name) ?? '', value: raw * scale });
+    }
+  }
+
+  const choose = (kind) => {
+    const list = found[kind];
+    if (list.length === 0) return null;
+    for (const name of PREFERRED_NAMES[kind]) {
+      const match = list.find(q => q.name === name);
+      if (match) return match.value;
+    }
+    // Lengths: only accept something that is actually called a length
+    if (kind === 'length') return list.find(q => /length/i.test(q.name))?.value ?? null;
+    return list[0].value;
+  };
+
+  return { length: choose('length'), area: choose('area'), volume: choose('volume') };
+}
+
+/**
+ * Area and volume of the tessellated geometry. Area is half the surface
+ * (one side of a wall or slab); volume assumes closed meshes.
+ */
+function measureGeometry(meshes) {
+  let surface = 0;
+  let volume = 0;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+
+  for (const mesh of meshes) {
+    const { positions, indices, transform } = mesh;
+    if (!positions || !indices) continue;
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      a.fromArray(positions, indices[i] * 3).applyMatrix4(transform);
+      b.fromArray(positions, indices[i + 1] * 3).applyMatrix4(transform);
+      c.fromArray(positions, indices[i + 2] * 3).applyMatrix4(transform);
+      cross.subVectors(b, a).cross(c.clone().sub(a));
+      surface += cross.length() / 2;
+      volume += a.dot(b.clone().cross(c)) / 6;
+    }
+  }
+  return { area: surface / 2, volume: Math.abs(volume) };
+}
+
+/**
+ * One row per element with geometry, across all loaded models.
+ * @param {import('@thatopen/components').FragmentsManager} fragments
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{ modelId: string, localId: number, ifcClass: string, storey: string, material: string,
+ *   length: number | null, area: number | null, volume: number | null, fromGeometry: boolean }[]>}
+ */
+export async function collectTakeoff(fragments, onProgress) {
+  const models = [...fragments.list];
+  const classesByModel = [];
+  let total = 0;
+  for (const [, model] of models) {
+    // Only physical elements: skip relations, property sets, spatial containers…
+    const withGeometry = new Set(await model.getItemsIdsWithGeometry());
+    const byClass = new Map();
+    for (const [ifcClass, ids] of await groupItemsByClass(model)) {
+      const elements = ids.filter(id => withGeometry.has(id));
+      if (elements.length > 0) byClass.set(ifcClass, elements);
+      total += elements.length;
+    }
+    classesByModel.push(byClass);
+  }
+
+  const rows = [];
+  let done = 0;
+  for (let m = 0; m < models.length; m++) {
+    const [modelId, model] = models[m];
+    const units = await getProjectUnits(model);
+    const storeyNames = await getStoreyNames(model);
+
+    for (const [ifcClass, ids] of classesByModel[m]) {
+      for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+        const batch = ids.slice(start, start + BATCH_SIZE);
+        let items = [];
+        try {
+          items = await model.getItemsData(batch, {
+            attributesDefault: false,
+            attributes: ['Name'],
+            relationsDefault: { attributes: false, relations: false },
+            relations: {
+              IsDefinedBy: { attributes: true, relations: true },
+              HasAssociations: { attributes: true, relations: true },
+            },
+          });
+        } catch (err) {
+          // Still list the elements, measured from their geometry
+          logger.warn('[TAKEOFF] Could not read quantities of', ifcClass, err);
+        }
+
+        const batchRows = batch.map((localId, i) => ({
+          modelId,
+          localId,
+          ifcClass,
+          storey: storeyNames.get(localId) ?? NO_STOREY,
+          material: getItemMaterialName(items[i]) ?? NO_MATERIAL,
+          ...pickQuantities(items[i], units),
+          fromGeometry: false,
+        }));
+
+        // Geometry fallback for elements without Qto area or volume
+        const missing = batchRows.filter(r => r.area === null || r.volume === null);
+        if (missing.length > 0) {
+          try {
+            const geometry = await model.getItemsGeometry(missing.map(r => r.localId));
+            missing.forEach((row, i) => {
+              const measured = measureGeometry(geometry[i] ?? []);
+              if (row.area === null && measured.area > 0) row.area = measured.area;
+              if (row.volume === null && measured.volume > 0) row.volume = measured.volume;
+              row.fromGeometry = true;
+            });
+          } catch (err) {
+            logger.warn('[TAKEOFF] Geometry fallback failed for', ifcClass, err);
+          }
+        }
+
+        rows.push(...batchRows);
+        done += batch.length;
+        onProgress?.(done, total);
+      }
+    }
+  }
+
+  logger.info('[TAKEOFF] Collected', rows.length, 'elements from', models.length, 'models');
+  return rows;
+}
+
+/**
+ * Sum rows per group.
+ * @param {'ifcClass' | 'storey' | 'material'} groupBy
+ * @returns {{ key: string, count: number, length: number, area: number, volume: number, fromGeometry: number }[]}
+ *   `fromGeometry` counts elements that needed the geometry fallback
+ */
+export function aggregateTakeoff(rows, groupBy) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row[groupBy];
+    let g = groups.get(key);
+    if (!g) {
+      g = { key, count: 0, length: 0, area: 0, volume: 0, fromGeometry: 0 };
+      groups.set(key, g);
+    }
+    g.count++;
+    g.length += row.length ?? 0;
+    g.area += row.area ?? 0;
+    g.volume += row.volume ?? 0;
+    if (row.fromGeometry) g.fromGeometry++;
+  }
+  return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/** Header + data rows for CSV / XLSX export */
+export function takeoffTable(groups, groupBy) {
+  return [
+    [TAKEOFF_GROUPINGS[groupBy], 'Count', 'Length (m)', 'Area (m²)', 'Volume (m³)', 'Elements from geometry'],
+    ...groups.map(g => [
+      g.key,
+      g.count,
+      Number(g.length.toFixed(3)),
+      Number(g.area.toFixed(3)),
+      Number(g.volume.toFixed(3)),
+      g.fromGeometry,
+    ]),
+  ];
+}
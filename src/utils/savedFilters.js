@@ -0,0 +1,24 @@
+/**
+ * Named element filter queries (see elementQuery.js), kept in
+ * localStorage so they can be reused across sessions.
+ */
+import { createKeyedStore } from './localStore';
+
+/** name → query */
+const store = createKeyedStore('ifc-viewer.savedFilters', { tag: '[QUERY]', label: 'filters' });
+
+/** All saved filters, alphabetically: [{ name, query }] */
+export function listSavedFilters() {
+  return Object.entries(store.readAll())
+    .map(([name, query]) => ({ name, query }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Save (or overwrite) a filter under `name` */
+export function saveFilter(name, query) {
+  store.save(name, query);
+}
+
+export function deleteFilter(name) {
+  store.remove(name);
+}
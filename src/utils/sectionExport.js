@@ -0,0 +1,133 @@
+/**
+ * Section drawing export (SVG / DXF).
+ * Takes the result of extractSectionOutlines, flattens it onto the
+ * section plane and writes one layer per IFC class. Drawing units are
+ * millimetres.
+ */
+import * as THREE from 'three';
+import { colorFromKey } from './colorUtils';
+
+const MM_PER_M = 1000;
+
+/**
+ * In-plane axes for a section plane. Horizontal cuts use world X → right
+ * and world -Z → up, so plans come out with the model's north up.
+ */
+function getPlaneBasis(plane) {
+  const n = plane.normal.clone().normalize();
+  if (Math.abs(n.y) > 0.99) {
+    return { u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 0, -1) };
+  }
+  const u = new THREE.Vector3(0, 1, 0).cross(n).normalize();
+  const v = n.clone().cross(u).normalize();
+  return { u, v };
+}
+
+/**
+ * Project a section onto its plane.
+ * @param {{ plane: THREE.Plane, layers: Map<string, Float32Array> }} section
+ * @returns {{ layers: Map<string, number[][]>, bounds: THREE.Box2 }}
+ *   segments as [x1, y1, x2, y2] in millimetres
+ */
+export function projectSection(section) {
+  const { u, v } = getPlaneBasis(section.plane);
+  const origin = section.plane.coplanarPoint(new THREE.Vector3());
+  const bounds = new THREE.Box2();
+  const p = new THREE.Vector3();
+  const toPlane = (points, i) => {
+    p.fromArray(points, i).sub(origin);
+    const xy = new THREE.Vector2(p.dot(u) * MM_PER_M, p.dot(v) * MM_PER_M);
+    bounds.expandByPoint(xy);
+    return xy;
+  };
+
+  const layers = new Map();
+  for (const [name, points] of section.layers) {
+    const segments = [];
+    for (let i = 0; i + 5 < points.length; i += 6) {
+      const a = toPlane(points, i);
+      const b = toPlane(points, i + 3);
+      if (a.distanceToSquared(b) < 1e-6) continue;
+      segments.push([a.x, a.y, b.x, b.y]);
+    }
+    if (segments.length > 0) layers.set(name, segments);
+  }
+  return { layers, bounds };
+}
+
+const fmt = (n) => Number(n.toFixed(2));
+
+const escapeXml = (s) => s.replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+/**
+ * SVG drawing with one Inkscape-compatible layer group per IFC class.
+ */
+export function sectionToSVG(section) {
+  const { layers, bounds } = projectSection(section);
+  if (bounds.isEmpty()) bounds.set(new THREE.Vector2(), new THREE.Vector2(1000, 1000));
+  const margin = 500;
+  const minX = bounds.min.x - margin;
+  const minY = -bounds.max.y - margin;
+  const width = bounds.max.x - bounds.min.x + margin * 2;
+  const height = bounds.max.y - bounds.min.y + margin * 2;
+
+  const groups = [...layers].map(([name, segments]) => {
+    // SVG's Y axis points down
+    const d = segments.map(([x1, y1, x2, y2]) => `M${fmt(x1)} ${fmt(-y1)}L${fmt(x2)} ${fmt(-y2)}`).join('');
+    const id = escapeXml(name);
+    return `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${id}">\n` +
+      `    <path d="${d}" stroke="#${colorFromKey(name).getHexString()}" vector-effect="non-scaling-stroke" />\n` +
+      '  </g>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+    `     width="${fmt(width)}mm" height="${fmt(height)}mm" viewBox="${fmt(minX)} ${fmt(minY)} ${fmt(width)} ${fmt(height)}"`,
+    '     fill="none" stroke-width="1" stroke-linecap="round">',
+    ...groups,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+/** DXF layer names may not contain <>/\":;?*|=' */
+const dxfLayerName = (name) => name.replace(/[<>/\\":;?*|=',]/g, '_');
+
+/**
+ * ASCII DXF (R12) drawing with one layer per IFC class and LINE entities.
+ */
+export function sectionToDXF(section) {
+  const { layers } = projectSection(section);
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$INSUNITS'); pair(70, 4); // millimetres
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.size);
+  let colorIndex = 1;
+  for (const name of layers.keys()) {
+    pair(0, 'LAYER'); pair(2, dxfLayerName(name)); pair(70, 0);
+    pair(62, colorIndex); pair(6, 'CONTINUOUS');
+    colorIndex = (colorIndex % 254) + 1;
+  }
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  for (const [name, segments] of layers) {
+    const layer = dxfLayerName(name);
+    for (const [x1, y1, x2, y2] of segments) {
+      pair(0, 'LINE'); pair(8, layer);
+      pair(10, fmt(x1)); pair(20, fmt(y1)); pair(30, 0);
+      pair(11, fmt(x2)); pair(21, fmt(y2)); pair(31, 0);
+    }
+  }
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n') + '\n';
+}
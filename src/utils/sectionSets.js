@@ -0,0 +1,47 @@
+/**
+ * Named clipping plane sets.
+ * Sets are ClippingManager.serialize() snapshots kept in localStorage,
+ * and can be moved between machines as plain JSON files.
+ */
+import { createKeyedStore } from './localStore';
+import { downloadFile, toFileName } from './download';
+
+/** name → section state */
+const store = createKeyedStore('ifc-viewer.sectionSets', { tag: '[SECTIONS]', label: 'section sets' });
+
+/** Names of all saved sets, alphabetically */
+export function listSectionSets() {
+  return Object.keys(store.readAll()).sort((a, b) => a.localeCompare(b));
+}
+
+export function getSectionSet(name) {
+  return store.get(name);
+}
+
+/** Save (or overwrite) a set under `name` */
+export function saveSectionSet(name, state) {
+  store.save(name, state);
+}
+
+export function deleteSectionSet(name) {
+  store.remove(name);
+}
+
+/** Download one set as `<name>.sections.json` */
+export function exportSectionSet(name, state) {
+  const json = JSON.stringify({ name, ...state }, null, 2);
+  downloadFile(`${toFileName(name)}.sections.json`, json, 'application/json');
+}
+
+/**
+ * Read a set from a JSON file picked by the user.
+ * @param {File} file
+ * @returns {Promise<{ name: string, state: object }>}
+ */
+export async function importSectionSet(file) {
+  const { name, ...state } = JSON.parse(await file.text());
+  if (!Array.isArray(state.planes)) {
+    throw new Error(`${file.name} is not a section set`);
+  }
+  return { name: name || file.name.replace(/\.sections\.json$|\.json$/i, ''), state };
+}
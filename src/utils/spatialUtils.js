@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { extractScalar } from './ifcProperties';
+import { getProjectUnits } from './ifcUnits';
+import { getModelToWorldMatrix } from './fragmentUtils';
+import { logger } from './logger';
+
+/**
+ * World-space Y of an IfcBuildingStorey.
+ * Uses the storey's Elevation attribute (scaled by the project length
+ * unit) and falls back to the bottom of the storey's contained elements
+ * when the attribute is missing.
+ * @param {import('@thatopen/fragments').FragmentsModel} model
+ * @param {number} storeyId - localId of the IfcBuildingStorey
+ * @returns {Promise<number | null>}
+ */
+export async function getStoreyElevation(model, storeyId) {
+  try {
+    const [storey] = await model.getItemsData([storeyId], { attributesDefault: true });
+    const elevation = Number(extractScalar(storey?.Elevation));
+    if (extractScalar(storey?.Elevation) !== null && !isNaN(elevation)) {
+      const units = await getProjectUnits(model);
+      const local = new THREE.Vector3(0, elevation * units.LENGTHUNIT.scale, 0);
+      return local.applyMatrix4(getModelToWorldMatrix(model)).y;
+    }
+  } catch (err) {
+    logger.warn('[SPATIAL] Storey Elevation unavailable, using geometry:', err);
+  }
+
+  const box = await getStoreyBox(model, storeyId);
+  return box ? box.min.y : null;
+}
+
+/**
+ * Bounding box of everything contained in a storey, or null when the
+ * storey has no geometry.
+ */
+export async function getStoreyBox(model, storeyId) {
+  const children = await model.getItemsChildren([storeyId]);
+  if (!children || children.length === 0) return null;
+  const box = await model.getMergedBox(children);
+  return box.isEmpty() ? null : box;
+}
+
+/**
+ * All IfcBuildingStoreys of a model with their world-space elevation,
+ * lowest first. Storeys whose elevation cannot be determined are skipped.
+ * @returns {Promise<{ localId: number, elevation: number }[]>}
+ */
+export async function getStoreys(model) {
+  const byCategory = await model.getItemsOfCategories([/^IFCBUILDINGSTOREY$/]);
+  const storeys = [];
+  for (const localId of Object.values(byCategory).flat()) {
+    const elevation = await getStoreyElevation(model, localId);
+    if (elevation != null) storeys.push({ localId, elevation });
+  }
+  return storeys.sort((a, b) => a.elevation - b.elevation);
+}
+
+/** localId → storey name, for everything contained in a storey */
+export async function getStoreyNames(model) {
+  const byCategory = await model.getItemsOfCategories([/^IFCBUILDINGSTOREY$/]);
+  const storeyIds = Object.values(byCategory).flat();
+  const names = new Map();
+  if (storeyIds.length === 0) return names;
+
+  const storeys = await model.getItemsData(storeyIds, { attributesDefault: false, attributes: ['Name'] });
+  for (let i = 0; i < storeyIds.length; i++) {
+    const name = extractScalar(storeys[i]?.Name) ?? `Storey #${storeyIds[i]}`;
+    for (const id of await model.getItemsChildren([storeyIds[i]])) names.set(id, name);
+  }
+  return names;
+}
@@ -0,0 +1,136 @@
+/**
+ * Colour-by-property ("thematic") views.
+ * Groups element records (see elementRecords.js) by the value of one
+ * field: numeric fields get equal-width bins on a blue → red gradient,
+ * everything else one palette colour per distinct value.
+ */
+import * as THREE from 'three';
+import { getRecordValues } from './elementRecords';
+
+/** Fields every record has, offered first in the field picker */
+export const BUILTIN_FIELDS = [
+  { path: 'Class', label: 'IFC class' },
+  { path: 'Storey', label: 'Storey' },
+  { path: 'Material', label: 'Material' },
+];
+
+/** Bins of a numeric gradient */
+const GRADIENT_STEPS = 7;
+const GRADIENT_FROM = new THREE.Color('#2563eb');
+const GRADIENT_TO = new THREE.Color('#dc2626');
+
+/** Categorical palette; further values continue around the hue circle */
+const PALETTE = [
+  '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+  '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac', '#17becf', '#bcbd22',
+];
+
+const NO_VALUE_COLOR = '#d4d4d8';
+const NO_VALUE_LABEL = '(no value)';
+
+function paletteColor(index) {
+  if (index < PALETTE.length) return PALETTE[index];
+  // Golden-angle hues keep extra colours apart
+  const hue = ((index - PALETTE.length) * 137.508) % 360;
+  return `#${new THREE.Color().setHSL(hue / 360, 0.55, 0.55).getHexString()}`;
+}
+
+/**
+ * Fields available on a set of records: built-ins, direct attributes and
+ * every `Pset.Property`, each with how many records have a value.
+ * @returns {{ key: string, label: string, segments: string[], group: 'Element' | 'Attributes' | 'Properties', count: number }[]}
+ */
+export function listThematicFields(records) {
+  const attributes = new Map();
+  const properties = new Map();
+  for (const record of records) {
+    for (const key of Object.keys(record.attributes)) {
+      attributes.set(key, (attributes.get(key) ?? 0) + 1);
+    }
+    for (const [setName, set] of Object.entries(record.psets)) {
+      for (const key of Object.keys(set)) {
+        const label = `${setName}.${key}`;
+        const entry = properties.get(label) ?? { segments: [setName, key], count: 0 };
+        entry.count++;
+        properties.set(label, entry);
+      }
+    }
+  }
+
+  const byLabel = (a, b) => a.label.localeCompare(b.label);
+  return [
+    ...BUILTIN_FIELDS.map(f => ({ key: f.path, label: f.label, segments: [f.path], group: 'Element', count: records.length })),
+    ...[...attributes].map(([name, count]) => ({ key: `attr:${name}`, label: name, segments: [name], group: 'Attributes', count })).sort(byLabel),
+    ...[...properties].map(([label, { segments, count }]) => ({ key: `pset:${label}`, label, segments, group: 'Properties', count })).sort(byLabel),
+  ];
+}
+
+const formatNumber = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 3 });
+
+/**
+ * Colour groups for one field.
+ * @param {object[]} records - from collectElementRecords
+ * @param {string[]} segments - field path segments, e.g. ['Pset_WallCommon', 'FireRating']
+ * @returns {{ kind: 'numeric' | 'categorical', groups: { key: string, label: string, color: string,
+ *   count: number, modelIdMap: Record<string, Set<number>> }[] }}
+ */
+export function buildThematicGroups(records, segments) {
+  const valued = records.map(record => ({ record, value: getRecordValues(record, segments)[0] ?? null }));
+  const present = valued.filter(v => v.value !== null && v.value !== '');
+  const numeric = present.length > 0 && present.every(v => typeof v.value === 'number');
+
+  // Groups are created up front in legend order; addTo only creates the "(no value)" group
+  const groups = new Map();
+  const addTo = (key, label, color, record) => {
+    let group = groups.get(key);
+    if (!group) {
+      group = { key, label, color, count: 0, modelIdMap: {} };
+      groups.set(key, group);
+    }
+    (group.modelIdMap[record.modelId] ??= new Set()).add(record.localId);
+    group.count++;
+  };
+
+  if (numeric) {
+    // One pass: spreading hundreds of thousands of values into Math.min overflows the stack
+    let min = Infinity;
+    let max = -Infinity;
+    for (const { value } of present) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    const steps = min === max ? 1 : GRADIENT_STEPS;
+    const width = (max - min) / steps;
+    const binOf = (n) => Math.min(steps - 1, Math.floor((n - min) / (width || 1)));
+    // Create bins in ascending order so the legend reads low → high
+    for (let i = 0; i < steps; i++) {
+      const from = min + i * width;
+      const to = i === steps - 1 ? max : from + width;
+      const color = `#${GRADIENT_FROM.clone().lerp(GRADIENT_TO, steps === 1 ? 0 : i / (steps - 1)).getHexString()}`;
+      groups.set(`bin-${i}`, {
+        key: `bin-${i}`,
+        label: steps === 1 ? formatNumber(min) : `${formatNumber(from)} – ${formatNumber(to)}`,
+        color,
+        count: 0,
+        modelIdMap: {},
+      });
+    }
+    for (const { record, value } of present) addTo(`bin-${binOf(value)}`, null, null, record);
+    for (const [key, group] of groups) if (group.count === 0) groups.delete(key);
+  } else {
+    // Most common values get the first palette colours
+    const labelOf = (value) => (typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value));
+    const counts = new Map();
+    for (const { value } of present) counts.set(labelOf(value), (counts.get(labelOf(value)) ?? 0) + 1);
+    const order = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([label]) => label);
+    const colorOf = new Map(order.map((label, i) => [label, paletteColor(i)]));
+    for (const label of order) groups.set(label, { key: label, label, color: colorOf.get(label), count: 0, modelIdMap: {} });
+    for (const { record, value } of present) addTo(labelOf(value), labelOf(value), null, record);
+  }
+
+  for (const { record, value } of valued) {
+    if (value === null || value === '') addTo(NO_VALUE_LABEL, NO_VALUE_LABEL, NO_VALUE_COLOR, record);
+  }
+
+  return { kind: numeric ? 'numeric' : 'categorical', groups: [...groups.values()] };
+}
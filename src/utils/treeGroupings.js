@@ -0,0 +1,143 @@
+/**
+ * Alternate tree views. Besides the spatial hierarchy, the tree panel can
+ * group the elements of a model by IFC class, by type object (IsTypedBy),
+ * by material, by system (IfcSystem / IfcDistributionSystem… through
+ * IfcRelAssignsToGroup) or by IfcZone.
+ *
+ * Every grouping returns top-level group nodes in the spatial tree's node
+ * shape ({ expressID, type, name, children }), so the tree panel indexes
+ * and renders them the same way. Group nodes have no expressID and carry
+ * `group: true`, `count` and `expanded: false`; their children are leaf
+ * nodes with `element: true` (IfcSpaces in zones count as elements too).
+ */
+import { extractScalar, getItemMaterialName, relatedObjects } from './ifcProperties';
+import { groupItemsByClass } from './fragmentUtils';
+import { getIfcTypeName } from './ifcTypes';
+import { logger } from './logger';
+
+export const TREE_MODES = [
+  { key: 'spatial', label: 'Spatial structure' },
+  { key: 'class', label: 'By IFC class' },
+  { key: 'type', label: 'By type' },
+  { key: 'material', label: 'By material' },
+  { key: 'system', label: 'By system' },
+  { key: 'zone', label: 'By zone' },
+];
+
+/** Items fetched per getItemsData call */
+const BATCH_SIZE = 500;
+
+/** Relation followed per mode and whether ungrouped elements get their own folder */
+const MODE_RELATIONS = {
+  type: { relation: 'IsTypedBy', ungrouped: '(no type)' },
+  material: { relation: 'HasAssociations', ungrouped: '(no material)' },
+  system: { relation: 'HasAssignments', ungrouped: null },
+  zone: { relation: 'HasAssignments', ungrouped: null },
+};
+
+/** IfcGroup subclasses shown in "by system": IfcSystem, IfcDistributionSystem, IfcBuildingSystem, IfcDistributionCircuit… */
+const isSystemClass = (ifcClass) => /System$|Circuit$/.test(ifcClass);
+
+/** localId, IFC class and name of a related object from getItemsData */
+function describeObject(obj) {
+  const id = Number(extractScalar(obj?._localId));
+  return {
+    id: Number.isFinite(id) ? id : null,
+    ifcClass: getIfcTypeName(extractScalar(obj?._category)),
+    name: extractScalar(obj?.Name),
+  };
+}
+
+/**
+ * Groups an element belongs to under a mode, as { key, type, name }.
+ * An element can be in several systems; it has at most one type / material.
+ */
+function groupsOf(mode, item) {
+  if (mode === 'material') {
+    const name = getItemMaterialName(item);
+    return name ? [{ key: `material:${name}`, type: 'IfcMaterial', name }] : [];
+  }
+  if (mode === 'type') {
+    const typeObject = relatedObjects(item, 'IsTypedBy', 'RelatingType')[0];
+    if (!typeObject) return [];
+    const { id, ifcClass, name } = describeObject(typeObject);
+    return [{ key: `type:${id ?? name}`, type: ifcClass, name: name ?? ifcClass }];
+  }
+  const groups = [];
+  for (const group of relatedObjects(item, 'HasAssignments', 'RelatingGroup')) {
+    const { id, ifcClass, name } = describeObject(group);
+    const wanted = mode === 'zone' ? ifcClass === 'IfcZone' : isSystemClass(ifcClass);
+    if (wanted) groups.push({ key: `group:${id ?? name}`, type: ifcClass, name: name ?? ifcClass });
+  }
+  return groups;
+}
+
+function groupNode(type, name, children) {
+  children.sort((a, b) => (a.name ?? '').localeCompare(b.name ?? '') || a.expressID - b.expressID);
+  return { expressID: null, type, name, group: true, expanded: false, count: children.length, children };
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Group nodes of one model for a tree mode other than 'spatial'.
+ * @param {import('@thatopen/fragments').FragmentsModel} model
+ * @param {'class' | 'type' | 'material' | 'system' | 'zone'} mode
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<object[]>}
+ */
+export async function buildGroupedTree(model, mode, onProgress) {
+  const withGeometry = new Set(await model.getItemsIdsWithGeometry());
+  const classOf = new Map();
+  for (const [ifcClass, ids] of await groupItemsByClass(model)) {
+    for (const id of ids) {
+      if (withGeometry.has(id)) classOf.set(id, ifcClass);
+    }
+  }
+
+  // By class needs no item data; element names load lazily in the panel
+  if (mode === 'class') {
+    const byClass = new Map();
+    for (const [id, ifcClass] of classOf) {
+      if (!byClass.has(ifcClass)) byClass.set(ifcClass, []);
+      byClass.get(ifcClass).push({ expressID: id, type: ifcClass, name: null, element: true, children: [] });
+    }
+    onProgress?.(classOf.size, classOf.size);
+    return [...byClass].map(([ifcClass, children]) => groupNode(ifcClass, ifcClass, children)).sort(byName);
+  }
+
+  const { relation, ungrouped } = MODE_RELATIONS[mode];
+  const ids = [...classOf.keys()];
+  const groups = new Map();       // key → { type, name, children }
+  const loose = [];
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    const batch = ids.slice(start, start + BATCH_SIZE);
+    let items = [];
+    try {
+      items = await model.getItemsData(batch, {
+        attributesDefault: false,
+        attributes: ['Name'],
+        relationsDefault: { attributes: false, relations: false },
+        relations: { [relation]: { attributes: true, relations: true } },
+      });
+    } catch (err) {
+      logger.warn('[TREE] Could not read', relation, 'relations:', err);
+    }
+    batch.forEach((id, i) => {
+      const ifcClass = classOf.get(id);
+      const node = () => ({ expressID: id, type: ifcClass, name: extractScalar(items[i]?.Name) ?? ifcClass, element: true, children: [] });
+      const memberOf = groupsOf(mode, items[i]);
+      if (memberOf.length === 0 && ungrouped) loose.push(node());
+      for (const { key, type, name } of memberOf) {
+        if (!groups.has(key)) groups.set(key, { type, name, children: [] });
+        groups.get(key).children.push(node());
+      }
+    });
+    onProgress?.(Math.min(start + BATCH_SIZE, ids.length), ids.length);
+  }
+
+  const nodes = [...groups.values()].map(g => groupNode(g.type, g.name, g.children)).sort(byName);
+  if (loose.length > 0) nodes.push(groupNode('IfcElement', ungrouped, loose));
+  logger.info(`[TREE] Grouped ${ids.length} elements ${mode === 'zone' ? 'into zones' : `by ${mode}`}:`, nodes.length, 'groups');
+  return nodes;
+}
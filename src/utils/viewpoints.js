@@ -0,0 +1,104 @@
+/**
+ * Named viewpoints: bookmarks of the camera, clipping planes, hidden /
+ * isolated elements and colour overrides, each with a small thumbnail.
+ * Viewpoints are IfcViewer.captureViewpoint() snapshots kept in
+ * localStorage, and can be moved between machines as plain JSON files.
+ * Element sets are stored as { modelId: localId[] }, so a viewpoint only
+ * applies to models loaded under the same ids (file names).
+ */
+import { createKeyedStore } from './localStore';
+import { downloadFile, toFileName } from './download';
+
+/** name → viewpoint */
+const store = createKeyedStore('ifc-viewer.viewpoints', { tag: '[VIEWPOINTS]', label: 'viewpoints' });
+
+/** Version tag written by captureViewpoint() */
+export const VIEWPOINT_VERSION = 1;
+
+/** Thumbnail size in pixels */
+const THUMBNAIL_WIDTH = 192;
+const THUMBNAIL_HEIGHT = 120;
+
+/** All saved viewpoints, newest first: [{ name, ...viewpoint }] */
+export function listViewpoints() {
+  return Object.entries(store.readAll())
+    .map(([name, viewpoint]) => ({ name, ...viewpoint }))
+    .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0) || a.name.localeCompare(b.name));
+}
+
+export function getViewpoint(name) {
+  return store.get(name);
+}
+
+/** Save (or overwrite) a viewpoint under `name` */
+export function saveViewpoint(name, viewpoint) {
+  store.save(name, viewpoint);
+}
+
+export function deleteViewpoint(name) {
+  store.remove(name);
+}
+
+/** Download viewpoints ([{ name, ...viewpoint }]) as one JSON file */
+export function exportViewpoints(viewpoints, fileLabel = 'viewpoints') {
+  const json = JSON.stringify({ version: VIEWPOINT_VERSION, viewpoints }, null, 2);
+  downloadFile(`${toFileName(fileLabel)}.viewpoints.json`, json, 'application/json');
+}
+
+/**
+ * Read viewpoints from a JSON file picked by the user.
+ * @param {File} file
+ * @returns {Promise<{ name: string, viewpoint: object }[]>}
+ */
+export async function importViewpoints(file) {
+  const data = JSON.parse(await file.text());
+  if (!Array.isArray(data?.viewpoints) || data.viewpoints.some(v => !v?.camera)) {
+    throw new Error(`${file.name} is not a viewpoints file`);
+  }
+  return data.viewpoints.map(({ name, ...viewpoint }, i) => ({
+    name: name || `${file.name.replace(/\.viewpoints\.json$|\.json$/i, '')} ${i + 1}`,
+    viewpoint,
+  }));
+}
+
+/* ─── Element sets ─── */
+
+/** ModelIdMap (modelId → Set) → plain JSON (modelId → array) */
+export function serializeModelIdMap(modelIdMap) {
+  const out = {};
+  for (const [modelId, ids] of Object.entries(modelIdMap ?? {})) {
+    if (ids.size > 0) out[modelId] = [...ids];
+  }
+  return out;
+}
+
+/** Inverse of serializeModelIdMap */
+export function parseModelIdMap(json) {
+  const out = {};
+  for (const [modelId, ids] of Object.entries(json ?? {})) {
+    if (Array.isArray(ids) && ids.length > 0) out[modelId] = new Set(ids);
+  }
+  return out;
+}
+
+/* ─── Thumbnails ─── */
+
+/**
+ * JPEG data URL of the current view, scaled down and centre-cropped.
+ * Renders a frame first, since the WebGL canvas does not keep its drawing buffer.
+ * @param {import('@thatopen/components').SimpleWorld} world
+ */
+export function renderThumbnail(world) {
+  const renderer = world.renderer.three;
+  renderer.render(world.scene.three, world.camera.three);
+  const source = renderer.domElement;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  const scale = Math.max(THUMBNAIL_WIDTH / source.width, THUMBNAIL_HEIGHT / source.height);
+  const w = THUMBNAIL_WIDTH / scale;
+  const h = THUMBNAIL_HEIGHT / scale;
+  canvas.getContext('2d').drawImage(source, (source.width - w) / 2, (source.height - h) / 2, w, h, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  return canvas.toDataURL('image/jpeg', 0.7);
+}